@@ -1,34 +1,26 @@
 // ai.js - AI 處理模組
 import * as chrono from "chrono-node";
-import { TAIPEI_OFFSET, getNowTaipei, localDateToUtcTs, getDayRangeTaipei, getDateRangeTaipei } from "./time.js";
-
-// --- 輔助：取得人類可讀的台北時間 (給 AI 當參考) ---
-function getTaipeiTimeString(dateObj) {
-  return dateObj.toLocaleString('zh-TW', {
-    timeZone: 'Asia/Taipei',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-    hour12: false
-  }).replace(/\//g, '-');
+import { DEFAULT_TIMEZONE, getNowInTimeZone, localDateToUtcTs, getDayRange, getDateRange, getLocalTimeString, getTimeZoneOffset, formatUtcOffset } from "./time.js";
+import { completeWithFallback } from "./llm.js";
+
+// --- 輔助：提示詞中的時區標示，例如 "Asia/Taipei, UTC+8" ---
+function getTimeZoneLabel(timeZone) {
+  return `${timeZone}, ${formatUtcOffset(getTimeZoneOffset(timeZone))}`;
 }
 
 // --- AI 提示詞模板 (針對您的需求優化) ---
-function getTaskPrompt(text, now) {
-  const nowStr = getTaipeiTimeString(now);
+function getTaskPrompt(text, now, timeZone = DEFAULT_TIMEZONE) {
+  const nowStr = getLocalTimeString(now);
 
   return `
 # SYSTEM ROLE: Task Scheduler & Extractor
-# CURRENT TIME (Taipei, UTC+8): ${nowStr}
+# CURRENT TIME (${getTimeZoneLabel(timeZone)}): ${nowStr}
 
 # OBJECTIVE:
 Analyze the USER INPUT and extract structured data (JSON).
 
 # CRITICAL RULES (Follow Strictly):
-1. **task**: Extract the core activity. Remove time keywords (e.g., "remind me", "tomorrow", "at 9pm", "提醒我", "記得", "幫我", "要").
+1. **task**: Extract the core activity. Remove time keywords (e.g., "remind me", "tomorrow", "at 9pm", "提醒我", "一定要提醒我", "緊急", "記得", "幫我", "要").
 2. **time**:
    - Extract time expressions from user input, but do not calculate exact dates/times. Instead, return a parseable format for the program to calculate. Use English formats for better parsing.
    - If user says specific time (e.g. "9pm", "9:30", "9點", "晚上8點58分"), return in format like: "21:00", "21:30", "21:00", "20:58".
@@ -43,15 +35,30 @@ Analyze the USER INPUT and extract structured data (JSON).
    - **DEFAULT: null** (This is a one-time task).
    - CRITICAL: If a specific date is mentioned (e.g., "1月1號", "Jan 1st", "兩天後", "後天", "明天") *without any explicit recurrence keywords* (like "每年", "每週", "每日"), the 'rule' MUST be 'null'. Do NOT infer recurrence from specific dates alone.
    - CRITICAL: For relative time expressions like "N天後" (N days later), "N週後" (N weeks later), "N個月後" (N months later), "N年後" (N years later), the 'rule' MUST be 'null'. These are ONE-TIME events, NOT recurring.
-   - ONLY use "daily" if user EXPLICITLY says "Every day", "Daily", "Each day", "每天".
-   - ONLY use "weekly:X" if user EXPLICITLY says "Every week on X", "每周X", "每週X".
-   - ONLY use "weekly:1,2,3,4,5" if user says "週一到週五", "Monday to Friday", "Mon-Fri".
-   - ONLY use "weekly:1,2,3,4,5,6" if user says "週一到週六".
-   - ONLY use "weekly:6,7" if user says "週末", "weekends".
-   - ONLY use "monthly:X" if user EXPLICITLY says "Every month on X", "每月X".
-   - ONLY use "yearly:X" if user EXPLICITLY says "Every year on X", "每年X", "每年的X".
+   - Recurring tasks use an iCalendar RRULE string (without the "RRULE:" prefix). Weekday codes: MO TU WE TH FR SA SU.
+   - ONLY use "FREQ=DAILY" if user EXPLICITLY says "Every day", "Daily", "Each day", "每天".
+   - "每3天" / "every 3 days" -> "FREQ=DAILY;INTERVAL=3".
+   - "每週一" / "Every Monday" -> "FREQ=WEEKLY;BYDAY=MO". "每週二、四" -> "FREQ=WEEKLY;BYDAY=TU,TH".
+   - "每兩週的週二" / "every other Tuesday" -> "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU".
+   - "週一到週五", "平日", "工作日", "Monday to Friday" -> "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR".
+   - "週一到週六" -> "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR,SA". "週末", "weekends" -> "FREQ=WEEKLY;BYDAY=SA,SU".
+   - If user asks to skip public holidays (e.g. "國定假日除外", "遇假日跳過"), append ";X-HOLIDAYS=TW".
+   - "每月15號" -> "FREQ=MONTHLY;BYMONTHDAY=15". "每月最後一天" -> "FREQ=MONTHLY;BYMONTHDAY=-1".
+   - "每月最後一個週五" -> "FREQ=MONTHLY;BYDAY=-1FR". "每月第二個週二" -> "FREQ=MONTHLY;BYDAY=2TU".
+   - "每年1月1號" / "Every year on Jan 1st" -> "FREQ=YEARLY;BYMONTH=1;BYMONTHDAY=1".
+   - End conditions (append to the recurring rule, use CURRENT TIME to resolve the date):
+     - "直到12月底" / "until the end of December" -> ";UNTIL=YYYY1231" (date only, format YYYYMMDD).
+     - "到下週五為止" -> ";UNTIL=YYYYMMDD" of that Friday.
+     - "共10天" / "共10次" / "for 10 times" -> ";COUNT=10". e.g. "吃藥每天一次共10天" -> "FREQ=DAILY;COUNT=10".
+     - If no end condition is mentioned, do NOT add UNTIL or COUNT.
    - "Tonight at 9pm" -> rule: null.
 4. **isAllDay**: true if no specific hour:minute is mentioned (e.g., "Buy milk tomorrow"), OR for events like "Jan 1st" that are typically all-day. For recurring daily/weekly events, set to false unless explicitly all-day.
+5. **confidence**: A number from 0 to 1, how sure you are that task, time and rule match what the user meant.
+6. **ambiguities**: Things about WHEN that the user should clarify; an empty list [] when the input is clear.
+   - Still fill "time" with your best guess.
+   - field "date": the day is unclear, e.g. "週五" could be this week or next week -> question "這週五還是下週五？", options values in the same English format as "time" WITHOUT hour (e.g. "this Friday", "next Friday").
+   - field "time": a date is given but an appointment-like task (meeting, doctor, call) has no hour -> question "幾點？", option values "HH:MM" (24h) or "all day".
+   - Write "question" and option "label" in Traditional Chinese (繁體中文). 2 to 6 options each.
 
 # USER INPUT:
 "${text}"
@@ -60,17 +67,21 @@ Analyze the USER INPUT and extract structured data (JSON).
 {
   "task": "Clean text without time",
   "time": "Time/Date string as extracted from user input" or null,
-  "rule": "daily", "weekly:1,2,3,4,5", "monthly:X", "yearly:X", etc., or null,
-  "isAllDay": true/false
+  "rule": "FREQ=DAILY", "FREQ=WEEKLY;BYDAY=MO,WE", "FREQ=MONTHLY;BYMONTHDAY=15", etc., or null,
+  "isAllDay": true/false,
+  "confidence": 0.0 - 1.0,
+  "ambiguities": [
+    { "field": "date" | "time", "question": "這週五還是下週五？", "options": [{ "label": "這週五", "value": "this Friday" }, { "label": "下週五", "value": "next Friday" }] }
+  ]
 }
 `;
 }
 
-function getQueryPrompt(queryText, now) {
-  const nowStr = getTaipeiTimeString(now);
+function getQueryPrompt(queryText, now, timeZone = DEFAULT_TIMEZONE) {
+  const nowStr = getLocalTimeString(now);
   return `
 # SYSTEM ROLE: Time Expression Extractor
-# CURRENT TIME (Taipei, UTC+8): ${nowStr}
+# CURRENT TIME (${getTimeZoneLabel(timeZone)}): ${nowStr}
 
 # OBJECTIVE:
 Analyze the USER INPUT and extract the time expression and a human-readable label.
@@ -97,86 +108,90 @@ Analyze the USER INPUT and extract the time expression and a human-readable labe
 }
 
 
-// --- 8. AI API 調用 (強化版：回傳 raw content) ---
-async function callAI(env, prompt) {
-  let rawContent = "";
-  try {
-    const res = await fetch('https://gen.pollinations.ai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${env.POLLINATIONS_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: "openai-fast", // 或 "gpt-4o-mini"
-        messages: [{ role: "user", content: prompt }],
-        jsonMode: true
-      }),
-      timeout: 15000
-    });
-
-    if (!res.ok) {
-       const errText = await res.text();
-       throw new Error(`API Status ${res.status}: ${errText}`);
-    }
+// 看起來是在操作既有任務的說法，才需要先判斷意圖（其餘直接當成新任務，不多花一次 AI）
+const INTENT_HINT = /改到|改成|改為|延到|延後|順延|挪到|移到|換到|提前到|刪掉|刪除|移除|取消|不用了|不要了|完成了|做完|弄完|買完|寫完|搞定|已經|查一下|有哪些|有什麼|有沒有|列出/;
 
-    // 先檢查 response 是否為空
-    const text = await res.text();
-    if (!text || text.trim() === "") {
-      throw new Error("API returned empty response");
-    }
+function hasIntentHint(text) {
+  return INTENT_HINT.test(text);
+}
 
-    let data;
-    try {
-      data = JSON.parse(text);
-    } catch (parseError) {
-      throw new Error(`Failed to parse JSON response: ${parseError.message}. Raw response: ${text.substring(0, 200)}...`);
-    }
+function getIntentPrompt(text, now, timeZone = DEFAULT_TIMEZONE) {
+  const nowStr = getLocalTimeString(now);
+  return `
+# SYSTEM ROLE: Todo Intent Classifier
+# CURRENT TIME (${getTimeZoneLabel(timeZone)}): ${nowStr}
 
-    // 檢查 data 結構是否正確
-    if (!data || !data.choices || data.choices.length === 0) {
-      throw new Error(`Invalid API response structure: missing choices array. Response: ${JSON.stringify(data).substring(0, 200)}...`);
-    }
+# OBJECTIVE:
+Decide what the USER INPUT wants to do with their todo list and extract the details (JSON).
 
-    rawContent = data.choices[0].message?.content || ""; // 保存原始回應
+# CRITICAL RULES (Follow Strictly):
+1. **intent**: One of:
+   - "create": add a new task or reminder (e.g. "明天下午3點開會", "取消訂閱Netflix" as a thing to do). When unsure, use "create".
+   - "query": ask what tasks they have (e.g. "明天有哪些事", "這週有什麼要做").
+   - "update": change an existing task's time, content or recurrence (e.g. "把明天的開會改到後天下午").
+   - "complete": say an existing task is done (e.g. "我買完牛奶了", "報告交了").
+   - "delete": remove existing tasks (e.g. "刪掉所有健身的提醒", "不用提醒我繳費了").
+2. **target**: For update / complete / delete, the keyword of the existing task, as short as possible (e.g. "開會", "健身", "牛奶"). Otherwise null.
+3. **targetTime**: The date the existing task is on, copied verbatim from the input (e.g. "明天", "週五"). For query, the time range being asked about. Otherwise null.
+4. **all**: true if the user refers to every matching task (e.g. "所有", "全部", "都"), otherwise false.
+5. **newTime**: For update, the new time copied verbatim from the input (e.g. "後天下午", "下週一早上9點"), otherwise null.
+6. **newTask**: For update, the new task content if the user renames it, otherwise null.
+7. **newRule**: For update, the new recurrence copied verbatim from the input (e.g. "每週一", "單次"), otherwise null.
 
-    // 檢查 rawContent 是否為空
-    if (!rawContent || rawContent.trim() === "") {
-      throw new Error("AI returned empty content");
-    }
+# USER INPUT:
+"${text}"
+
+# OUTPUT FORMAT (JSON Only):
+{
+  "intent": "create" | "query" | "update" | "complete" | "delete",
+  "target": "keyword" or null,
+  "targetTime": "time expression" or null,
+  "all": true/false,
+  "newTime": "time expression" or null,
+  "newTask": "new content" or null,
+  "newRule": "recurrence expression" or null
+}
+`;
+}
 
-    // 嘗試清理 Markdown
-    const cleanContent = rawContent.replace(/```json|```/g, "").trim();
+// --- 8. AI API 調用 (強化版：回傳 raw content) ---
+// 回應內容 -> JSON；看不懂時丟出錯誤，換下一個 AI 提供者（見 llm.js）
+function parseAIContent(rawContent) {
+  // 檢查 rawContent 是否為空
+  if (!rawContent || rawContent.trim() === "") {
+    throw new Error("AI returned empty content");
+  }
 
-    // 檢查 cleanContent 是否為空
-    if (!cleanContent || cleanContent.trim() === "") {
-      throw new Error("Cleaned content is empty after removing Markdown");
-    }
+  // 嘗試清理 Markdown
+  const cleanContent = rawContent.replace(/```json|```/g, "").trim();
 
-    // 直接解析 JSON，不再重試
-    let json;
-    try {
-      json = JSON.parse(cleanContent);
-    } catch (parseError) {
-      throw new Error(`Failed to parse JSON from AI response: ${parseError.message}. Cleaned content: ${cleanContent.substring(0, 200)}...`);
-    }
+  // 檢查 cleanContent 是否為空
+  if (!cleanContent || cleanContent.trim() === "") {
+    throw new Error("Cleaned content is empty after removing Markdown");
+  }
+
+  try {
+    return JSON.parse(cleanContent);
+  } catch (parseError) {
+    throw new Error(`Failed to parse JSON from AI response: ${parseError.message}. Cleaned content: ${cleanContent.substring(0, 200)}...`);
+  }
+}
 
-    return { json, rawContent }; // 回傳物件和原始字串
+async function callAI(env, prompt) {
+  try {
+    // 依 AI_PROVIDERS 的順序嘗試，回傳物件和原始字串
+    return await completeWithFallback(env, prompt, rawContent => ({ json: parseAIContent(rawContent), rawContent }));
   } catch (e) {
-    // 加強錯誤處理：不再重試，直接報錯
+    // 所有提供者都失敗才報錯，原始回應已附加在 e.rawContent
     console.error("AI API Call Error:", e);
-
-    // 將原始回應附加在 error 物件上
-    e.rawContent = rawContent;
-
-    // 直接拋出錯誤
+    e.rawContent = e.rawContent || "";
     throw e;
   }
 }
 
 // 本地時間解析（支援中文 + chrono）
-function parseTimeLocally(text) {
-  const refDate = getNowTaipei();
+function parseTimeLocally(text, timeZone = DEFAULT_TIMEZONE) {
+  const refDate = getNowInTimeZone(timeZone);
   const today = new Date(refDate);
   today.setHours(0, 0, 0, 0);
 
@@ -184,7 +199,7 @@ function parseTimeLocally(text) {
   let matchedText = "";
 
   // 清理輸入文本
-  const cleanText = text.replace(/提醒我|記得|幫我|remind me/gi, "").trim();
+  const cleanText = text.replace(/一定要|提醒我|記得|幫我|緊急|remind me/gi, "").trim();
 
   // ====== 1. 具體日期匹配 (M/D, M月D日, MM-DD 等) ======
 
@@ -339,21 +354,21 @@ function parseTimeLocally(text) {
 
   if (!task) task = "未命名任務";
 
-  const utcTs = localDateToUtcTs(parsedDate);
+  const utcTs = localDateToUtcTs(parsedDate, timeZone);
 
   return { task, utcTimestamp: utcTs };
 }
 
 // 本地查詢時間範圍解析（使用統一的時區函數）
-function parseQueryLocally(queryText) {
-  const refDate = getNowTaipei();
+function parseQueryLocally(queryText, timeZone = DEFAULT_TIMEZONE) {
+  const refDate = getNowInTimeZone(timeZone);
   const text = queryText.toLowerCase();
   const today = new Date(refDate);
   today.setHours(0, 0, 0, 0);
 
   // 處理 "今天"
   if (text === '今天' || text === 'today') {
-    const { start, end } = getDayRangeTaipei(today);
+    const { start, end } = getDayRange(today, timeZone);
     return { start, end, label: '今天' };
   }
 
@@ -361,7 +376,7 @@ function parseQueryLocally(queryText) {
   if (text === '明天' || text === 'tomorrow') {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
-    const { start, end } = getDayRangeTaipei(tomorrow);
+    const { start, end } = getDayRange(tomorrow, timeZone);
     return { start, end, label: '明天' };
   }
 
@@ -369,7 +384,7 @@ function parseQueryLocally(queryText) {
   if (text === '昨天' || text === 'yesterday') {
     const yesterday = new Date(today);
     yesterday.setDate(yesterday.getDate() - 1);
-    const { start, end } = getDayRangeTaipei(yesterday);
+    const { start, end } = getDayRange(yesterday, timeZone);
     return { start, end, label: '昨天' };
   }
 
@@ -377,7 +392,7 @@ function parseQueryLocally(queryText) {
   if (text === '後天' || text === '后天') {
     const dayAfter = new Date(today);
     dayAfter.setDate(dayAfter.getDate() + 2);
-    const { start, end } = getDayRangeTaipei(dayAfter);
+    const { start, end } = getDayRange(dayAfter, timeZone);
     return { start, end, label: '後天' };
   }
 
@@ -385,7 +400,7 @@ function parseQueryLocally(queryText) {
   if (text === '前天') {
     const dayBefore = new Date(today);
     dayBefore.setDate(dayBefore.getDate() - 2);
-    const { start, end } = getDayRangeTaipei(dayBefore);
+    const { start, end } = getDayRange(dayBefore, timeZone);
     return { start, end, label: '前天' };
   }
 
@@ -393,7 +408,7 @@ function parseQueryLocally(queryText) {
   if (text === '大後天' || text === '大后天') {
     const dayAfter = new Date(today);
     dayAfter.setDate(dayAfter.getDate() + 3);
-    const { start, end } = getDayRangeTaipei(dayAfter);
+    const { start, end } = getDayRange(dayAfter, timeZone);
     return { start, end, label: '大後天' };
   }
 
@@ -401,7 +416,7 @@ function parseQueryLocally(queryText) {
   if (text === '大前天') {
     const dayBefore = new Date(today);
     dayBefore.setDate(dayBefore.getDate() - 3);
-    const { start, end } = getDayRangeTaipei(dayBefore);
+    const { start, end } = getDayRange(dayBefore, timeZone);
     return { start, end, label: '大前天' };
   }
 
@@ -412,7 +427,7 @@ function parseQueryLocally(queryText) {
     monday.setDate(today.getDate() - (currentDayOfWeek === 0 ? 6 : currentDayOfWeek - 1));
     const sunday = new Date(monday);
     sunday.setDate(monday.getDate() + 6);
-    const { start, end } = getDateRangeTaipei(monday, sunday);
+    const { start, end } = getDateRange(monday, sunday, timeZone);
     return { start, end, label: '本週' };
   }
 
@@ -423,7 +438,7 @@ function parseQueryLocally(queryText) {
     nextMonday.setDate(today.getDate() + (7 - (currentDayOfWeek === 0 ? 6 : currentDayOfWeek - 1)));
     const nextSunday = new Date(nextMonday);
     nextSunday.setDate(nextMonday.getDate() + 6);
-    const { start, end } = getDateRangeTaipei(nextMonday, nextSunday);
+    const { start, end } = getDateRange(nextMonday, nextSunday, timeZone);
     return { start, end, label: '下週' };
   }
 
@@ -434,7 +449,7 @@ function parseQueryLocally(queryText) {
     lastMonday.setDate(today.getDate() - (currentDayOfWeek === 0 ? 6 : currentDayOfWeek - 1) - 7);
     const lastSunday = new Date(lastMonday);
     lastSunday.setDate(lastMonday.getDate() + 6);
-    const { start, end } = getDateRangeTaipei(lastMonday, lastSunday);
+    const { start, end } = getDateRange(lastMonday, lastSunday, timeZone);
     return { start, end, label: '上週' };
   }
 
@@ -444,7 +459,7 @@ function parseQueryLocally(queryText) {
     nextMonth.setMonth(nextMonth.getMonth() + 1, 1);
     const monthStart = new Date(nextMonth.getFullYear(), nextMonth.getMonth(), 1);
     const monthEnd = new Date(nextMonth.getFullYear(), nextMonth.getMonth() + 1, 0);
-    const { start, end } = getDateRangeTaipei(monthStart, monthEnd);
+    const { start, end } = getDateRange(monthStart, monthEnd, timeZone);
     return { start, end, label: '下個月' };
   }
 
@@ -454,7 +469,7 @@ function parseQueryLocally(queryText) {
     lastMonth.setMonth(lastMonth.getMonth() - 1, 1);
     const monthStart = new Date(lastMonth.getFullYear(), lastMonth.getMonth(), 1);
     const monthEnd = new Date(lastMonth.getFullYear(), lastMonth.getMonth() + 1, 0);
-    const { start, end } = getDateRangeTaipei(monthStart, monthEnd);
+    const { start, end } = getDateRange(monthStart, monthEnd, timeZone);
     return { start, end, label: '上個月' };
   }
 
@@ -472,7 +487,7 @@ function parseQueryLocally(queryText) {
     if (isNaN(days)) days = 1;
     const targetDate = new Date(today);
     targetDate.setDate(today.getDate() + days);
-    const { start, end } = getDayRangeTaipei(targetDate);
+    const { start, end } = getDayRange(targetDate, timeZone);
     return { start, end, label: `${days}天後` };
   }
 
@@ -485,7 +500,7 @@ function parseQueryLocally(queryText) {
     const targetDate = new Date(today);
     targetDate.setDate(today.getDate() + weeks * 7);
     console.log(`[parseQueryLocally] 目標日期: ${targetDate.toISOString()}`);
-    const { start, end } = getDayRangeTaipei(targetDate);
+    const { start, end } = getDayRange(targetDate, timeZone);
     console.log(`[parseQueryLocally] 時間範圍: ${start} - ${end}`);
     return { start, end, label: `${weeks}週後` };
   }
@@ -497,7 +512,7 @@ function parseQueryLocally(queryText) {
     if (isNaN(months)) months = 1;
     const targetDate = new Date(today);
     targetDate.setMonth(targetDate.getMonth() + months);
-    const { start, end } = getDayRangeTaipei(targetDate);
+    const { start, end } = getDayRange(targetDate, timeZone);
     return { start, end, label: `${months}個月後` };
   }
 
@@ -505,7 +520,7 @@ function parseQueryLocally(queryText) {
   if (text === '本月' || text === 'this month') {
     const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
     const monthEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-    const { start, end } = getDateRangeTaipei(monthStart, monthEnd);
+    const { start, end } = getDateRange(monthStart, monthEnd, timeZone);
     return { start, end, label: '本月' };
   }
 
@@ -513,14 +528,14 @@ function parseQueryLocally(queryText) {
   if (text === '月初') {
     const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
     const monthMid = new Date(today.getFullYear(), today.getMonth(), 10);
-    const { start, end } = getDateRangeTaipei(monthStart, monthMid);
+    const { start, end } = getDateRange(monthStart, monthMid, timeZone);
     return { start, end, label: '月初' };
   }
   if (text === '月底') {
     const monthMid = new Date(today.getFullYear(), today.getMonth() + 1, 0);
     monthMid.setDate(monthMid.getDate() - 10);
     const monthEnd = new Date(today.getFullYear(), today.getMonth() + 1, 0);
-    const { start, end } = getDateRangeTaipei(monthMid, monthEnd);
+    const { start, end } = getDateRange(monthMid, monthEnd, timeZone);
     return { start, end, label: '月底' };
   }
 
@@ -528,19 +543,19 @@ function parseQueryLocally(queryText) {
   if (text === '今年') {
     const yearStart = new Date(today.getFullYear(), 0, 1);
     const yearEnd = new Date(today.getFullYear(), 11, 31);
-    const { start, end } = getDateRangeTaipei(yearStart, yearEnd);
+    const { start, end } = getDateRange(yearStart, yearEnd, timeZone);
     return { start, end, label: '今年' };
   }
   if (text === '去年') {
     const yearStart = new Date(today.getFullYear() - 1, 0, 1);
     const yearEnd = new Date(today.getFullYear() - 1, 11, 31);
-    const { start, end } = getDateRangeTaipei(yearStart, yearEnd);
+    const { start, end } = getDateRange(yearStart, yearEnd, timeZone);
     return { start, end, label: '去年' };
   }
   if (text === '明年') {
     const yearStart = new Date(today.getFullYear() + 1, 0, 1);
     const yearEnd = new Date(today.getFullYear() + 1, 11, 31);
-    const { start, end } = getDateRangeTaipei(yearStart, yearEnd);
+    const { start, end } = getDateRange(yearStart, yearEnd, timeZone);
     return { start, end, label: '明年' };
   }
 
@@ -548,37 +563,37 @@ function parseQueryLocally(queryText) {
   if (text === '年初' || text === '上半年' || text === '今年初' || text === '今年頭' || text === '今年头') {
     const yearStart = new Date(today.getFullYear(), 0, 1);
     const yearMid = new Date(today.getFullYear(), 5, 30);
-    const { start, end } = getDateRangeTaipei(yearStart, yearMid);
+    const { start, end } = getDateRange(yearStart, yearMid, timeZone);
     return { start, end, label: '年初' };
   }
   if (text === '年底' || text === '下半年' || text === '今年底') {
     const yearMid = new Date(today.getFullYear(), 6, 1);
     const yearEnd = new Date(today.getFullYear(), 11, 31);
-    const { start, end } = getDateRangeTaipei(yearMid, yearEnd);
+    const { start, end } = getDateRange(yearMid, yearEnd, timeZone);
     return { start, end, label: '年底' };
   }
   if (text === '明年初' || text === '明年頭' || text === '明年头') {
     const yearStart = new Date(today.getFullYear() + 1, 0, 1);
     const yearMid = new Date(today.getFullYear() + 1, 5, 30);
-    const { start, end } = getDateRangeTaipei(yearStart, yearMid);
+    const { start, end } = getDateRange(yearStart, yearMid, timeZone);
     return { start, end, label: '明年初' };
   }
   if (text === '明年底') {
     const yearMid = new Date(today.getFullYear() + 1, 6, 1);
     const yearEnd = new Date(today.getFullYear() + 1, 11, 31);
-    const { start, end } = getDateRangeTaipei(yearMid, yearEnd);
+    const { start, end } = getDateRange(yearMid, yearEnd, timeZone);
     return { start, end, label: '明年底' };
   }
   if (text === '去年初' || text === '去年頭' || text === '去年头') {
     const yearStart = new Date(today.getFullYear() - 1, 0, 1);
     const yearMid = new Date(today.getFullYear() - 1, 5, 30);
-    const { start, end } = getDateRangeTaipei(yearStart, yearMid);
+    const { start, end } = getDateRange(yearStart, yearMid, timeZone);
     return { start, end, label: '去年初' };
   }
   if (text === '去年底') {
     const yearMid = new Date(today.getFullYear() - 1, 6, 1);
     const yearEnd = new Date(today.getFullYear() - 1, 11, 31);
-    const { start, end } = getDateRangeTaipei(yearMid, yearEnd);
+    const { start, end } = getDateRange(yearMid, yearEnd, timeZone);
     return { start, end, label: '去年底' };
   }
 
@@ -593,7 +608,7 @@ function parseQueryLocally(queryText) {
     }
     const monthStart = new Date(year, month - 1, 1);
     const monthEnd = new Date(year, month, 0);
-    const { start, end } = getDateRangeTaipei(monthStart, monthEnd);
+    const { start, end } = getDateRange(monthStart, monthEnd, timeZone);
     return { start, end, label: `${month}月` };
   }
 
@@ -622,7 +637,7 @@ function parseQueryLocally(queryText) {
     }
     const monthStart = new Date(year, month - 1, 1);
     const monthEnd = new Date(year, month, 0);
-    const { start, end } = getDateRangeTaipei(monthStart, monthEnd);
+    const { start, end } = getDateRange(monthStart, monthEnd, timeZone);
     return { start, end, label: `${month}月` };
   }
 
@@ -656,7 +671,7 @@ function parseQueryLocally(queryText) {
       }
       const targetDate = new Date(today);
       targetDate.setDate(today.getDate() + daysUntilTarget);
-      const { start, end } = getDayRangeTaipei(targetDate);
+      const { start, end } = getDayRange(targetDate, timeZone);
 
       const dayLabelMap = {
         0: '週日', 1: '週一', 2: '週二', 3: '週三', 4: '週四', 5: '週五', 6: '週六'
@@ -693,7 +708,7 @@ function parseQueryLocally(queryText) {
       const daysUntilNextWeek = (currentDayOfWeek === 0 ? 7 : daysUntilEndOfWeek) + targetDay;
       const nextWeekday = new Date(today);
       nextWeekday.setDate(today.getDate() + daysUntilNextWeek);
-      const { start, end } = getDayRangeTaipei(nextWeekday);
+      const { start, end } = getDayRange(nextWeekday, timeZone);
 
       const dayLabelMap = {
         0: '週日', 1: '週一', 2: '週二', 3: '週三', 4: '週四', 5: '週五', 6: '週六'
@@ -717,7 +732,7 @@ function parseQueryLocally(queryText) {
     const parsedDate = chronoResults[0].date();
     const dateStart = new Date(parsedDate);
     dateStart.setHours(0, 0, 0, 0);
-    const { start, end } = getDayRangeTaipei(dateStart);
+    const { start, end } = getDayRange(dateStart, timeZone);
 
     const month = dateStart.getMonth() + 1;
     const day = dateStart.getDate();
@@ -728,10 +743,32 @@ function parseQueryLocally(queryText) {
   return null;
 }
 
+// 一則訊息最多拆成幾個任務
+const MAX_TASK_CANDIDATES = 10;
+// 行首的項目符號：- * • 1. 1) (1) ☐ 等
+const BULLET_RE = /^\s*(?:[-*+•·・‧▪●○◦☐☑✅⬜️]+|\d{1,2}\s*[.)、．]|[（(]\d{1,2}[)）])\s*/u;
+// 句子中的「然後」都拆開；「還有」前面要有標點或空白，避免拆到「還有沒有」這類說法
+const SENTENCE_SPLIT_RE = /\s*[，,。；;]?\s*然後\s*|[，,。；;\s]+還有\s*/;
+
+/**
+ * 把一則訊息拆成多個候選任務：多行（可以帶項目符號）或以「然後 / 還有」連接的句子
+ * @param {string} text
+ * @returns {string[]} 只有一個任務時回傳只有一項的陣列
+ */
+function splitTaskCandidates(text) {
+  const lines = text.split(/\r?\n/).map(line => line.replace(BULLET_RE, '').trim()).filter(Boolean);
+  const parts = lines.length > 1 ? lines : lines.flatMap(line => line.split(SENTENCE_SPLIT_RE));
+  const candidates = parts.map(p => p.replace(/^[\s，,。；;、]+|[\s，,。；;、]+$/g, '')).filter(Boolean);
+  return candidates.length ? candidates.slice(0, MAX_TASK_CANDIDATES) : [text];
+}
+
 export {
   getTaskPrompt,
   getQueryPrompt,
+  getIntentPrompt,
+  hasIntentHint,
   callAI,
   parseTimeLocally,
-  parseQueryLocally
+  parseQueryLocally,
+  splitTaskCandidates
 };
\ No newline at end of file
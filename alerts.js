@@ -0,0 +1,138 @@
+// alerts.js - 提前提醒模組
+// todos.alerts 存放以分鐘為單位、由大到小的提前量，例如 "1440,60,10" 代表 1天前、1小時前、10分鐘前
+// todos.next_alert_at 是目前這一次發生下一個要送出的提前提醒時間，排程只需要比對這個欄位
+
+// 每個任務最多幾個提前提醒（也避免 callback_data 超過 64 位元組）
+const MAX_ALERTS = 4;
+
+const UNIT_MINUTES = {
+  '分鐘': 1, '分': 1,
+  '小時': 60, '個小時': 60, '鐘頭': 60, '個鐘頭': 60,
+  '天': 1440, '日': 1440,
+  '週': 10080, '周': 10080, '星期': 10080, '個星期': 10080
+};
+
+const CHINESE_NUMBERS = { '一': 1, '二': 2, '兩': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9, '十': 10, '半': 0.5 };
+
+const AMOUNT = '\\d+|[一二兩三四五六七八九十半]+';
+const UNIT = '個小時|個鐘頭|個星期|分鐘|小時|鐘頭|星期|分|天|日|週|周';
+const ITEM_RE = new RegExp(`(${AMOUNT})\\s*(${UNIT})`, 'g');
+// 「提前30分鐘提醒」「提前1天、1小時提醒我」
+const LEAD_RE = new RegExp(`提前\\s*((?:(?:${AMOUNT})\\s*(?:${UNIT})\\s*[、,，和跟及與]?\\s*)+)(?:提醒我?|通知我?)?`, 'g');
+// 「30分鐘前提醒」「前一天提醒我」
+const BEFORE_RE = new RegExp(`((?:${AMOUNT})\\s*(?:${UNIT}))前提醒我?`, 'g');
+const DAY_BEFORE_RE = /前一[天日]提醒我?/g;
+
+function parseAmount(str) {
+  if (/^\d+$/.test(str)) return parseInt(str);
+  if (str === '半') return 0.5;
+  // 十、十五、二十、二十五
+  const m = str.match(/^([一二兩三四五六七八九])?十([一二三四五六七八九])?$/);
+  if (m) return (m[1] ? CHINESE_NUMBERS[m[1]] : 1) * 10 + (m[2] ? CHINESE_NUMBERS[m[2]] : 0);
+  return CHINESE_NUMBERS[str] || 0;
+}
+
+function itemsToMinutes(str) {
+  return [...str.matchAll(ITEM_RE)]
+    .map(([, amount, unit]) => Math.round(parseAmount(amount) * UNIT_MINUTES[unit]))
+    .filter(n => n > 0);
+}
+
+/**
+ * 整理提前量：去重、由大到小、最多 MAX_ALERTS 個
+ * @param {number[]} minutes
+ * @returns {number[]}
+ */
+function normalizeAlerts(minutes) {
+  return [...new Set(minutes.filter(n => Number.isInteger(n) && n > 0))]
+    .sort((a, b) => b - a)
+    .slice(0, MAX_ALERTS);
+}
+
+/**
+ * 從自然語言取出提前提醒，並把這段文字從輸入中移除（避免被當成任務內容或時間）
+ * @param {string} text - 例如「明天下午3點開會 提前30分鐘提醒」
+ * @returns {{text: string, alerts: number[]|null}} alerts 為 null 表示沒有指定
+ */
+function extractAlerts(text) {
+  const minutes = [];
+  let rest = text
+    .replace(LEAD_RE, (_, items) => { minutes.push(...itemsToMinutes(items)); return ' '; })
+    .replace(BEFORE_RE, (_, item) => { minutes.push(...itemsToMinutes(item)); return ' '; })
+    .replace(DAY_BEFORE_RE, () => { minutes.push(1440); return ' '; });
+
+  rest = rest.replace(/\s{2,}/g, ' ').replace(/^[\s，,、]+|[\s，,、]+$/g, '');
+  return { text: rest || text, alerts: minutes.length ? normalizeAlerts(minutes) : null };
+}
+
+/**
+ * 解析 /alerts 指令的參數，例如「1天 1小時 10分鐘」
+ * @returns {number[]}
+ */
+function parseAlertList(text) {
+  return normalizeAlerts(itemsToMinutes(text));
+}
+
+// 資料庫字串 <-> 分鐘陣列
+function parseAlerts(str) {
+  if (!str) return [];
+  return normalizeAlerts(String(str).split(',').map(Number));
+}
+
+function formatAlerts(alerts) {
+  return alerts && alerts.length ? normalizeAlerts(alerts).join(',') : null;
+}
+
+// 單一提前量的中文，例如 90 -> 1小時30分鐘
+function describeLead(minutes) {
+  if (minutes % 10080 === 0) return `${minutes / 10080}週`;
+  if (minutes % 1440 === 0) return `${minutes / 1440}天`;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  if (!h) return `${m}分鐘`;
+  return m ? `${h}小時${m}分鐘` : `${h}小時`;
+}
+
+/**
+ * 提前提醒的中文描述，例如「1天前、1小時前」
+ * @param {number[]} alerts
+ * @returns {string|null}
+ */
+function describeAlerts(alerts) {
+  if (!alerts || !alerts.length) return null;
+  return alerts.map(m => `${describeLead(m)}前`).join('、');
+}
+
+/**
+ * 計算下一個要送出的提前提醒時間
+ * @param {number} remindAt - 事件時間（UTC 秒）
+ * @param {number[]} alerts - 提前量（分鐘）
+ * @param {number} afterTs - 只看這個時間之後的提醒
+ * @returns {number|null} 沒有剩下的提前提醒時回傳 null
+ */
+function nextAlertAt(remindAt, alerts, afterTs) {
+  if (!remindAt || remindAt <= 0 || !alerts.length) return null;
+  const upcoming = alerts.map(m => remindAt - m * 60).filter(ts => ts > afterTs);
+  return upcoming.length ? Math.min(...upcoming) : null;
+}
+
+/**
+ * 目前已到時間的提前量（事件本身尚未發生）
+ * @returns {number[]} 由大到小
+ */
+function dueAlerts(remindAt, alerts, nowTs) {
+  if (remindAt <= nowTs) return [];
+  return alerts.filter(m => remindAt - m * 60 <= nowTs);
+}
+
+export {
+  MAX_ALERTS,
+  extractAlerts,
+  parseAlertList,
+  parseAlerts,
+  formatAlerts,
+  describeLead,
+  describeAlerts,
+  nextAlertAt,
+  dueAlerts
+};
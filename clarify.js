@@ -0,0 +1,143 @@
+// clarify.js - 解析不確定時的追問
+// AI 除了任務內容，也回傳 confidence（0~1）與 ambiguities（時間上說不清楚的地方，例如「這週五還是下週五？」「幾點？」）
+// 有不確定的地方、或完全沒有時間時，先一題一題追問，回答完再進入一般的確認卡片
+// 追問中的任務存成草稿（kind clarify，payload 為確認卡片的草稿再加上 questions），按鈕只帶 cq|草稿id|選項
+// 也可以直接輸入時間回答（chat_states 的 clarify，只收本地解析得出來的單純時間，其他訊息照常當成新的任務或指令）
+// 問題的選項已經換算好：date 的值為當地日期 YYYYMMDD（null 表示不設時間），time 的值為 "HH:MM" 或 "ad"（全天）
+import { InlineKeyboard } from "grammy";
+import { DEFAULT_TIMEZONE, utcTsToLocalDate } from "./time.js";
+import { dateKey, setDraftTime, pickedTime } from "./picker.js";
+
+// 信心值低於這個、又沒有可以追問的地方時，在確認卡片上提醒使用者看仔細
+const LOW_CONFIDENCE = 0.6;
+
+// 一題最多幾個選項
+const MAX_OPTIONS = 6;
+
+// 追問幾點時的常用時間
+const TIME_OPTIONS = ['09:00', '12:00', '15:00', '18:00', '21:00'];
+
+const TIME_RE = /^(\d{1,2}):(\d{2})$/;
+
+// 「明天 (10/20)」
+function dateLabel(label, local) {
+  return `${label} (${local.getUTCMonth() + 1}/${local.getUTCDate()})`;
+}
+
+// 完全沒有時間時先問哪一天：不設時間 / 今天 / 明天 / 後天 / 週六 / 下週一
+function dateQuestion(nowLocal) {
+  const day = (offset) => {
+    const d = new Date(nowLocal);
+    d.setUTCDate(d.getUTCDate() + offset);
+    return d;
+  };
+  const toSaturday = (6 - nowLocal.getUTCDay() + 7) % 7 || 7;
+  const toMonday = (1 - nowLocal.getUTCDay() + 7) % 7 || 7;
+  const options = [{ label: "🚫 不設時間", value: null }];
+  [["今天", 0], ["明天", 1], ["後天", 2], ["週六", toSaturday], ["下週一", toMonday]].forEach(([label, offset]) => {
+    const d = day(offset);
+    options.push({ label: dateLabel(label, d), value: dateKey(d) });
+  });
+  return { field: 'date', question: "要什麼時候做呢？", options };
+}
+
+// 選好日期後問幾點；今天的話只列出還沒過的時間
+function timeQuestion(key, nowLocal) {
+  const nowMinutes = key === dateKey(nowLocal) ? nowLocal.getUTCHours() * 60 + nowLocal.getUTCMinutes() : -1;
+  const options = TIME_OPTIONS
+    .filter(t => {
+      const [, h, m] = TIME_RE.exec(t);
+      return parseInt(h) * 60 + parseInt(m) > nowMinutes;
+    })
+    .map(t => ({ label: t, value: t }));
+  options.push({ label: "☀️ 全天", value: "ad" });
+  return { field: 'time', question: "幾點呢？", options };
+}
+
+/**
+ * 整理 AI 回傳的 ambiguities：只留下時間相關、換算得出來、而且至少兩個選項的問題
+ * @param {Array} ambiguities - AI 回傳的 [{field, question, options: [{label, value}]}]
+ * @param {(expr: string) => Date|null} resolveDate - 把 AI 的日期說法換算成當地的「本地時間」Date
+ * @returns {Array} 換算好的問題
+ */
+function normalizeAmbiguities(ambiguities, resolveDate) {
+  if (!Array.isArray(ambiguities)) return [];
+  return ambiguities.map(a => {
+    if (!a || !Array.isArray(a.options) || !['date', 'time'].includes(a.field)) return null;
+    const options = a.options.map(o => {
+      const label = String(o?.label || o?.value || '').trim();
+      const value = String(o?.value || '').trim();
+      if (!label || !value) return null;
+      if (a.field === 'time') {
+        if (/^all ?day$|全天/i.test(value)) return { label, value: 'ad' };
+        const m = TIME_RE.exec(value);
+        return m && parseInt(m[1]) < 24 && parseInt(m[2]) < 60 ? { label, value: `${m[1].padStart(2, '0')}:${m[2]}` } : null;
+      }
+      const local = resolveDate(value);
+      return local ? { label: dateLabel(label, local), value: dateKey(local) } : null;
+    }).filter(Boolean).slice(0, MAX_OPTIONS);
+    return options.length >= 2 ? { field: a.field, question: String(a.question || (a.field === 'date' ? "是哪一天呢？" : "幾點呢？")), options } : null;
+  }).filter(Boolean);
+}
+
+/**
+ * 要追問哪些問題：完全沒有時間（也不是例行任務）時問哪一天，否則依 AI 說的不確定之處
+ * @param {object} draft - 確認卡片的草稿
+ * @param {Array} questions - normalizeAmbiguities 換算好的問題
+ * @param {Date} nowLocal - 使用者當地的「本地時間」Date
+ */
+function buildQuestions(draft, questions, nowLocal) {
+  if (draft.remindAt === -1 && !draft.cronRule) return [dateQuestion(nowLocal)];
+  return questions;
+}
+
+/**
+ * 套用目前這題（questions[0]）的回答
+ * @param {object} draft - 追問中的草稿（含 questions）
+ * @param {number} index - 選了第幾個選項
+ * @param {Date} nowLocal - 使用者當地的「本地時間」Date
+ * @param {number} nowTs - 現在的 UTC 秒數
+ * @returns {object|null} 新的草稿；選項不存在或例行任務之後不會再發生時為 null
+ */
+function applyAnswer(draft, index, nowLocal, nowTs) {
+  const [question, ...rest] = draft.questions;
+  const option = question?.options[index];
+  if (!option) return null;
+  const tz = draft.timeZone || DEFAULT_TIMEZONE;
+  const current = draft.remindAt > 0 ? utcTsToLocalDate(draft.remindAt, tz) : null;
+
+  if (question.field === 'date') {
+    // 不設時間：後面的問題也不用問了
+    if (option.value === null) return { ...draft, remindAt: -1, allDay: 0, questions: [] };
+    // 原本就有時間的保留幾點幾分，沒有的接著問幾點
+    const hour = current ? current.getUTCHours() : 0;
+    const minute = current ? current.getUTCMinutes() : 0;
+    const next = setDraftTime(draft, pickedTime(option.value, hour, minute, tz), current ? draft.allDay : 1, nowTs);
+    if (!next) return null;
+    return { ...next, source: draft.source, questions: current ? rest : [timeQuestion(option.value, nowLocal), ...rest] };
+  }
+
+  const key = dateKey(current || nowLocal);
+  const [hour, minute] = option.value === 'ad' ? [0, 0] : option.value.split(':').map(Number);
+  const next = setDraftTime(draft, pickedTime(key, hour, minute, tz), option.value === 'ad', nowTs);
+  return next ? { ...next, source: draft.source, questions: rest } : null;
+}
+
+// 追問的選項按鈕，兩個一列
+function questionKeyboard(draftId, question) {
+  const kb = new InlineKeyboard();
+  question.options.forEach((option, i) => {
+    kb.text(option.label, `cq|${draftId}|${i}`);
+    if (i % 2 === 1) kb.row();
+  });
+  if (question.options.length % 2) kb.row();
+  return kb.text("❌ 取消", `cq|${draftId}|x`);
+}
+
+export {
+  LOW_CONFIDENCE,
+  normalizeAmbiguities,
+  buildQuestions,
+  applyAnswer,
+  questionKeyboard
+};
@@ -1,30 +1,38 @@
 // db.js - 資料庫操作模組
 import { Bot, InlineKeyboard } from "grammy";
+import { runMigrations } from "./migrations.js";
+import { DEFAULT_TIMEZONE } from "./time.js";
+
+// 資料庫初始化（每個 isolate 只執行一次遷移，避免每個請求都跑 DDL）
+let migrationPromise = null;
 
-// 資料庫初始化
 async function initDatabase(env) {
-  try {
-    await env.DB.prepare(`
-      CREATE TABLE IF NOT EXISTS todos (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id TEXT NOT NULL,
-        task TEXT NOT NULL,
-        remind_at INTEGER NOT NULL,
-        cron_rule TEXT,
-        all_day INTEGER DEFAULT 0,
-        status INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `).run();
-  } catch (e) {
-    console.error("資料庫初始化失敗:", e.message);
+  if (!migrationPromise) {
+    migrationPromise = runMigrations(env).catch(e => {
+      // 失敗時清掉快取，讓下一個請求重試；這個請求直接失敗，不要在遷移一半的資料表上繼續執行
+      migrationPromise = null;
+      console.error("資料庫初始化失敗:", e.message);
+      throw e;
+    });
   }
+  await migrationPromise;
 }
 
 // 新增待辦事項
-async function addTodo(env, userId, task, remindAt, cronRule, allDay) {
-  await env.DB.prepare("INSERT INTO todos (user_id, task, remind_at, cron_rule, all_day, status) VALUES (?, ?, ?, ?, ?, 0)")
-    .bind(userId, task, parseInt(remindAt), cronRule === 'n' ? null : cronRule, parseInt(allDay)).run();
+// options.remainingCount: 有 COUNT 結束條件的循環任務剩餘次數（null 表示不限次數）
+// options.nag: 1 表示沒按完成前會持續提醒
+// options.alerts / options.nextAlertAt: 提前提醒（見 alerts.js）
+// options.urgent: 1 表示勿擾時段也照常提醒
+// 循環任務的第一次發生記為週期的起點（anchor_at），之後的發生都以它推算
+async function addTodo(env, userId, task, remindAt, cronRule, allDay, { remainingCount = null, nag = 0, alerts = null, nextAlertAt = null, urgent = 0 } = {}) {
+  const rule = cronRule === 'n' ? null : cronRule;
+  await env.DB.prepare("INSERT INTO todos (user_id, task, remind_at, cron_rule, all_day, status, remaining_count, nag, alerts, next_alert_at, urgent, anchor_at) VALUES (?, ?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?)")
+    .bind(userId, task, parseInt(remindAt), rule, parseInt(allDay), remainingCount, nag ? 1 : 0, alerts, nextAlertAt, urgent ? 1 : 0, anchorFor(rule, remindAt)).run();
+}
+
+// 循環任務的週期起點：有時間的循環任務為第一次發生時間，其餘為 null
+function anchorFor(cronRule, remindAt) {
+  return cronRule && parseInt(remindAt) > 0 ? parseInt(remindAt) : null;
 }
 
 // 獲取待辦清單
@@ -33,6 +41,45 @@ async function getTodos(env, userId, status = 0) {
   return results;
 }
 
+// 獲取單一待辦（不限狀態）
+async function getTodoById(env, todoId, userId) {
+  return await env.DB.prepare("SELECT * FROM todos WHERE id = ? AND user_id = ?").bind(todoId, userId).first();
+}
+
+// 排程：到期且這一次還沒提醒過的待辦，依 (remind_at, id) 排序、從 after 之後取 limit 筆，一併帶出使用者時區
+// 以下排程查詢的 userId 為 null 時掃描所有使用者，否則只取該使用者的
+async function getDueTodos(env, nowTs, after, limit, userId = null) {
+  const [afterTs, afterId] = after || [0, 0];
+  const { results } = await env.DB.prepare(
+    `SELECT todos.*, users.timezone, users.catch_up FROM todos LEFT JOIN users ON users.user_id = todos.user_id
+     WHERE todos.status = 0 AND todos.remind_at > 0 AND todos.remind_at <= ?
+     AND (todos.remind_at > ? OR (todos.remind_at = ? AND todos.id > ?))
+     AND NOT EXISTS (SELECT 1 FROM notifications WHERE notifications.todo_id = todos.id AND notifications.occurrence_at = todos.remind_at)
+     AND (? IS NULL OR todos.user_id = ?)
+     ORDER BY todos.remind_at, todos.id LIMIT ?`
+  ).bind(nowTs, afterTs, afterTs, afterId, userId, userId, limit).all();
+  return results;
+}
+
+// 每日彙整用：範圍內的單次待辦，加上所有循環待辦（循環任務是否落在範圍內由呼叫端依規則判斷）
+async function getTodosForDigest(env, userId, startTs, endTs) {
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM todos WHERE user_id = ? AND status = 0 AND (cron_rule IS NOT NULL OR remind_at BETWEEN ? AND ?)"
+  ).bind(userId, startTs, endTs).all();
+  return results;
+}
+
+// 有未完成待辦的使用者（依 user_id 分頁），一併帶出時區與彙整設定
+async function getOpenTodoUsers(env, after, limit, userId = null) {
+  const [afterUserId] = after || [''];
+  const { results } = await env.DB.prepare(
+    `SELECT open.user_id, users.timezone, users.digest_times
+     FROM (SELECT DISTINCT user_id FROM todos WHERE status = 0 AND user_id > ? AND (? IS NULL OR user_id = ?) ORDER BY user_id LIMIT ?) AS open
+     LEFT JOIN users ON users.user_id = open.user_id ORDER BY open.user_id`
+  ).bind(afterUserId, userId, userId, limit).all();
+  return results;
+}
+
 // 獲取指定時間範圍內的待辦
 async function getTodosByTimeRange(env, userId, startTs, endTs, status = 0) {
   const { results } = await env.DB.prepare("SELECT * FROM todos WHERE user_id = ? AND status = ? AND remind_at BETWEEN ? AND ?").bind(userId, status, startTs, endTs).all();
@@ -44,10 +91,18 @@ async function updateTodoStatus(env, todoId, status) {
   await env.DB.prepare("UPDATE todos SET status = ? WHERE id = ?").bind(status, todoId).run();
 }
 
-// 刪除待辦
+// 刪除待辦（連同單次例外，以及還沒送出或正在送出的提醒、暫存的通知與提醒記錄，刪除後不會再收到這個任務的提醒）
 async function deleteTodosByIds(env, ids, userId) {
   const placeholders = ids.map(()=>'?').join(',');
-  await env.DB.prepare(`DELETE FROM todos WHERE id IN (${placeholders}) AND user_id = ?`).bind(...ids, userId).run();
+  const owned = `SELECT id FROM todos WHERE id IN (${placeholders}) AND user_id = ?`;
+  await env.DB.batch([
+    env.DB.prepare(`DELETE FROM todo_exceptions WHERE todo_id IN (${owned})`).bind(...ids, userId),
+    env.DB.prepare(`DELETE FROM outbox WHERE status IN ('pending', 'sending') AND todo_id IN (${owned})`).bind(...ids, userId),
+    env.DB.prepare(`DELETE FROM held_messages WHERE todo_id IN (${owned})`).bind(...ids, userId),
+    env.DB.prepare(`DELETE FROM notifications WHERE todo_id IN (${owned})`).bind(...ids, userId),
+    env.DB.prepare(`DELETE FROM alert_log WHERE todo_id IN (${owned})`).bind(...ids, userId),
+    env.DB.prepare(`DELETE FROM todos WHERE id IN (${placeholders}) AND user_id = ?`).bind(...ids, userId)
+  ]);
 }
 
 // 刪除指定狀態的待辦
@@ -55,24 +110,763 @@ async function deleteTodosByStatus(env, userId, status) {
   await env.DB.prepare("DELETE FROM todos WHERE user_id = ? AND status = ?").bind(userId, status).run();
 }
 
-// 更新循環任務的下次提醒時間
-async function updateCronTodoNextTime(env, todoId, nextTs) {
-  await env.DB.prepare("UPDATE todos SET remind_at = ? WHERE id = ?").bind(nextTs, todoId).run();
+// 更新循環任務的下次提醒時間（有剩餘次數時一併扣一次），並換成下一次的提前提醒
+// 只在 remind_at 還是 prevTs 時推進：使用者的排程與 cron 同時處理同一次時只有一邊會成功，次數不會被扣兩次
+// consumed：這次推進用掉了幾次（追上錯過的發生時會超過 1）
+// 回傳是否由這次呼叫推進
+async function updateCronTodoNextTime(env, todoId, prevTs, nextTs, nextAlertAt = null, consumed = 1) {
+  const { meta } = await env.DB.prepare("UPDATE todos SET remind_at = ?, remaining_count = remaining_count - ?, next_alert_at = ? WHERE id = ? AND remind_at = ? AND status = 0")
+    .bind(nextTs, consumed, nextAlertAt, todoId, prevTs).run();
+  return meta.changes > 0;
+}
+
+// 循環任務的最後一次已處理：標記為完成（同上，只在 remind_at 還是 prevTs 時），回傳是否由這次呼叫完成
+async function finishCronTodo(env, todoId, prevTs) {
+  const { meta } = await env.DB.prepare("UPDATE todos SET status = 1 WHERE id = ? AND remind_at = ? AND status = 0")
+    .bind(todoId, prevTs).run();
+  return meta.changes > 0;
+}
+
+// 更新下一個提前提醒的時間
+async function updateTodoNextAlert(env, todoId, nextAlertAt) {
+  await env.DB.prepare("UPDATE todos SET next_alert_at = ? WHERE id = ?").bind(nextAlertAt, todoId).run();
+}
+
+// 獲取已到時間的提前提醒，一併帶出使用者時區
+// 依 (next_alert_at, id) 排序、從 after 之後取 limit 筆
+async function getDueAlertTodos(env, nowTs, after, limit, userId = null) {
+  const [afterTs, afterId] = after || [0, 0];
+  const { results } = await env.DB.prepare(
+    `SELECT todos.*, users.timezone FROM todos LEFT JOIN users ON users.user_id = todos.user_id
+     WHERE todos.status = 0 AND todos.next_alert_at IS NOT NULL AND todos.next_alert_at <= ?
+     AND (todos.next_alert_at > ? OR (todos.next_alert_at = ? AND todos.id > ?))
+     AND (? IS NULL OR todos.user_id = ?)
+     ORDER BY todos.next_alert_at, todos.id LIMIT ?`
+  ).bind(nowTs, afterTs, afterTs, afterId, userId, userId, limit).all();
+  return results;
+}
+
+// 記錄送出的提前提醒，回傳是否為第一次（已送過則回傳 false）
+async function logAlert(env, todoId, occurrenceAt, leadMinutes) {
+  const sentAt = Math.floor(Date.now() / 1000);
+  const result = await env.DB.prepare("INSERT OR IGNORE INTO alert_log (todo_id, occurrence_at, lead_minutes, sent_at) VALUES (?, ?, ?, ?)")
+    .bind(todoId, occurrenceAt, leadMinutes, sentAt).run();
+  return result.meta.changes > 0;
+}
+
+// 更新單次任務的提醒時間（延後提醒，延後後不再送提前提醒）
+async function updateTodoRemindAt(env, todoId, remindAt) {
+  await env.DB.prepare("UPDATE todos SET remind_at = ?, next_alert_at = NULL WHERE id = ?").bind(remindAt, todoId).run();
+}
+
+// 更新循環任務的規則（例如從某天起取消時加上 UNTIL）
+async function updateTodoRule(env, todoId, cronRule) {
+  await env.DB.prepare("UPDATE todos SET cron_rule = ? WHERE id = ?").bind(cronRule, todoId).run();
+}
+
+/**
+ * 修改任務的內容、時間、全天與規則
+ * 時間或規則改變時，舊排程的例外與還在催促的提醒一併清掉，週期從新的時間重新起算
+ * @param {{task: string, remindAt: number, cronRule: string|null, allDay: number, remainingCount: number|null, nextAlertAt: number|null}} fields
+ * @param {boolean} rescheduled - 時間或規則是否改變
+ */
+async function updateTodo(env, todoId, userId, fields, rescheduled) {
+  const stmts = [
+    env.DB.prepare("UPDATE todos SET task = ?, remind_at = ?, cron_rule = ?, all_day = ?, remaining_count = ?, next_alert_at = ?, anchor_at = CASE WHEN ? THEN ? ELSE anchor_at END WHERE id = ? AND user_id = ?")
+      .bind(fields.task, fields.remindAt, fields.cronRule, fields.allDay ? 1 : 0, fields.remainingCount, fields.nextAlertAt, rescheduled ? 1 : 0, anchorFor(fields.cronRule, fields.remindAt), todoId, userId)
+  ];
+  if (rescheduled) {
+    stmts.push(
+      env.DB.prepare("DELETE FROM todo_exceptions WHERE todo_id = ? AND fired = 0").bind(todoId),
+      env.DB.prepare("UPDATE notifications SET next_nag_at = NULL WHERE todo_id = ? AND status = 'pending'").bind(todoId)
+    );
+  }
+  await env.DB.batch(stmts);
+}
+
+// ============================================
+// 單次例外 (todo_exceptions)
+// action: 'skip' 跳過這一次 / 'move' 這一次改到 new_at / 'done' 這一次已提前完成
+// ============================================
+
+// 新增或覆蓋某一次發生的例外
+async function setTodoException(env, todoId, occurrenceAt, action, newAt = null) {
+  await env.DB.prepare(`INSERT INTO todo_exceptions (todo_id, occurrence_at, action, new_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(todo_id, occurrence_at) DO UPDATE SET action = excluded.action, new_at = excluded.new_at, fired = 0`)
+    .bind(todoId, occurrenceAt, action, newAt).run();
+}
+
+// 取消某一次發生的例外（恢復原本時間）
+async function deleteTodoException(env, todoId, occurrenceAt) {
+  await env.DB.prepare("DELETE FROM todo_exceptions WHERE todo_id = ? AND occurrence_at = ?").bind(todoId, occurrenceAt).run();
+}
+
+// 獲取使用者所有循環任務的例外
+async function getTodoExceptions(env, userId) {
+  const { results } = await env.DB.prepare(
+    "SELECT todo_exceptions.* FROM todo_exceptions JOIN todos ON todos.id = todo_exceptions.todo_id WHERE todos.user_id = ?"
+  ).bind(userId).all();
+  return results;
+}
+
+// 獲取某一次發生的例外
+async function getTodoException(env, todoId, occurrenceAt) {
+  return await env.DB.prepare("SELECT * FROM todo_exceptions WHERE todo_id = ? AND occurrence_at = ?").bind(todoId, occurrenceAt).first();
+}
+
+// 獲取已到時間、尚未提醒的改期
+async function getDueMovedOccurrences(env, nowTs, userId = null) {
+  const { results } = await env.DB.prepare(
+    `SELECT todo_exceptions.id AS exception_id, todo_exceptions.occurrence_at, todo_exceptions.new_at, todos.id, todos.user_id, todos.task, todos.all_day, todos.cron_rule, todos.nag, todos.urgent
+     FROM todo_exceptions JOIN todos ON todos.id = todo_exceptions.todo_id
+     WHERE todo_exceptions.action = 'move' AND todo_exceptions.fired = 0 AND todo_exceptions.new_at <= ?
+     AND (? IS NULL OR todos.user_id = ?)`
+  ).bind(nowTs, userId, userId).all();
+  return results;
+}
+
+// 標記改期已提醒
+async function markTodoExceptionFired(env, exceptionId) {
+  await env.DB.prepare("UPDATE todo_exceptions SET fired = 1 WHERE id = ?").bind(exceptionId).run();
+}
+
+// ============================================
+// 已送出的提醒 (notifications)
+// status: 'pending' 等待回應 / 'done' 已完成 / 'snoozed' 已延後 / 'dismissed' 不再提醒
+// ============================================
+
+// 記錄送出的提醒（同一次發生再次提醒時覆蓋，例如延後後重新送出）
+// nextNagAt: 持續提醒模式下次重送的時間（null 表示不重送）
+async function addNotification(env, todo, occurrenceAt, messageId, nextNagAt = null) {
+  const sentAt = Math.floor(Date.now() / 1000);
+  await env.DB.prepare(`INSERT INTO notifications (todo_id, user_id, occurrence_at, message_id, status, sent_at, nag_count, next_nag_at) VALUES (?, ?, ?, ?, 'pending', ?, 0, ?)
+    ON CONFLICT(todo_id, occurrence_at) DO UPDATE SET message_id = excluded.message_id, status = 'pending', sent_at = excluded.sent_at, acked_at = NULL,
+      nag_count = 0, next_nag_at = excluded.next_nag_at`)
+    .bind(todo.id, todo.user_id, occurrenceAt, messageId, sentAt, nextNagAt).run();
+}
+
+// 獲取該重送的持續提醒，依 (next_nag_at, notification id) 排序、從 after 之後取 limit 筆
+async function getDueNags(env, nowTs, after, limit, userId = null) {
+  const [afterTs, afterId] = after || [0, 0];
+  const { results } = await env.DB.prepare(
+    `SELECT notifications.id AS notification_id, notifications.occurrence_at, notifications.nag_count, notifications.next_nag_at,
+       todos.id, todos.user_id, todos.task, todos.all_day, todos.cron_rule, todos.urgent
+     FROM notifications JOIN todos ON todos.id = notifications.todo_id
+     WHERE notifications.status = 'pending' AND notifications.next_nag_at IS NOT NULL AND notifications.next_nag_at <= ?
+     AND (notifications.next_nag_at > ? OR (notifications.next_nag_at = ? AND notifications.id > ?))
+     AND (? IS NULL OR todos.user_id = ?)
+     ORDER BY notifications.next_nag_at, notifications.id LIMIT ?`
+  ).bind(nowTs, afterTs, afterTs, afterId, userId, userId, limit).all();
+  return results;
+}
+
+// 記錄一次重送（訊息 id 由 outbox 送出後回填）
+async function updateNotificationNag(env, notificationId, nagCount, nextNagAt) {
+  await env.DB.prepare("UPDATE notifications SET nag_count = ?, next_nag_at = ? WHERE id = ?")
+    .bind(nagCount, nextNagAt, notificationId).run();
+}
+
+// 獲取某一次發生的提醒
+async function getNotification(env, todoId, occurrenceAt) {
+  return await env.DB.prepare("SELECT * FROM notifications WHERE todo_id = ? AND occurrence_at = ?").bind(todoId, occurrenceAt).first();
+}
+
+// 獲取任務最近一次已提醒、還沒回應的提醒
+async function getPendingNotification(env, todoId) {
+  return await env.DB.prepare("SELECT * FROM notifications WHERE todo_id = ? AND status = 'pending' ORDER BY occurrence_at DESC LIMIT 1").bind(todoId).first();
+}
+
+// 更新提醒狀態（使用者按下完成 / 延後 / 不再提醒），同時停止持續提醒
+async function updateNotificationStatus(env, todoId, occurrenceAt, status) {
+  const ackedAt = Math.floor(Date.now() / 1000);
+  await env.DB.prepare("UPDATE notifications SET status = ?, acked_at = ?, next_nag_at = NULL WHERE todo_id = ? AND occurrence_at = ?")
+    .bind(status, ackedAt, todoId, occurrenceAt).run();
+}
+
+// 暫停 / 重新排定持續提醒（勿擾中不催促，時段結束後再開始）
+async function setNotificationNextNag(env, notificationId, nextNagAt) {
+  await env.DB.prepare("UPDATE notifications SET next_nag_at = ? WHERE id = ?").bind(nextNagAt, notificationId).run();
+}
+
+// ============================================
+// 完成紀錄 (completions)
+// outcome: 'done' 完成 / 'skipped' 跳過 / 'missed' 錯過 / 'cancelled' 從這一次起取消
+// ============================================
+
+// 新增完成紀錄（task / all_day 會一併存下，母任務刪除後歷史仍可顯示）
+async function addCompletion(env, todo, occurrenceAt, outcome = 'done') {
+  const completedAt = Math.floor(Date.now() / 1000);
+  await env.DB.prepare("INSERT INTO completions (todo_id, user_id, task, all_day, occurrence_at, completed_at, outcome) VALUES (?, ?, ?, ?, ?, ?, ?)")
+    .bind(todo.id, todo.user_id, todo.task, todo.all_day ? 1 : 0, occurrenceAt, completedAt, outcome).run();
+}
+
+// 獲取完成紀錄（可指定發生時間範圍），由近到遠排序
+async function getCompletions(env, userId, startTs = null, endTs = null, limit = 15) {
+  if (startTs !== null && endTs !== null) {
+    const { results } = await env.DB.prepare("SELECT * FROM completions WHERE user_id = ? AND occurrence_at BETWEEN ? AND ? ORDER BY occurrence_at DESC LIMIT ?").bind(userId, startTs, endTs, limit).all();
+    return results;
+  }
+  const { results } = await env.DB.prepare("SELECT * FROM completions WHERE user_id = ? ORDER BY occurrence_at DESC LIMIT ?").bind(userId, limit).all();
+  return results;
+}
+
+// 清空使用者的完成紀錄
+async function deleteCompletions(env, userId) {
+  await env.DB.prepare("DELETE FROM completions WHERE user_id = ?").bind(userId).run();
+}
+
+// ============================================
+// 使用者設定 (users)
+// ============================================
+
+// 獲取使用者時區（未設定時回傳預設時區）
+async function getUserTimezone(env, userId) {
+  const row = await env.DB.prepare("SELECT timezone FROM users WHERE user_id = ?").bind(userId).first();
+  return row?.timezone || DEFAULT_TIMEZONE;
+}
+
+// 設定使用者時區
+async function setUserTimezone(env, userId, timeZone) {
+  await env.DB.prepare("INSERT INTO users (user_id, timezone) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET timezone = excluded.timezone")
+    .bind(userId, timeZone).run();
+}
+
+// 獲取使用者預設的提前提醒（分鐘數字串，例如 "60,10"）
+async function getUserDefaultAlerts(env, userId) {
+  const row = await env.DB.prepare("SELECT default_alerts FROM users WHERE user_id = ?").bind(userId).first();
+  return row?.default_alerts || null;
+}
+
+// 設定使用者預設的提前提醒（null 表示不使用）
+async function setUserDefaultAlerts(env, userId, alerts) {
+  await env.DB.prepare("INSERT INTO users (user_id, default_alerts) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET default_alerts = excluded.default_alerts")
+    .bind(userId, alerts).run();
+}
+
+// 獲取使用者的每日彙整時間設定（NULL 為預設、"off" 為關閉）
+async function getUserDigestTimes(env, userId) {
+  const row = await env.DB.prepare("SELECT digest_times FROM users WHERE user_id = ?").bind(userId).first();
+  return row?.digest_times ?? null;
+}
+
+// 設定使用者的每日彙整時間（null 表示恢復預設）
+async function setUserDigestTimes(env, userId, digestTimes) {
+  await env.DB.prepare("INSERT INTO users (user_id, digest_times) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET digest_times = excluded.digest_times")
+    .bind(userId, digestTimes).run();
+}
+
+// 獲取使用者的每週回顧時間（NULL 為未訂閱）
+async function getUserWeeklyReview(env, userId) {
+  const row = await env.DB.prepare("SELECT weekly_review FROM users WHERE user_id = ?").bind(userId).first();
+  return row?.weekly_review || null;
+}
+
+// 設定使用者的每週回顧時間（null 表示取消訂閱）
+async function setUserWeeklyReview(env, userId, review) {
+  await env.DB.prepare("INSERT INTO users (user_id, weekly_review) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET weekly_review = excluded.weekly_review")
+    .bind(userId, review).run();
+}
+
+// 獲取使用者的錯過補救方式（null 表示預設）
+async function getUserCatchUp(env, userId) {
+  const row = await env.DB.prepare("SELECT catch_up FROM users WHERE user_id = ?").bind(userId).first();
+  return row?.catch_up || null;
+}
+
+// 設定使用者的錯過補救方式
+async function setUserCatchUp(env, userId, policy) {
+  await env.DB.prepare("INSERT INTO users (user_id, catch_up) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET catch_up = excluded.catch_up")
+    .bind(userId, policy).run();
+}
+
+// 訂閱每週回顧的使用者
+async function getWeeklyReviewUsers(env) {
+  const { results } = await env.DB.prepare("SELECT user_id, timezone, weekly_review FROM users WHERE weekly_review IS NOT NULL").all();
+  return results;
+}
+
+// 獲取使用者的勿擾設定
+async function getUserQuietSettings(env, userId) {
+  const row = await env.DB.prepare("SELECT quiet_hours, dnd_days FROM users WHERE user_id = ?").bind(userId).first();
+  return { quietHours: row?.quiet_hours || null, dndDays: row?.dnd_days || null };
+}
+
+// 設定使用者的勿擾時段（null 表示關閉）
+async function setUserQuietHours(env, userId, quietHours) {
+  await env.DB.prepare("INSERT INTO users (user_id, quiet_hours) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET quiet_hours = excluded.quiet_hours")
+    .bind(userId, quietHours).run();
+}
+
+// 設定使用者整天勿擾的星期（null 表示沒有）
+async function setUserDndDays(env, userId, dndDays) {
+  await env.DB.prepare("INSERT INTO users (user_id, dnd_days) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET dnd_days = excluded.dnd_days")
+    .bind(userId, dndDays).run();
+}
+
+// 有設定勿擾的使用者（userId 不為 null 時只查這位使用者）
+async function getQuietUsers(env, userId = null) {
+  const { results } = await env.DB.prepare(
+    "SELECT user_id, timezone, quiet_hours, dnd_days FROM users WHERE (quiet_hours IS NOT NULL OR dnd_days IS NOT NULL) AND (? IS NULL OR user_id = ?)"
+  ).bind(userId, userId).all();
+  return results;
+}
+
+// ============================================
+// 勿擾暫存 (held_messages)
+// ============================================
+
+// 暫存一則勿擾中的通知
+async function holdMessage(env, userId, kind, text, todoId = null, occurrenceAt = null) {
+  await env.DB.prepare("INSERT INTO held_messages (user_id, kind, text, todo_id, occurrence_at, created_at) VALUES (?, ?, ?, ?, ?, ?)")
+    .bind(userId, kind, text, todoId, occurrenceAt, Math.floor(Date.now() / 1000)).run();
+}
+
+// 有暫存通知的使用者
+async function getHeldUserIds(env) {
+  const { results } = await env.DB.prepare("SELECT DISTINCT user_id FROM held_messages").all();
+  return results.map(r => r.user_id);
+}
+
+// 使用者暫存的通知（依暫存順序）
+async function getHeldMessages(env, userId) {
+  const { results } = await env.DB.prepare("SELECT * FROM held_messages WHERE user_id = ? ORDER BY id").bind(userId).all();
+  return results;
+}
+
+// 把暫存通知合併後的訊息排入 outbox，並刪除已合併的暫存（只刪到 maxId，避免刪到期間新暫存的）
+// 兩者在同一個 batch 內完成，不會重複或遺漏
+async function flushHeldMessages(env, userId, maxId, messages) {
+  await env.DB.batch([
+    ...messages.map(m => outboxStatement(env, m)),
+    env.DB.prepare("DELETE FROM held_messages WHERE user_id = ? AND id <= ?").bind(userId, maxId)
+  ]);
+}
+
+// ============================================
+// 每日彙整記錄 (digest_log)
+// ============================================
+
+/**
+ * 登記即將送出的每日彙整
+ * @param {string} localDate - 使用者當地日期 "YYYY-MM-DD"
+ * @param {number} digestMinute - 彙整時間（當地一天中的第幾分鐘）
+ * @returns {Promise<boolean>} 第一次登記時為 true，已經送過則為 false
+ */
+async function claimDigest(env, userId, localDate, digestMinute) {
+  const { meta } = await env.DB.prepare(
+    "INSERT OR IGNORE INTO digest_log (user_id, local_date, digest_minute, sent_at) VALUES (?, ?, ?, ?)"
+  ).bind(userId, localDate, digestMinute, Math.floor(Date.now() / 1000)).run();
+  return meta.changes > 0;
+}
+
+// 送出失敗時取消登記，讓下一次排程重試
+async function releaseDigest(env, userId, localDate, digestMinute) {
+  await env.DB.prepare("DELETE FROM digest_log WHERE user_id = ? AND local_date = ? AND digest_minute = ?")
+    .bind(userId, localDate, digestMinute).run();
+}
+
+// 清除過期的彙整記錄
+async function pruneDigestLog(env, beforeTs) {
+  await env.DB.prepare("DELETE FROM digest_log WHERE sent_at < ?").bind(beforeTs).run();
+}
+
+// 登記即將送出的每週回顧，當天已送過時回傳 false
+async function claimReview(env, userId, localDate) {
+  const { meta } = await env.DB.prepare("INSERT OR IGNORE INTO review_log (user_id, local_date, sent_at) VALUES (?, ?, ?)")
+    .bind(userId, localDate, Math.floor(Date.now() / 1000)).run();
+  return meta.changes > 0;
+}
+
+async function releaseReview(env, userId, localDate) {
+  await env.DB.prepare("DELETE FROM review_log WHERE user_id = ? AND local_date = ?").bind(userId, localDate).run();
+}
+
+// ============================================
+// 每週回顧統計
+// ============================================
+
+// 區間內各結果（done / skipped / missed）的完成紀錄筆數
+async function getCompletionCounts(env, userId, startTs, endTs) {
+  const { results } = await env.DB.prepare(
+    "SELECT outcome, COUNT(*) AS count FROM completions WHERE user_id = ? AND occurrence_at BETWEEN ? AND ? GROUP BY outcome"
+  ).bind(userId, startTs, endTs).all();
+  return Object.fromEntries(results.map(r => [r.outcome, r.count]));
+}
+
+/**
+ * 區間內每個循環任務已提醒的次數與完成次數
+ * @returns {Promise<Array<{id: number, task: string, fired: number, done: number, missed: number}>>}
+ */
+async function getRecurringAdherence(env, userId, startTs, endTs) {
+  const { results } = await env.DB.prepare(
+    `SELECT todos.id, todos.task, COUNT(*) AS fired,
+       SUM(CASE WHEN notifications.status = 'done' THEN 1 ELSE 0 END) AS done,
+       SUM(CASE WHEN notifications.status IN ('pending', 'dismissed') THEN 1 ELSE 0 END) AS missed
+     FROM notifications JOIN todos ON todos.id = notifications.todo_id
+     WHERE notifications.user_id = ? AND todos.cron_rule IS NOT NULL AND notifications.occurrence_at BETWEEN ? AND ?
+     GROUP BY todos.id ORDER BY todos.id`
+  ).bind(userId, startTs, endTs).all();
+  return results;
+}
+
+// 已過提醒時間卻還沒完成的單次任務
+async function getOverdueTodos(env, userId, nowTs) {
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM todos WHERE user_id = ? AND status = 0 AND cron_rule IS NULL AND remind_at > 0 AND remind_at < ? ORDER BY remind_at"
+  ).bind(userId, nowTs).all();
+  return results;
+}
+
+// ============================================
+// 發送佇列 (outbox)
+// ============================================
+
+// 排入佇列的 statement（dedupe_key 重複時忽略）
+// message: { userId, dedupeKey, text, replyMarkup, todoId, occurrenceAt }
+function outboxStatement(env, { userId, dedupeKey, text, replyMarkup = null, todoId = null, occurrenceAt = null }) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  return env.DB.prepare(`INSERT OR IGNORE INTO outbox (user_id, dedupe_key, text, reply_markup, todo_id, occurrence_at, status, next_attempt_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?)`)
+    .bind(String(userId), dedupeKey, text, replyMarkup ? JSON.stringify(replyMarkup) : null, todoId, occurrenceAt, nowTs, nowTs);
+}
+
+/**
+ * 排入一則訊息
+ * @returns {Promise<boolean>} 第一次排入時為 true，同一個 dedupeKey 已經排過則為 false
+ */
+async function enqueueMessage(env, message) {
+  const { meta } = await outboxStatement(env, message).run();
+  return meta.changes > 0;
+}
+
+// 該送出的訊息（一併帶出使用者是否停用）
+async function getDueOutbox(env, nowTs, limit, userId = null) {
+  const { results } = await env.DB.prepare(
+    `SELECT outbox.*, users.active FROM outbox LEFT JOIN users ON users.user_id = outbox.user_id
+     WHERE outbox.status = 'pending' AND outbox.next_attempt_at <= ? AND (? IS NULL OR outbox.user_id = ?)
+     ORDER BY outbox.id LIMIT ?`
+  ).bind(nowTs, userId, userId, limit).all();
+  return results;
+}
+
+// 搶下一則訊息準備送出，已經被其他排程搶走時回傳 false（next_attempt_at 記錄搶下的時間）
+async function claimOutbox(env, outboxId) {
+  const { meta } = await env.DB.prepare("UPDATE outbox SET status = 'sending', attempts = attempts + 1, next_attempt_at = ? WHERE id = ? AND status = 'pending'")
+    .bind(Math.floor(Date.now() / 1000), outboxId).run();
+  return meta.changes > 0;
+}
+
+// 送出成功：記錄訊息 id，提醒類訊息一併回填到 notifications
+async function markOutboxSent(env, row, messageId) {
+  const sentAt = Math.floor(Date.now() / 1000);
+  const stmts = [
+    env.DB.prepare("UPDATE outbox SET status = 'sent', message_id = ?, sent_at = ?, last_error = NULL WHERE id = ?").bind(messageId, sentAt, row.id)
+  ];
+  if (row.todo_id !== null && row.occurrence_at !== null) {
+    stmts.push(env.DB.prepare("UPDATE notifications SET message_id = ? WHERE todo_id = ? AND occurrence_at = ?").bind(messageId, row.todo_id, row.occurrence_at));
+  }
+  await env.DB.batch(stmts);
+}
+
+// 稍後重試
+async function retryOutbox(env, outboxId, nextAttemptAt, error) {
+  await env.DB.prepare("UPDATE outbox SET status = 'pending', next_attempt_at = ?, last_error = ? WHERE id = ?")
+    .bind(nextAttemptAt, error, outboxId).run();
+}
+
+// 不再重試：failed / dropped
+async function closeOutbox(env, outboxId, status, error = null) {
+  await env.DB.prepare("UPDATE outbox SET status = ?, last_error = ? WHERE id = ?").bind(status, error, outboxId).run();
+}
+
+// 送出中卻遲遲沒有結果（排程中途中斷）的訊息放回待送
+async function resetStaleOutbox(env, beforeTs) {
+  await env.DB.prepare("UPDATE outbox SET status = 'pending' WHERE status = 'sending' AND next_attempt_at < ?").bind(beforeTs).run();
+}
+
+// 清除已結束的舊訊息
+async function pruneOutbox(env, beforeTs) {
+  await env.DB.prepare("DELETE FROM outbox WHERE status IN ('sent', 'failed', 'dropped') AND created_at < ?").bind(beforeTs).run();
+}
+
+// 使用者封鎖了機器人：標記停用，待送的訊息全部放棄
+async function deactivateUser(env, userId) {
+  await env.DB.batch([
+    env.DB.prepare("INSERT INTO users (user_id, active) VALUES (?, 0) ON CONFLICT(user_id) DO UPDATE SET active = 0").bind(userId),
+    env.DB.prepare("UPDATE outbox SET status = 'dropped', last_error = 'blocked' WHERE user_id = ? AND status = 'pending'").bind(userId)
+  ]);
+}
+
+// 使用者再次互動時恢復發送
+async function reactivateUser(env, userId) {
+  await env.DB.prepare("UPDATE users SET active = 1 WHERE user_id = ? AND active = 0").bind(userId).run();
+}
+
+// ============================================
+// 排程掃描進度 (scheduler_cursors) 與使用者鬧鐘
+// ============================================
+
+// 讀取掃描游標（排序鍵陣列），沒有時為 null（從頭開始）
+async function getSchedulerCursor(env, name) {
+  const row = await env.DB.prepare("SELECT cursor FROM scheduler_cursors WHERE name = ?").bind(name).first();
+  return row?.cursor ? JSON.parse(row.cursor) : null;
+}
+
+// 儲存掃描游標（null 表示已掃完，下一次從頭開始）
+async function setSchedulerCursor(env, name, cursor) {
+  await env.DB.prepare(`INSERT INTO scheduler_cursors (name, cursor, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(name) DO UPDATE SET cursor = excluded.cursor, updated_at = excluded.updated_at`)
+    .bind(name, cursor ? JSON.stringify(cursor) : null, Math.floor(Date.now() / 1000)).run();
+}
+
+// 使用者最早需要排程處理的時間：還沒提醒的待辦、提前提醒、持續提醒、改期的那一次、等待重送的訊息（都沒有時為 null）
+async function getNextDueAt(env, userId) {
+  const row = await env.DB.prepare(
+    `SELECT MIN(t) AS due_at FROM (
+       SELECT MIN(remind_at) AS t FROM todos WHERE user_id = ? AND status = 0 AND remind_at > 0
+         AND NOT EXISTS (SELECT 1 FROM notifications WHERE notifications.todo_id = todos.id AND notifications.occurrence_at = todos.remind_at)
+       UNION ALL SELECT MIN(next_alert_at) FROM todos WHERE user_id = ? AND status = 0
+       UNION ALL SELECT MIN(notifications.next_nag_at) FROM notifications JOIN todos ON todos.id = notifications.todo_id
+         WHERE todos.user_id = ? AND notifications.status = 'pending'
+       UNION ALL SELECT MIN(todo_exceptions.new_at) FROM todo_exceptions JOIN todos ON todos.id = todo_exceptions.todo_id
+         WHERE todos.user_id = ? AND todo_exceptions.action = 'move' AND todo_exceptions.fired = 0
+       UNION ALL SELECT MIN(next_attempt_at) FROM outbox WHERE user_id = ? AND status = 'pending'
+     )`
+  ).bind(userId, userId, userId, userId, userId).first();
+  return row?.due_at ?? null;
+}
+
+// 使用者排程相關的設定，以及有沒有未完成的待辦 / 勿擾暫存的通知
+async function getUserScheduleSettings(env, userId) {
+  return await env.DB.prepare(
+    `SELECT users.timezone, users.digest_times, users.weekly_review, users.quiet_hours, users.dnd_days,
+       EXISTS (SELECT 1 FROM todos WHERE todos.user_id = ? AND todos.status = 0) AS has_open,
+       EXISTS (SELECT 1 FROM held_messages WHERE held_messages.user_id = ?) AS has_held
+     FROM (SELECT ? AS user_id) AS me LEFT JOIN users ON users.user_id = me.user_id`
+  ).bind(userId, userId, userId).first();
+}
+
+// ============================================
+// 對話狀態 (chat_states)
+// 按鈕流程需要使用者接著輸入文字時（例如改期要輸入新時間），暫存目前在等什麼
+// ============================================
+
+// 設定等待中的輸入（預設 10 分鐘後失效）
+async function setChatState(env, chatId, action, payload = {}, ttlSeconds = 600) {
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  await env.DB.prepare(`INSERT INTO chat_states (chat_id, action, payload, expires_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT(chat_id) DO UPDATE SET action = excluded.action, payload = excluded.payload, expires_at = excluded.expires_at`)
+    .bind(String(chatId), action, JSON.stringify(payload), expiresAt).run();
+}
+
+// 獲取等待中的輸入，過期視為沒有
+async function getChatState(env, chatId) {
+  const row = await env.DB.prepare("SELECT * FROM chat_states WHERE chat_id = ? AND expires_at > ?")
+    .bind(String(chatId), Math.floor(Date.now() / 1000)).first();
+  if (!row) return null;
+  return { action: row.action, payload: JSON.parse(row.payload || "{}") };
+}
+
+// 清除等待中的輸入
+async function clearChatState(env, chatId) {
+  await env.DB.prepare("DELETE FROM chat_states WHERE chat_id = ?").bind(String(chatId)).run();
+}
+
+// ============================================
+// 管理畫面的勾選狀態 (manage_sessions)
+// ============================================
+
+// 短 id 撞到既有的主鍵時，最多換幾次 id
+const SHORT_ID_ATTEMPTS = 5;
+
+// 放在 callback_data 裡的 6 碼 base36 id（捨棄 252 以上的位元組，每個字元的機率才會一樣）
+function newShortId(length = 6) {
+  let id = '';
+  while (id.length < length) {
+    for (const b of crypto.getRandomValues(new Uint8Array(length))) {
+      if (b < 252 && id.length < length) id += (b % 36).toString(36);
+    }
+  }
+  return id;
+}
+
+/**
+ * 以新的短 id 執行一組寫入，主鍵衝突時換一個 id 重試
+ * @param {(id: string) => Array} statementsFor - 依 id 產生要 batch 的語句
+ * @returns {Promise<string>} 成功寫入的 id
+ */
+async function batchWithShortId(env, statementsFor) {
+  for (let attempt = 1; ; attempt++) {
+    const id = newShortId();
+    try {
+      await env.DB.batch(statementsFor(id));
+      return id;
+    } catch (e) {
+      if (attempt >= SHORT_ID_ATTEMPTS || !/UNIQUE constraint failed/i.test(e.message)) throw e;
+      console.error(`[db] 短 id ${id} 重複，換一個再試`);
+    }
+  }
+}
+
+/**
+ * 建立管理畫面，順便清掉過期的
+ * @param {{mode: string, title: string, back: string|null, items: Array<{id: number, label: string}>, selected?: number[]}} session
+ * @returns {Promise<string>} session id
+ */
+async function createManageSession(env, userId, session, ttlSeconds = 86400) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  return await batchWithShortId(env, id => [
+    env.DB.prepare("DELETE FROM manage_sessions WHERE expires_at <= ?").bind(nowTs),
+    env.DB.prepare(`INSERT INTO manage_sessions (id, user_id, mode, title, back, items, selected, page, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 0, ?)`)
+      .bind(id, String(userId), session.mode, session.title, session.back || null, JSON.stringify(session.items), JSON.stringify(session.selected || []), nowTs + ttlSeconds)
+  ]);
+}
+
+// 獲取管理畫面（只限本人，過期視為沒有）
+async function getManageSession(env, sessionId, userId) {
+  const row = await env.DB.prepare("SELECT * FROM manage_sessions WHERE id = ? AND user_id = ? AND expires_at > ?")
+    .bind(sessionId, String(userId), Math.floor(Date.now() / 1000)).first();
+  if (!row) return null;
+  return { ...row, items: JSON.parse(row.items), selected: JSON.parse(row.selected) };
+}
+
+// 更新勾選與頁數
+async function updateManageSession(env, sessionId, selected, page) {
+  await env.DB.prepare("UPDATE manage_sessions SET selected = ?, page = ? WHERE id = ?")
+    .bind(JSON.stringify(selected), page, sessionId).run();
+}
+
+// 操作完成後關閉管理畫面
+async function deleteManageSession(env, sessionId) {
+  await env.DB.prepare("DELETE FROM manage_sessions WHERE id = ?").bind(sessionId).run();
+}
+
+// ============================================
+// 確認卡片的任務草稿 (task_drafts)
+// ============================================
+
+/**
+ * 建立任務草稿，順便清掉過期的
+ * @param {'create'|'edit'|'batch'|'intent'|'clarify'} kind - intent 為自然語言操作既有任務時暫存的原始訊息與修改內容，clarify 為追問中的任務（見 clarify.js）
+ * @param {object} payload - 任務內容，見 migrations.js 的 task_drafts
+ * @param {number|null} [todoId=null] - 修改時為要修改的任務
+ * @returns {Promise<string>} 草稿 id
+ */
+async function createTaskDraft(env, userId, kind, payload, todoId = null, ttlSeconds = 86400) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  return await batchWithShortId(env, id => [
+    env.DB.prepare("DELETE FROM task_drafts WHERE expires_at <= ?").bind(nowTs),
+    env.DB.prepare("INSERT INTO task_drafts (id, user_id, kind, todo_id, payload, expires_at) VALUES (?, ?, ?, ?, ?, ?)")
+      .bind(id, String(userId), kind, todoId, JSON.stringify(payload), nowTs + ttlSeconds)
+  ]);
+}
+
+// 獲取任務草稿（只限本人，過期視為沒有）
+async function getTaskDraft(env, draftId, userId) {
+  const row = await env.DB.prepare("SELECT * FROM task_drafts WHERE id = ? AND user_id = ? AND expires_at > ?")
+    .bind(draftId, String(userId), Math.floor(Date.now() / 1000)).first();
+  if (!row) return null;
+  return { id: row.id, kind: row.kind, todoId: row.todo_id, payload: JSON.parse(row.payload) };
+}
+
+// 更新草稿內容（確認卡片上的切換）
+async function updateTaskDraft(env, draftId, payload) {
+  await env.DB.prepare("UPDATE task_drafts SET payload = ? WHERE id = ?").bind(JSON.stringify(payload), draftId).run();
 }
 
-// 添加歷史記錄
-async function addHistory(env, userId, task, remindAt) {
-  await env.DB.prepare("INSERT INTO todos (user_id, task, remind_at, status) VALUES (?, ?, ?, 1)").bind(userId, task, remindAt).run();
+// 用掉草稿：刪除成功才算搶到，重複按下儲存只會存一次
+async function deleteTaskDraft(env, draftId) {
+  const { meta } = await env.DB.prepare("DELETE FROM task_drafts WHERE id = ?").bind(draftId).run();
+  return meta.changes > 0;
 }
 
 export {
   initDatabase,
   addTodo,
   getTodos,
+  getTodoById,
   getTodosByTimeRange,
+  getDueTodos,
+  getTodosForDigest,
+  getOpenTodoUsers,
   updateTodoStatus,
   deleteTodosByIds,
   deleteTodosByStatus,
   updateCronTodoNextTime,
-  addHistory
+  finishCronTodo,
+  updateTodoNextAlert,
+  getDueAlertTodos,
+  logAlert,
+  updateTodoRemindAt,
+  updateTodoRule,
+  updateTodo,
+  setTodoException,
+  deleteTodoException,
+  getTodoExceptions,
+  getTodoException,
+  getDueMovedOccurrences,
+  markTodoExceptionFired,
+  addNotification,
+  getNotification,
+  getPendingNotification,
+  updateNotificationStatus,
+  getDueNags,
+  updateNotificationNag,
+  addCompletion,
+  getCompletions,
+  deleteCompletions,
+  getUserTimezone,
+  setUserTimezone,
+  getUserDefaultAlerts,
+  setUserDefaultAlerts,
+  getUserDigestTimes,
+  setUserDigestTimes,
+  claimDigest,
+  releaseDigest,
+  pruneDigestLog,
+  getUserQuietSettings,
+  setUserQuietHours,
+  setUserDndDays,
+  getQuietUsers,
+  holdMessage,
+  getHeldUserIds,
+  getHeldMessages,
+  flushHeldMessages,
+  setNotificationNextNag,
+  getUserWeeklyReview,
+  setUserWeeklyReview,
+  getWeeklyReviewUsers,
+  getUserCatchUp,
+  setUserCatchUp,
+  claimReview,
+  releaseReview,
+  getCompletionCounts,
+  getRecurringAdherence,
+  getOverdueTodos,
+  getSchedulerCursor,
+  setSchedulerCursor,
+  getNextDueAt,
+  getUserScheduleSettings,
+  enqueueMessage,
+  getDueOutbox,
+  claimOutbox,
+  markOutboxSent,
+  retryOutbox,
+  closeOutbox,
+  resetStaleOutbox,
+  pruneOutbox,
+  deactivateUser,
+  reactivateUser,
+  setChatState,
+  getChatState,
+  clearChatState,
+  createManageSession,
+  getManageSession,
+  updateManageSession,
+  deleteManageSession,
+  createTaskDraft,
+  getTaskDraft,
+  updateTaskDraft,
+  deleteTaskDraft
 };
\ No newline at end of file
@@ -0,0 +1,182 @@
+// digest.js - 每日彙整 / 每週回顧時間模組
+// users.digest_times 存放使用者當地的彙整時間（一天中的第幾分鐘），例如 "540,1260" 代表 09:00 與 21:00
+// NULL 表示使用預設值，"off" 表示關閉每日彙整
+// 每一次彙整送出前都會先在 digest_log 登記（使用者 + 當地日期 + 時間），同一天的同一個時間只會送一次
+// users.weekly_review 存放每週回顧的時間 "星期,分鐘"（0 = 週日），例如 "0,1200" 代表週日 20:00；NULL 表示沒有訂閱
+
+const DEFAULT_DIGEST_TIMES = [9 * 60, 21 * 60];
+const DIGEST_OFF = 'off';
+// 一天最多幾次彙整
+const MAX_DIGESTS = 4;
+// 排程延遲或漏跑時，超過這個時間就不補送（避免半夜收到早上的彙整）
+const DIGEST_GRACE_MINUTES = 90;
+// 這個時間（含）之後的彙整會一併列出明天的待辦
+const EVENING_FROM = 18 * 60;
+
+// 每週回顧的預設時間：週日 20:00
+const DEFAULT_REVIEW = { weekday: 0, minute: 20 * 60 };
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+const WEEKDAY_RE = /(?:週|周|星期|禮拜)([日天一二三四五六])|\b(sun|mon|tue|wed|thu|fri|sat)[a-z]*\b/i;
+const WEEKDAY_EN = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// 「8」「8:30」「20：00」「晚上9點」「下午3點半」
+const TIME_RE = /(早上|上午|中午|下午|晚上)?\s*(\d{1,2})\s*(?:[:：]\s*(\d{2})|[點点]\s*(半|\d{1,2}\s*分?)?)?/g;
+
+/**
+ * 解析 /digest 指令的時間列表
+ * @param {string} text - 例如「8:00 21:30」或「早上8點 晚上9點半」
+ * @returns {number[]|null} 由早到晚的分鐘數；有看不懂的時間時回傳 null
+ */
+function parseDigestTimes(text) {
+  const minutes = [];
+  const rest = text.replace(TIME_RE, (_, period, h, colonMin, pointMin) => {
+    let hour = parseInt(h);
+    let minute = colonMin ? parseInt(colonMin) : (pointMin === '半' ? 30 : parseInt(pointMin) || 0);
+    if ((period === '下午' || period === '晚上') && hour < 12) hour += 12;
+    if (period === '中午' && hour < 11) hour += 12;
+    if (hour > 23 || minute > 59) return '?';
+    minutes.push(hour * 60 + minute);
+    return ' ';
+  });
+  if (!minutes.length || /[^\s,，、和及]/.test(rest)) return null;
+  return [...new Set(minutes)].sort((a, b) => a - b).slice(0, MAX_DIGESTS);
+}
+
+/**
+ * 資料庫字串 -> 彙整時間
+ * @param {string|null} str
+ * @returns {number[]} 關閉時為空陣列
+ */
+function parseDigestSetting(str) {
+  if (str === null || str === undefined || str === '') return DEFAULT_DIGEST_TIMES;
+  if (str === DIGEST_OFF) return [];
+  return String(str).split(',').map(Number).filter(n => Number.isInteger(n) && n >= 0 && n < 1440);
+}
+
+// 彙整時間 -> 資料庫字串（空陣列表示關閉）
+function formatDigestSetting(times) {
+  return times.length ? times.join(',') : DIGEST_OFF;
+}
+
+// 分鐘數 -> "09:00"
+function formatDigestTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * 彙整時間的中文描述，例如「09:00、21:00」
+ * @param {number[]} times
+ * @returns {string}
+ */
+function describeDigestTimes(times) {
+  return times.length ? times.map(formatDigestTime).join('、') : '已關閉';
+}
+
+/**
+ * 目前應該送出的彙整時間（已過表定時間、但還在補送期限內）
+ * @param {number[]} times - 彙整時間
+ * @param {Date} nowLocal - 使用者當地的「本地時間」Date（UTC 欄位即當地時間）
+ * @returns {number[]}
+ */
+function dueDigestTimes(times, nowLocal) {
+  const nowMinutes = nowLocal.getUTCHours() * 60 + nowLocal.getUTCMinutes();
+  return times.filter(t => nowMinutes >= t && nowMinutes - t < DIGEST_GRACE_MINUTES);
+}
+
+/**
+ * 距離下一次彙整還有幾分鐘（不含現在這一分鐘已到的）
+ * @param {number[]} times - 彙整時間，由早到晚
+ * @param {Date} nowLocal - 使用者當地的「本地時間」Date
+ * @returns {number|null} 沒有彙整時間時為 null
+ */
+function minutesUntilDigest(times, nowLocal) {
+  if (!times.length) return null;
+  const nowMinutes = nowLocal.getUTCHours() * 60 + nowLocal.getUTCMinutes();
+  const next = times.find(t => t > nowMinutes);
+  return next !== undefined ? next - nowMinutes : times[0] + 1440 - nowMinutes;
+}
+
+// 傍晚之後的彙整一併列出明天
+function isEveningDigest(minutes) {
+  return minutes >= EVENING_FROM;
+}
+
+/**
+ * 解析 /review 指令的時間，例如「週日 20:00」「星期五晚上8點」
+ * 只給星期時用預設的 20:00，只給時間時用預設的週日
+ * @param {string} text
+ * @returns {{weekday: number, minute: number}|null}
+ */
+function parseReviewSchedule(text) {
+  let weekday = DEFAULT_REVIEW.weekday;
+  const m = text.match(WEEKDAY_RE);
+  if (m) {
+    weekday = m[1] ? (m[1] === '天' ? 0 : WEEKDAY_NAMES.indexOf(m[1])) : WEEKDAY_EN.indexOf(m[2].toLowerCase());
+  }
+  const rest = text.replace(WEEKDAY_RE, ' ').trim();
+  if (!rest) return m ? { weekday, minute: DEFAULT_REVIEW.minute } : null;
+
+  const times = parseDigestTimes(rest);
+  if (!times || times.length !== 1) return null;
+  return { weekday, minute: times[0] };
+}
+
+// 資料庫字串 <-> 每週回顧時間（null 表示沒有訂閱）
+function parseReviewSetting(str) {
+  if (!str) return null;
+  const [weekday, minute] = String(str).split(',').map(Number);
+  if (!(weekday >= 0 && weekday <= 6 && minute >= 0 && minute < 1440)) return null;
+  return { weekday, minute };
+}
+
+function formatReviewSetting(review) {
+  return review ? `${review.weekday},${review.minute}` : null;
+}
+
+// 每週回顧時間的中文描述，例如「每週日 20:00」
+function describeReviewSchedule(review) {
+  return review ? `每週${WEEKDAY_NAMES[review.weekday]} ${formatDigestTime(review.minute)}` : '未訂閱';
+}
+
+/**
+ * 每週回顧是否該送出（今天是設定的星期、已過表定時間且在補送期限內）
+ * @param {{weekday: number, minute: number}|null} review
+ * @param {Date} nowLocal - 使用者當地的「本地時間」Date
+ */
+function isReviewDue(review, nowLocal) {
+  if (!review || nowLocal.getUTCDay() !== review.weekday) return false;
+  return dueDigestTimes([review.minute], nowLocal).length > 0;
+}
+
+/**
+ * 距離下一次每週回顧還有幾分鐘（不含現在這一分鐘已到的）
+ * @param {{weekday: number, minute: number}|null} review
+ * @param {Date} nowLocal - 使用者當地的「本地時間」Date
+ * @returns {number|null} 沒有訂閱時為 null
+ */
+function minutesUntilReview(review, nowLocal) {
+  if (!review) return null;
+  const nowMinutes = nowLocal.getUTCDay() * 1440 + nowLocal.getUTCHours() * 60 + nowLocal.getUTCMinutes();
+  const diff = review.weekday * 1440 + review.minute - nowMinutes;
+  return diff > 0 ? diff : diff + 7 * 1440;
+}
+
+export {
+  DEFAULT_DIGEST_TIMES,
+  DEFAULT_REVIEW,
+  MAX_DIGESTS,
+  parseDigestTimes,
+  parseDigestSetting,
+  formatDigestSetting,
+  formatDigestTime,
+  describeDigestTimes,
+  dueDigestTimes,
+  minutesUntilDigest,
+  isEveningDigest,
+  parseReviewSchedule,
+  parseReviewSetting,
+  formatReviewSetting,
+  describeReviewSchedule,
+  isReviewDue,
+  minutesUntilReview
+};
@@ -0,0 +1,188 @@
+// llm.js - AI 服務提供者模組
+// callAI（見 ai.js）只管提示詞與 JSON，實際呼叫哪個 AI 服務由環境變數決定：
+// - AI_PROVIDERS：依序嘗試的提供者，逗號分隔，例如 "openai,workers,pollinations"（預設 "pollinations"）
+//   前一個失敗、逾時或回傳的內容不能用時換下一個
+// - 每個提供者的設定為 AI_<名稱>_*（名稱轉大寫）：TYPE、BASE_URL、API_KEY、MODEL、TIMEOUT_MS
+//   內建的名稱（見 PRESETS）已有預設值，只需補上 API key；其他名稱需要 BASE_URL（TYPE 預設為 openai）
+// - AI_TIMEOUT_MS：沒有個別設定時的逾時（毫秒），以 AbortController 中斷請求（Workers 不支援 fetch 的 timeout 選項）
+// 提供者種類：
+// - openai：任何 OpenAI 相容的 /chat/completions（OpenAI、Pollinations、本機的 Ollama / llama.cpp server）
+// - workers：Cloudflare Workers AI（wrangler.toml 的 [ai] binding，預設名稱 AI）
+// - mock：不連線，依提示詞回傳固定的 JSON（離線開發用，AI_MOCK_RESPONSE 可以指定回應）
+
+// 沒有設定時的逾時
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// 內建的提供者：名稱 -> 預設設定（apiKeyVar 為沿用的舊環境變數）
+const PRESETS = {
+  pollinations: { type: "openai", baseUrl: "https://gen.pollinations.ai/v1", model: "openai-fast", apiKeyVar: "POLLINATIONS_API_KEY", extraBody: { jsonMode: true } },
+  openai: { type: "openai", baseUrl: "https://api.openai.com/v1", model: "gpt-4o-mini", apiKeyVar: "OPENAI_API_KEY", extraBody: { response_format: { type: "json_object" } } },
+  ollama: { type: "openai", baseUrl: "http://localhost:11434/v1", model: "llama3.1" },
+  llamacpp: { type: "openai", baseUrl: "http://localhost:8080/v1", model: "default" },
+  workers: { type: "workers", model: "@cf/meta/llama-3.1-8b-instruct" },
+  mock: { type: "mock" }
+};
+
+/**
+ * 依環境變數列出要依序嘗試的提供者
+ * @returns {Array<{name: string, type: string, baseUrl?: string, apiKey?: string, model?: string, timeoutMs: number, extraBody?: object}>}
+ * 設定不完整的提供者會被略過（並記錄下來）
+ */
+function getProviders(env) {
+  const names = String(env.AI_PROVIDERS || "pollinations").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+  const defaultTimeout = parseInt(env.AI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+
+  return names.map(name => {
+    const preset = PRESETS[name] || {};
+    const setting = (key) => env[`AI_${name.toUpperCase()}_${key}`];
+    const provider = {
+      name,
+      type: String(setting("TYPE") || preset.type || "openai").toLowerCase(),
+      baseUrl: String(setting("BASE_URL") || preset.baseUrl || "").replace(/\/+$/, ""),
+      apiKey: setting("API_KEY") || (preset.apiKeyVar ? env[preset.apiKeyVar] : undefined),
+      model: setting("MODEL") || preset.model,
+      timeoutMs: parseInt(setting("TIMEOUT_MS")) || defaultTimeout,
+      extraBody: preset.extraBody
+    };
+    if (!PROVIDER_TYPES[provider.type]) {
+      console.error(`[llm] 提供者 ${name} 的類型 ${provider.type} 不支援，略過`);
+      return null;
+    }
+    if (provider.type === "openai" && !provider.baseUrl) {
+      console.error(`[llm] 提供者 ${name} 沒有設定 AI_${name.toUpperCase()}_BASE_URL，略過`);
+      return null;
+    }
+    return provider;
+  }).filter(Boolean);
+}
+
+/**
+ * 執行一次請求，超過時間就中斷
+ * @param {(signal: AbortSignal) => Promise<any>} run - 收到 signal 時應中斷請求
+ */
+async function withTimeout(run, timeoutMs, label) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${label} 逾時（${timeoutMs}ms）`));
+    }, timeoutMs);
+  });
+  try {
+    // 不支援 signal 的請求（例如 Workers AI binding）也以 race 的方式放棄等待
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// OpenAI 相容的 /chat/completions
+async function completeOpenAI(provider, prompt, signal) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (provider.apiKey) headers['Authorization'] = `Bearer ${provider.apiKey}`;
+
+  const res = await fetch(`${provider.baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model: provider.model,
+      messages: [{ role: "user", content: prompt }],
+      ...provider.extraBody
+    }),
+    signal
+  });
+
+  if (!res.ok) {
+    const errText = await res.text();
+    throw new Error(`API Status ${res.status}: ${errText}`);
+  }
+
+  // 先檢查 response 是否為空
+  const text = await res.text();
+  if (!text || text.trim() === "") {
+    throw new Error("API returned empty response");
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (parseError) {
+    throw new Error(`Failed to parse JSON response: ${parseError.message}. Raw response: ${text.substring(0, 200)}...`);
+  }
+
+  // 檢查 data 結構是否正確
+  if (!data || !data.choices || data.choices.length === 0) {
+    throw new Error(`Invalid API response structure: missing choices array. Response: ${JSON.stringify(data).substring(0, 200)}...`);
+  }
+  return data.choices[0].message?.content || "";
+}
+
+// Cloudflare Workers AI（binding 名稱可用 AI_<名稱>_BINDING 指定，預設 AI）
+async function completeWorkers(provider, prompt, _signal, env) {
+  const binding = env[env[`AI_${provider.name.toUpperCase()}_BINDING`] || "AI"];
+  if (!binding?.run) throw new Error("Workers AI binding 未設定（wrangler.toml 的 [ai]）");
+  const result = await binding.run(provider.model, { messages: [{ role: "user", content: prompt }] });
+  // 文字模型回傳 { response: string }；部分模型在 JSON 模式下直接回傳物件
+  const response = result?.response ?? result;
+  return typeof response === "string" ? response : JSON.stringify(response);
+}
+
+// 離線開發用：從提示詞取出使用者輸入，依提示詞的種類回傳最基本的結果
+async function completeMock(_provider, prompt, _signal, env) {
+  if (env.AI_MOCK_RESPONSE) return String(env.AI_MOCK_RESPONSE);
+  const input = (/# USER INPUT:\s*\n"([\s\S]*?)"\s*(?:\n|$)/.exec(prompt) || [])[1] || "";
+  if (prompt.includes("Intent Classifier")) {
+    return JSON.stringify({ intent: "create", target: null, targetTime: null, all: false, newTime: null, newTask: null, newRule: null });
+  }
+  if (prompt.includes("Time Expression Extractor")) {
+    return JSON.stringify({ timeExpression: input, label: input });
+  }
+  return JSON.stringify({ task: input || "未命名任務", time: null, rule: null, isAllDay: false, confidence: 1, ambiguities: [] });
+}
+
+const PROVIDER_TYPES = {
+  openai: completeOpenAI,
+  workers: completeWorkers,
+  mock: completeMock
+};
+
+/**
+ * 依 AI_PROVIDERS 的順序呼叫 AI，第一個成功的結果為準
+ * @param {string} prompt
+ * @param {(content: string) => any} accept - 檢查並轉換回應內容，丟出錯誤時換下一個提供者
+ * @returns {Promise<any>} accept 的回傳值
+ * 全部失敗時丟出最後一個錯誤（message 列出每個提供者的失敗原因，最後的原始回應在 e.rawContent）
+ */
+async function completeWithFallback(env, prompt, accept) {
+  const providers = getProviders(env);
+  if (!providers.length) throw new Error("沒有可用的 AI 提供者，請檢查 AI_PROVIDERS 設定");
+
+  const failures = [];
+  let lastError = null;
+  for (const provider of providers) {
+    let content = "";
+    try {
+      content = await withTimeout(
+        signal => PROVIDER_TYPES[provider.type](provider, prompt, signal, env),
+        provider.timeoutMs,
+        provider.name
+      );
+      return accept(content);
+    } catch (e) {
+      console.error(`[llm] ${provider.name} 失敗:`, e.message);
+      failures.push(`${provider.name}: ${e.message}`);
+      e.rawContent = content;
+      lastError = e;
+    }
+  }
+
+  if (failures.length > 1) lastError.message = failures.join(" / ");
+  throw lastError;
+}
+
+export {
+  PRESETS,
+  getProviders,
+  completeWithFallback
+};
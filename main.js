@@ -1,14 +1,27 @@
 import { Bot, InlineKeyboard } from "grammy";
-import { initDatabase } from "./db.js";
+import { initDatabase, reactivateUser } from "./db.js";
 import { handleMessage, handleCallbackQuery } from "./router.js";
 import { processScheduledReminders } from "./task.js";
+import { armUserScheduler } from "./scheduler.js";
+
+export { ReminderScheduler } from "./scheduler.js";
 
 export default {
   async fetch(request, env, ctx) {
-    await initDatabase(env);
+    await initDatabase(env); // 只有 isolate 首次請求會執行遷移
     const bot = new Bot(env.BOT_TOKEN);
     await bot.init(); // 初始化機器人
 
+    // 使用者有互動就表示沒有封鎖機器人，之前因 403 停用的恢復發送
+    // 處理完後重新排定這位使用者的提醒鬧鐘（新增、修改、完成任務或改設定都會影響下一次提醒的時間）
+    bot.use(async (botCtx, next) => {
+      if (!botCtx.from) return next();
+      const userId = botCtx.from.id.toString();
+      await reactivateUser(env, userId);
+      await next();
+      ctx.waitUntil(armUserScheduler(env, userId));
+    });
+
     // --- 新增: /help 指令處理 ---
     bot.command("help", async (ctx) => {
       const helpMessage = `🐱 <b>喵～待辦事項機器人使用說明</b>
@@ -18,12 +31,24 @@ export default {
 • <code>/list [時間範圍]</code> - 查詢特定時間範圍的任務
   • 例如：<code>/list today</code>, <code>/list tomorrow</code>, <code>/list this week</code>
 • <code>/history</code> - 查看已完成的任務歷史
+• <code>/done</code> - 完成任務（例如 <code>/done 2</code> 或 <code>/done 繳費</code>，也可以按清單上的 ✅）
+• <code>/edit</code> - 修改任務的內容、時間、全天或重複規則（也可以按清單上的 ✏️）
 • <code>/history [時間範圍]</code> - 查詢特定時間範圍的歷史記錄
+• <code>/timezone</code> - 查看或設定你的時區（例如 <code>/timezone Asia/Tokyo</code>）
+• <code>/digest</code> - 設定每日彙整的時間或關閉（例如 <code>/digest 8:00 21:30</code>）
+• <code>/review</code> - 訂閱每週回顧（例如 <code>/review 週日 20:00</code>，<code>/review now</code> 立刻查看）
+• <code>/quiet</code> - 設定勿擾時段與勿擾日（例如 <code>/quiet 23:00-07:00</code>），「緊急」的任務照常提醒
+• <code>/alerts</code> - 設定預設的提前提醒（例如 <code>/alerts 1天 1小時 10分鐘</code>）
+• <code>/catchup</code> - 設定例行任務錯過好幾次時要怎麼處理
 
 <b>任務建立喵：</b>
 • 直接輸入任務描述，例如："提醒我明天下午3點開會"
   • 支援自然語言時間表達：今天、明天、後天、週一、下週、本月、明年等
   • 支援週期性任務：每天、每週一、每月5號、每年1月1號等
+  • 支援提前提醒：「明天下午3點開會 提前30分鐘提醒」
+  • 一次輸入多個任務：每行一個（可以用 - 或 1. 條列），或用「然後 / 還有」連接
+  • 沒說時間或時間不清楚（例如「週五」是這週還是下週）時，喵會先問一下，點選項或直接輸入時間回答
+• 直接說要怎麼處理既有的任務：「把明天的開會改到後天下午」「刪掉所有健身的提醒」「我買完牛奶了」，確認後才會套用
 
 <b>例行性任務查詢喵：</b>
 • <code>/list 例行</code> 或 <code>/list 重複</code> - 查看所有週期性任務
@@ -62,7 +87,9 @@ export default {
   },
 
   // --- 9. 定時任務 (Cron Trigger) ---
+  // 準時的提醒由各使用者的 ReminderScheduler 鬧鐘負責，這裡是掃描所有使用者的安全網
   async scheduled(event, env, ctx) {
+    await initDatabase(env);
     const bot = new Bot(env.BOT_TOKEN);
     await processScheduledReminders(bot, env);
   }
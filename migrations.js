@@ -0,0 +1,371 @@
+// migrations.js - 資料庫版本遷移模組
+import { normalizeRule } from "./recurrence.js";
+
+// ============================================
+// 遷移步驟（依版本號遞增，已發佈的步驟請勿修改，只能在尾端追加）
+//
+// statements: 固定的 SQL
+// buildStatements(env): 需要先讀資料再決定的更新（回傳 D1 prepared statements），
+//                       會和 statements 放在同一個 batch 執行
+// ============================================
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_todos",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS todos (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        task TEXT NOT NULL,
+        remind_at INTEGER NOT NULL,
+        cron_rule TEXT,
+        all_day INTEGER DEFAULT 0,
+        status INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: "create_completions",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS completions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        todo_id INTEGER,
+        user_id TEXT NOT NULL,
+        task TEXT NOT NULL,
+        all_day INTEGER DEFAULT 0,
+        occurrence_at INTEGER NOT NULL,
+        completed_at INTEGER NOT NULL,
+        outcome TEXT NOT NULL DEFAULT 'done'
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_completions_user_occurrence ON completions (user_id, occurrence_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_completions_todo ON completions (todo_id)`,
+      // 舊版歷史是複製回 todos 的 status = 1 列（單次任務本身也會被標成 1），依 使用者/內容/時間 去重後搬過來
+      `INSERT INTO completions (todo_id, user_id, task, all_day, occurrence_at, completed_at, outcome)
+        SELECT NULL, user_id, task, MAX(all_day), remind_at, remind_at, 'done'
+        FROM todos WHERE status = 1
+        GROUP BY user_id, task, remind_at`,
+      `DELETE FROM todos WHERE status = 1`
+    ]
+  },
+  {
+    version: 3,
+    name: "create_users",
+    statements: [
+      `CREATE TABLE IF NOT EXISTS users (
+        user_id TEXT PRIMARY KEY,
+        timezone TEXT NOT NULL DEFAULT 'Asia/Taipei',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`
+    ]
+  },
+  {
+    version: 4,
+    name: "cron_rule_to_rrule",
+    statements: [],
+    // 舊格式 daily / weekly:1,3 / monthly:15 / yearly:01-01 轉為 RRULE，無法辨識的視為單次
+    async buildStatements(env) {
+      const { results } = await env.DB.prepare(
+        "SELECT id, cron_rule FROM todos WHERE cron_rule IS NOT NULL AND cron_rule NOT LIKE 'FREQ=%'"
+      ).all();
+      return results.map(row =>
+        env.DB.prepare("UPDATE todos SET cron_rule = ? WHERE id = ?").bind(normalizeRule(row.cron_rule), row.id)
+      );
+    }
+  },
+  {
+    version: 5,
+    name: "todos_remaining_count",
+    // RRULE 的 COUNT 是總次數，剩餘次數另外記錄（NULL 表示不限次數）
+    statements: [
+      `ALTER TABLE todos ADD COLUMN remaining_count INTEGER`
+    ]
+  },
+  {
+    version: 6,
+    name: "create_todo_exceptions_and_chat_states",
+    statements: [
+      // 循環任務的單次例外：跳過某一次，或把某一次改到 new_at
+      `CREATE TABLE IF NOT EXISTS todo_exceptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        todo_id INTEGER NOT NULL,
+        occurrence_at INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        new_at INTEGER,
+        fired INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (todo_id, occurrence_at)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_todo_exceptions_due ON todo_exceptions (action, fired, new_at)`,
+      // 按鈕流程中等待使用者輸入文字的狀態
+      `CREATE TABLE IF NOT EXISTS chat_states (
+        chat_id TEXT PRIMARY KEY,
+        action TEXT NOT NULL,
+        payload TEXT,
+        expires_at INTEGER NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 7,
+    name: "create_notifications",
+    statements: [
+      // 每一次已送出的提醒（任務 + 發生時間），使用者按下完成 / 延後前都是 pending
+      `CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        todo_id INTEGER NOT NULL,
+        user_id TEXT NOT NULL,
+        occurrence_at INTEGER NOT NULL,
+        message_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'pending',
+        sent_at INTEGER NOT NULL,
+        acked_at INTEGER,
+        UNIQUE (todo_id, occurrence_at)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_notifications_user_status ON notifications (user_id, status)`
+    ]
+  },
+  {
+    version: 8,
+    name: "nagging",
+    statements: [
+      // todos.nag = 1：沒按完成前會持續提醒
+      `ALTER TABLE todos ADD COLUMN nag INTEGER NOT NULL DEFAULT 0`,
+      `ALTER TABLE notifications ADD COLUMN nag_count INTEGER NOT NULL DEFAULT 0`,
+      `ALTER TABLE notifications ADD COLUMN next_nag_at INTEGER`,
+      `CREATE INDEX IF NOT EXISTS idx_notifications_nag ON notifications (status, next_nag_at)`
+    ]
+  },
+  {
+    version: 9,
+    name: "lead_time_alerts",
+    statements: [
+      // 提前提醒：alerts 為提前分鐘數（例如 "1440,60,10"），next_alert_at 為下一個要送出的時間
+      `ALTER TABLE todos ADD COLUMN alerts TEXT`,
+      `ALTER TABLE todos ADD COLUMN next_alert_at INTEGER`,
+      `CREATE INDEX IF NOT EXISTS idx_todos_next_alert ON todos (next_alert_at)`,
+      `ALTER TABLE users ADD COLUMN default_alerts TEXT`,
+      // 已送出的提前提醒，確保每一次發生的每個提前量只送一次
+      `CREATE TABLE IF NOT EXISTS alert_log (
+        todo_id INTEGER NOT NULL,
+        occurrence_at INTEGER NOT NULL,
+        lead_minutes INTEGER NOT NULL,
+        sent_at INTEGER NOT NULL,
+        PRIMARY KEY (todo_id, occurrence_at, lead_minutes)
+      )`
+    ]
+  },
+  {
+    version: 10,
+    name: "digest_schedule",
+    statements: [
+      // 每日彙整時間：當地一天中的第幾分鐘（例如 "540,1260"），NULL 為預設 09:00 / 21:00，"off" 為關閉
+      `ALTER TABLE users ADD COLUMN digest_times TEXT`,
+      // 已送出的每日彙整，確保每位使用者每天的每個彙整時間只送一次
+      `CREATE TABLE IF NOT EXISTS digest_log (
+        user_id TEXT NOT NULL,
+        local_date TEXT NOT NULL,
+        digest_minute INTEGER NOT NULL,
+        sent_at INTEGER NOT NULL,
+        PRIMARY KEY (user_id, local_date, digest_minute)
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_digest_log_sent ON digest_log (sent_at)`
+    ]
+  },
+  {
+    version: 11,
+    name: "weekly_review",
+    statements: [
+      // 每週回顧（需自行訂閱）："星期,分鐘"，NULL 為未訂閱
+      `ALTER TABLE users ADD COLUMN weekly_review TEXT`,
+      // 已送出的每週回顧，local_date 為送出當天的當地日期
+      `CREATE TABLE IF NOT EXISTS review_log (
+        user_id TEXT NOT NULL,
+        local_date TEXT NOT NULL,
+        sent_at INTEGER NOT NULL,
+        PRIMARY KEY (user_id, local_date)
+      )`
+    ]
+  },
+  {
+    version: 12,
+    name: "quiet_hours",
+    statements: [
+      // 勿擾時段 "開始,結束"（當地分鐘數）與整天勿擾的星期 "0,6"
+      `ALTER TABLE users ADD COLUMN quiet_hours TEXT`,
+      `ALTER TABLE users ADD COLUMN dnd_days TEXT`,
+      // todos.urgent = 1：勿擾時段也照常提醒
+      `ALTER TABLE todos ADD COLUMN urgent INTEGER NOT NULL DEFAULT 0`,
+      // 勿擾中暫存的通知，kind: reminder / alert / digest / review
+      `CREATE TABLE IF NOT EXISTS held_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        text TEXT NOT NULL,
+        todo_id INTEGER,
+        occurrence_at INTEGER,
+        created_at INTEGER NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_held_messages_user ON held_messages (user_id)`
+    ]
+  },
+  {
+    version: 13,
+    name: "outbox",
+    statements: [
+      // 排程產生的訊息先排入佇列再送出；dedupe_key 讓同一則通知只會排入一次
+      // status: pending 待送 / sending 送出中 / sent 已送出 / failed 放棄 / dropped 使用者已封鎖
+      `CREATE TABLE IF NOT EXISTS outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        dedupe_key TEXT NOT NULL UNIQUE,
+        text TEXT NOT NULL,
+        reply_markup TEXT,
+        todo_id INTEGER,
+        occurrence_at INTEGER,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_error TEXT,
+        message_id INTEGER,
+        created_at INTEGER NOT NULL,
+        sent_at INTEGER
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox (status, next_attempt_at)`,
+      // 封鎖機器人（403）的使用者標記為停用，再次互動時恢復
+      `ALTER TABLE users ADD COLUMN active INTEGER NOT NULL DEFAULT 1`
+    ]
+  },
+  {
+    version: 14,
+    name: "scheduler_indexes_and_cursors",
+    statements: [
+      // 排程掃描到期任務、以及依使用者查詢待辦用的索引
+      `CREATE INDEX IF NOT EXISTS idx_todos_status_remind ON todos (status, remind_at)`,
+      `CREATE INDEX IF NOT EXISTS idx_todos_user_status ON todos (user_id, status)`,
+      `CREATE INDEX IF NOT EXISTS idx_notifications_todo_occurrence ON notifications (todo_id, occurrence_at)`,
+      // 分批掃描的進度：一次排程沒掃完時記下最後一筆的排序鍵，下一次從這裡繼續
+      `CREATE TABLE IF NOT EXISTS scheduler_cursors (
+        name TEXT PRIMARY KEY,
+        cursor TEXT,
+        updated_at INTEGER NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 15,
+    name: "catch_up_policy",
+    statements: [
+      // 循環任務錯過好幾次時的處理方式：NULL / 'once' 只提醒最近一次、'missed' 另外記錄錯過、'summary' 提醒時附上錯過次數
+      `ALTER TABLE users ADD COLUMN catch_up TEXT`
+    ]
+  },
+  {
+    version: 16,
+    name: "manage_sessions",
+    statements: [
+      // 管理畫面的勾選狀態存在伺服器端，callback_data 只帶短的 session id
+      // items: 開啟時的任務清單快照 [{id, label}]；selected: 已勾選的任務 id
+      `CREATE TABLE IF NOT EXISTS manage_sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        mode TEXT NOT NULL,
+        title TEXT NOT NULL,
+        back TEXT,
+        items TEXT NOT NULL,
+        selected TEXT NOT NULL,
+        page INTEGER NOT NULL DEFAULT 0,
+        expires_at INTEGER NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_manage_sessions_expires ON manage_sessions (expires_at)`
+    ]
+  },
+  {
+    version: 17,
+    name: "task_drafts",
+    statements: [
+      // 確認卡片上的任務草稿，按鈕只帶草稿 id；kind: create 新增 / edit 修改 todo_id
+      // payload: {task, remindAt, cronRule, allDay, nag, alerts, urgent, originalText, source, timeZone}
+      `CREATE TABLE IF NOT EXISTS task_drafts (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        todo_id INTEGER,
+        payload TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_task_drafts_expires ON task_drafts (expires_at)`
+    ]
+  },
+  {
+    version: 18,
+    name: "recurring_anchor",
+    statements: [
+      // 循環任務的起點（第一次發生時間）：之後每一次的幾點幾分與 INTERVAL 都以它推算，
+      // 夏令時間跳過的那一天順延後，下一次不會跟著停在順延後的時間
+      `ALTER TABLE todos ADD COLUMN anchor_at INTEGER`,
+      `UPDATE todos SET anchor_at = remind_at WHERE cron_rule IS NOT NULL AND remind_at > 0`
+    ]
+  }
+];
+
+/**
+ * 讀取目前已套用的 schema 版本
+ * @returns {Promise<number>} 尚未遷移過時回傳 0
+ */
+async function getSchemaVersion(env) {
+  const row = await env.DB.prepare("SELECT MAX(version) AS version FROM schema_migrations").first();
+  return row?.version || 0;
+}
+
+/**
+ * 依序套用尚未執行的遷移步驟
+ * 每個步驟與版本記錄放在同一個 batch（D1 會以交易執行），失敗時整步回滾
+ * @returns {Promise<number>} 遷移後的 schema 版本
+ */
+async function runMigrations(env) {
+  await env.DB.prepare(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `).run();
+
+  let current = await getSchemaVersion(env);
+  const pending = MIGRATIONS
+    .filter(m => m.version > current)
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    const stmts = migration.statements.map(sql => env.DB.prepare(sql));
+    if (migration.buildStatements) {
+      stmts.push(...await migration.buildStatements(env));
+    }
+    stmts.push(
+      env.DB.prepare("INSERT OR IGNORE INTO schema_migrations (version, name) VALUES (?, ?)")
+        .bind(migration.version, migration.name)
+    );
+
+    try {
+      await env.DB.batch(stmts);
+      console.log(`[migrations] 已套用 v${migration.version} ${migration.name}`);
+    } catch (e) {
+      // 可能是其他 isolate 同時在遷移（例如 ALTER TABLE 重複加欄位），重新確認版本
+      current = await getSchemaVersion(env);
+      if (current >= migration.version) continue;
+      throw new Error(`遷移 v${migration.version} ${migration.name} 失敗: ${e.message}`);
+    }
+    current = migration.version;
+  }
+
+  return current;
+}
+
+export {
+  MIGRATIONS,
+  getSchemaVersion,
+  runMigrations
+};
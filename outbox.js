@@ -0,0 +1,120 @@
+// outbox.js - 訊息發送佇列模組
+// 排程產生的通知不直接呼叫 Telegram，而是先排入 outbox（見 db.js 的 enqueueMessage），再由 deliverOutbox 逐筆送出：
+// - 每則訊息有自己的狀態，單一失敗不會中斷其他人的提醒
+// - dedupe_key 讓同一則通知只排入一次，送出前先搶下（pending -> sending），排程重跑也不會重複送
+// - 429 依 Telegram 的 retry_after 延後重試，其他暫時性錯誤以指數退避重試
+// - 403（使用者封鎖機器人）把使用者標記為停用，不再送出
+// - HTML 格式有誤（400 can't parse entities）時改用純文字立刻重送，不會因為任務內容的特殊字元收不到提醒
+// - 送出間隔固定，整體速率保持在 Telegram 的上限以下
+import { GrammyError } from "grammy";
+import { getDueOutbox, claimOutbox, markOutboxSent, retryOutbox, closeOutbox, resetStaleOutbox, pruneOutbox, deactivateUser } from "./db.js";
+
+// 每次排程最多送幾則，送不完的留給下一次排程
+const DELIVERY_BATCH = 500;
+// 兩則訊息之間至少間隔幾毫秒（Telegram 對機器人的整體上限約每秒 30 則）
+const SEND_INTERVAL_MS = 35;
+// 最多嘗試幾次後放棄
+const MAX_ATTEMPTS = 5;
+// 送出中超過這個時間沒有結果，視為排程中斷，放回待送
+const STALE_SENDING_SECONDS = 10 * 60;
+// 已結束的訊息保留幾天
+const OUTBOX_RETENTION_DAYS = 7;
+
+// 第 n 次失敗後的等待秒數：1、2、4、8 分鐘…最多 1 小時
+function retryDelay(attempts) {
+  return Math.min(60 * 2 ** (attempts - 1), 3600);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// HTML 訊息 -> 純文字（拿掉標籤、還原跳脫的字元）
+function toPlainText(html) {
+  return html.replace(/<[^>]*>/g, "").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+}
+
+/**
+ * 判斷送出失敗的原因
+ * @returns {{kind: 'rate_limit'|'blocked'|'markup'|'invalid'|'transient', retryAfter?: number}}
+ */
+function classifyError(e) {
+  if (!(e instanceof GrammyError)) return { kind: 'transient' };
+  if (e.error_code === 429) return { kind: 'rate_limit', retryAfter: e.parameters?.retry_after || 30 };
+  if (e.error_code === 403) return { kind: 'blocked' };
+  // HTML 格式有誤是訊息本身的問題，不是使用者的問題：改用純文字再送一次
+  if (e.error_code === 400 && /can't parse entities/i.test(e.description || e.message)) return { kind: 'markup' };
+  // 其他 4xx（例如訊息格式錯誤）重試也不會成功
+  if (e.error_code >= 400 && e.error_code < 500) return { kind: 'invalid' };
+  return { kind: 'transient' };
+}
+
+/**
+ * 送出佇列中到期的訊息
+ * @param {string|null} [userId=null] - 只送這位使用者的訊息；null 時送所有人的
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function deliverOutbox(bot, env, userId = null) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  // 整理整張佇列只在 cron 掃過所有使用者時做，單一使用者的排程只送自己的訊息
+  if (userId === null) {
+    await resetStaleOutbox(env, nowTs - STALE_SENDING_SECONDS);
+    await pruneOutbox(env, nowTs - OUTBOX_RETENTION_DAYS * 86400);
+  }
+
+  const rows = await getDueOutbox(env, nowTs, DELIVERY_BATCH, userId);
+  let sent = 0;
+  let failed = 0;
+  let lastSendAt = 0;
+
+  for (const row of rows) {
+    if (row.active === 0) {
+      await closeOutbox(env, row.id, 'dropped', 'blocked');
+      continue;
+    }
+    if (!await claimOutbox(env, row.id)) continue;
+    const attempts = row.attempts + 1;
+
+    const wait = lastSendAt + SEND_INTERVAL_MS - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastSendAt = Date.now();
+
+    const replyMarkup = row.reply_markup ? { reply_markup: JSON.parse(row.reply_markup) } : {};
+    try {
+      let result;
+      try {
+        result = await bot.api.sendMessage(row.user_id, row.text, { parse_mode: "HTML", ...replyMarkup });
+      } catch (e) {
+        if (classifyError(e).kind !== 'markup') throw e;
+        console.error(`[outbox] #${row.id} HTML 格式有誤，改用純文字发送:`, e.message);
+        result = await bot.api.sendMessage(row.user_id, toPlainText(row.text), replyMarkup);
+      }
+      await markOutboxSent(env, row, result?.message_id ?? null);
+      sent++;
+    } catch (e) {
+      failed++;
+      const failure = classifyError(e);
+      console.error(`[outbox] 发送 #${row.id} 给 ${row.user_id} 失败 (${failure.kind}, 第 ${attempts} 次):`, e.message);
+
+      if (failure.kind === 'rate_limit') {
+        // 被限流時這一輪先停下，剩下的等下一次排程
+        await retryOutbox(env, row.id, nowTs + failure.retryAfter, e.message);
+        break;
+      }
+      if (failure.kind === 'blocked') {
+        await closeOutbox(env, row.id, 'dropped', e.message);
+        await deactivateUser(env, row.user_id);
+      } else if (failure.kind === 'invalid' || attempts >= MAX_ATTEMPTS) {
+        await closeOutbox(env, row.id, 'failed', e.message);
+      } else {
+        await retryOutbox(env, row.id, nowTs + retryDelay(attempts), e.message);
+      }
+    }
+  }
+
+  return { sent, failed };
+}
+
+export {
+  MAX_ATTEMPTS,
+  classifyError,
+  deliverOutbox
+};
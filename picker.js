@@ -0,0 +1,198 @@
+// picker.js - 確認卡片的時間微調、重複規則與月曆選擇
+// 按鈕只帶草稿 id（見 db.js 的 task_drafts），調整時直接改草稿並原地更新卡片，不用再問一次 AI
+// 月曆與時間選擇的日期在 callback_data 裡以當地日期 YYYYMMDD（月份 YYYYMM）表示
+import { InlineKeyboard } from "grammy";
+import { DEFAULT_TIMEZONE, utcTsToLocalDate, localDateToUtcTs, getNowInTimeZone } from "./time.js";
+import { firstOccurrence } from "./recurrence.js";
+import { WEEKDAY_NAMES } from "./quiet.js";
+
+// 卡片上的微調按鈕：代號 -> 按鈕文字與位移
+const ADJUSTMENTS = {
+  "h-": { label: "−1小時", minutes: -60 },
+  "h+": { label: "+1小時", minutes: 60 },
+  "d+": { label: "+1天", days: 1 },
+  "w+": { label: "下週", days: 7 }
+};
+
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// 重複規則的常用選項：代號 -> [按鈕文字, 依第一次發生的當地時間產生 RRULE]
+const RULE_PRESETS = {
+  none: ["單次", () => null],
+  d: ["每天", () => "FREQ=DAILY"],
+  wd: ["平日", () => "FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR"],
+  w: ["每週", (local) => `FREQ=WEEKLY;BYDAY=${BYDAY[local.getUTCDay()]}`],
+  m: ["每月", (local) => `FREQ=MONTHLY;BYMONTHDAY=${local.getUTCDate()}`],
+  y: ["每年", (local) => `FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYMONTHDAY=${local.getUTCDate()}`]
+};
+
+// 時間選擇的分鐘間隔
+const MINUTE_STEP = 5;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 當地日期 <-> YYYYMMDD
+function dateKey(local) {
+  return `${local.getUTCFullYear()}${pad(local.getUTCMonth() + 1)}${pad(local.getUTCDate())}`;
+}
+
+function parseDateKey(key) {
+  const m = /^(\d{4})(\d{2})(\d{2})?$/.exec(key || '');
+  if (!m) return null;
+  return { year: parseInt(m[1]), month: parseInt(m[2]), day: m[3] ? parseInt(m[3]) : 1 };
+}
+
+// 沒有時間的草稿（無期限）調整時，從當地的下一個整點開始
+function defaultStart(timeZone) {
+  const local = getNowInTimeZone(timeZone);
+  local.setUTCHours(local.getUTCHours() + 1, 0, 0, 0);
+  return localDateToUtcTs(local, timeZone);
+}
+
+/**
+ * 依卡片上的微調按鈕移動時間：小時直接加減，天數保持當地的幾點幾分（跨夏令時間也一樣）
+ * @param {number} remindAt - UTC 秒數，-1 表示無期限
+ * @param {string} op - ADJUSTMENTS 的代號
+ * @returns {number|null}
+ */
+function shiftTime(remindAt, op, timeZone = DEFAULT_TIMEZONE) {
+  const adjustment = ADJUSTMENTS[op];
+  if (!adjustment) return null;
+  const base = remindAt > 0 ? remindAt : defaultStart(timeZone);
+  if (adjustment.minutes) return base + adjustment.minutes * 60;
+  const local = utcTsToLocalDate(base, timeZone);
+  local.setUTCDate(local.getUTCDate() + adjustment.days);
+  return localDateToUtcTs(local, timeZone);
+}
+
+/**
+ * 把草稿改到新的時間；循環任務會對齊到規則上、而且在現在之後
+ * @returns {object|null} 新的草稿內容；規則已經不會再發生時為 null
+ */
+function setDraftTime(draft, ts, allDay, nowTs) {
+  const tz = draft.timeZone || DEFAULT_TIMEZONE;
+  const remindAt = draft.cronRule ? firstOccurrence(draft.cronRule, ts, nowTs, tz) : ts;
+  if (remindAt === null) return null;
+  return { ...draft, remindAt, allDay: allDay ? 1 : 0, source: '✋ 手動調整' };
+}
+
+// 切換全天（時間不變，與修改任務的全天切換相同）
+function toggleAllDay(draft, nowTs) {
+  const base = draft.remindAt > 0 ? draft.remindAt : defaultStart(draft.timeZone || DEFAULT_TIMEZONE);
+  return setDraftTime(draft, base, !draft.allDay, nowTs);
+}
+
+/**
+ * 套用重複規則的常用選項
+ * @param {string} code - RULE_PRESETS 的代號
+ * @returns {object|null} 新的草稿內容；看不懂的代號或規則不會發生時為 null
+ */
+function applyRulePreset(draft, code, nowTs) {
+  const preset = RULE_PRESETS[code];
+  if (!preset) return null;
+  const tz = draft.timeZone || DEFAULT_TIMEZONE;
+  const base = draft.remindAt > 0 ? draft.remindAt : defaultStart(tz);
+  const cronRule = preset[1](utcTsToLocalDate(base, tz));
+  return setDraftTime({ ...draft, cronRule, remindAt: base }, base, draft.allDay, nowTs);
+}
+
+// 卡片上的微調列：−1小時 / +1小時 / +1天 / 下週
+function adjustRow(kb, draftId) {
+  Object.entries(ADJUSTMENTS).forEach(([op, { label }]) => kb.text(label, `da|${draftId}|${op}`));
+  return kb.row();
+}
+
+// 重複規則選單
+function presetKeyboard(draftId) {
+  const kb = new InlineKeyboard();
+  Object.entries(RULE_PRESETS).forEach(([code, [label]], i) => {
+    kb.text(label, `dp|${draftId}|${code}`);
+    if (i % 3 === 2) kb.row();
+  });
+  return kb.text("⬅️ 返回卡片", `db|${draftId}`);
+}
+
+/**
+ * 月曆：今天以前的日期不能選，選中的日期加上括號
+ * @param {string} monthKey - 要顯示的月份 YYYYMM
+ * @param {Date} nowLocal - 使用者當地的「本地時間」Date
+ * @param {string|null} selectedKey - 目前草稿的日期 YYYYMMDD
+ */
+function calendarKeyboard(draftId, monthKey, nowLocal, selectedKey = null) {
+  const { year, month } = parseDateKey(monthKey) || { year: nowLocal.getUTCFullYear(), month: nowLocal.getUTCMonth() + 1 };
+  const todayKey = dateKey(nowLocal);
+  const thisMonth = todayKey.slice(0, 6);
+  const prev = new Date(Date.UTC(year, month - 2, 1));
+  const next = new Date(Date.UTC(year, month, 1));
+  const prevKey = dateKey(prev).slice(0, 6);
+
+  const kb = new InlineKeyboard();
+  kb.text(prevKey >= thisMonth ? "◀️" : " ", prevKey >= thisMonth ? `dc|${draftId}|${prevKey}` : "noop")
+    .text(`${year}年${month}月`, "noop")
+    .text("▶️", `dc|${draftId}|${dateKey(next).slice(0, 6)}`)
+    .row();
+  WEEKDAY_NAMES.forEach(name => kb.text(name, "noop"));
+  kb.row();
+
+  const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+  const days = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const cells = [...Array(firstWeekday).fill(null), ...Array.from({ length: days }, (_, i) => i + 1)];
+  while (cells.length % 7) cells.push(null);
+
+  cells.forEach((day, i) => {
+    const key = day ? `${year}${pad(month)}${pad(day)}` : null;
+    if (!day) kb.text(" ", "noop");
+    else if (key < todayKey) kb.text("·", "noop");
+    else kb.text(key === selectedKey ? `[${day}]` : String(day), `dh|${draftId}|${key}`);
+    if (i % 7 === 6) kb.row();
+  });
+  return kb.text("⬅️ 返回卡片", `db|${draftId}`);
+}
+
+// 選好日期後選幾點（或整天）
+function hourKeyboard(draftId, key) {
+  const kb = new InlineKeyboard();
+  for (let hour = 0; hour < 24; hour++) {
+    kb.text(pad(hour), `dt|${draftId}|${key}|${pad(hour)}`);
+    if (hour % 6 === 5) kb.row();
+  }
+  return kb.text("☀️ 全天", `dt|${draftId}|${key}|ad`)
+    .text("⬅️ 月曆", `dc|${draftId}|${key.slice(0, 6)}`);
+}
+
+// 選好幾點後選幾分
+function minuteKeyboard(draftId, key, hour) {
+  const kb = new InlineKeyboard();
+  for (let minute = 0, i = 0; minute < 60; minute += MINUTE_STEP, i++) {
+    kb.text(`${hour}:${pad(minute)}`, `dm|${draftId}|${key}|${hour}|${pad(minute)}`);
+    if (i % 4 === 3) kb.row();
+  }
+  return kb.text("⬅️ 選小時", `dh|${draftId}|${key}`);
+}
+
+/**
+ * 月曆與時間選擇的結果 -> UTC 秒數
+ * @param {string} key - 當地日期 YYYYMMDD
+ * @returns {number|null}
+ */
+function pickedTime(key, hour, minute, timeZone = DEFAULT_TIMEZONE) {
+  const date = parseDateKey(key);
+  if (!date || !(hour >= 0 && hour < 24 && minute >= 0 && minute < 60)) return null;
+  return localDateToUtcTs(new Date(Date.UTC(date.year, date.month - 1, date.day, hour, minute)), timeZone);
+}
+
+export {
+  ADJUSTMENTS,
+  RULE_PRESETS,
+  dateKey,
+  shiftTime,
+  setDraftTime,
+  toggleAllDay,
+  applyRulePreset,
+  adjustRow,
+  presetKeyboard,
+  calendarKeyboard,
+  hourKeyboard,
+  minuteKeyboard,
+  pickedTime
+};
@@ -0,0 +1,111 @@
+// quiet.js - 勿擾時段模組
+// users.quiet_hours 存放每天的勿擾時段 "開始,結束"（當地一天中的第幾分鐘），例如 "1380,420" 代表 23:00 - 07:00
+// users.dnd_days 存放整天勿擾的星期（0 = 週日），例如 "0,6" 代表週末
+// 勿擾中非緊急的通知會先暫存在 held_messages，時段結束後的第一次排程一次送出
+import { parseDigestTimes, formatDigestTime } from "./digest.js";
+
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六'];
+
+// /quiet 選單上的常用時段
+const QUIET_PRESETS = [
+  { start: 22 * 60, end: 7 * 60 },
+  { start: 23 * 60, end: 7 * 60 },
+  { start: 0, end: 8 * 60 }
+];
+
+/**
+ * 解析勿擾時段，例如「23:00-07:00」「晚上11點到早上7點」
+ * @param {string} text
+ * @returns {{start: number, end: number}|null}
+ */
+function parseQuietHours(text) {
+  const parts = text.split(/\s*(?:-|~|～|–|到|至)\s*/).filter(Boolean);
+  if (parts.length !== 2) return null;
+  const [start, end] = parts.map(p => parseDigestTimes(p));
+  if (!start || !end || start.length !== 1 || end.length !== 1 || start[0] === end[0]) return null;
+  return { start: start[0], end: end[0] };
+}
+
+// 資料庫字串 <-> 勿擾時段（null 表示沒有設定）
+function parseQuietSetting(str) {
+  if (!str) return null;
+  const [start, end] = String(str).split(',').map(Number);
+  if (!(start >= 0 && start < 1440 && end >= 0 && end < 1440) || start === end) return null;
+  return { start, end };
+}
+
+function formatQuietSetting(hours) {
+  return hours ? `${hours.start},${hours.end}` : null;
+}
+
+// 資料庫字串 <-> 勿擾的星期
+function parseDndDays(str) {
+  if (!str) return [];
+  return [...new Set(String(str).split(',').map(Number).filter(d => Number.isInteger(d) && d >= 0 && d <= 6))].sort();
+}
+
+function formatDndDays(days) {
+  return days.length ? [...new Set(days)].sort().join(',') : null;
+}
+
+// 切換某一天是否勿擾
+function toggleDndDay(days, day) {
+  return days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort();
+}
+
+// 「23:00 - 07:00」
+function describeQuietHours(hours) {
+  return hours ? `${formatDigestTime(hours.start)} - ${formatDigestTime(hours.end)}` : '未設定';
+}
+
+// 「週六、週日」
+function describeDndDays(days) {
+  return days.length ? days.map(d => `週${WEEKDAY_NAMES[d]}`).join('、') : '無';
+}
+
+/**
+ * 現在是否在勿擾中（勿擾的星期整天都算；時段可以跨過午夜）
+ * @param {{start: number, end: number}|null} hours
+ * @param {number[]} days
+ * @param {Date} nowLocal - 使用者當地的「本地時間」Date（UTC 欄位即當地時間）
+ * @returns {boolean}
+ */
+function isQuietTime(hours, days, nowLocal) {
+  if (days.includes(nowLocal.getUTCDay())) return true;
+  if (!hours) return false;
+  const now = nowLocal.getUTCHours() * 60 + nowLocal.getUTCMinutes();
+  return hours.start < hours.end
+    ? now >= hours.start && now < hours.end
+    : now >= hours.start || now < hours.end;
+}
+
+/**
+ * 距離勿擾結束還有幾分鐘（現在不在勿擾中時為 0；整週都勿擾時為 null）
+ * @param {{start: number, end: number}|null} hours
+ * @param {number[]} days
+ * @param {Date} nowLocal - 使用者當地的「本地時間」Date
+ * @returns {number|null}
+ */
+function minutesUntilQuietEnds(hours, days, nowLocal) {
+  const start = nowLocal.getTime() - nowLocal.getUTCSeconds() * 1000 - nowLocal.getUTCMilliseconds();
+  // 勿擾最長是連續幾天的勿擾日再接上跨夜的時段，逐分鐘往後找最多八天
+  for (let minutes = 0; minutes <= 8 * 1440; minutes++) {
+    if (!isQuietTime(hours, days, new Date(start + minutes * 60000))) return minutes;
+  }
+  return null;
+}
+
+export {
+  WEEKDAY_NAMES,
+  QUIET_PRESETS,
+  parseQuietHours,
+  parseQuietSetting,
+  formatQuietSetting,
+  parseDndDays,
+  formatDndDays,
+  toggleDndDay,
+  describeQuietHours,
+  describeDndDays,
+  isQuietTime,
+  minutesUntilQuietEnds
+};
@@ -0,0 +1,583 @@
+// recurrence.js - 週期規則模組 (RFC 5545 RRULE)
+import { DEFAULT_TIMEZONE, utcTsToLocalDate, localDateToUtcTs } from "./time.js";
+
+// ============================================
+// 規則格式
+//
+// todos.cron_rule 存放 RRULE 的值部分，例如：
+//   FREQ=DAILY;INTERVAL=3                      每3天
+//   FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH         每2週的週二、週四
+//   FREQ=MONTHLY;BYDAY=-1FR                    每月最後一個週五
+//   FREQ=MONTHLY;BYDAY=2TU                     每月第2個週二
+//   FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;X-HOLIDAYS=TW  平日（遇國定假日跳過）
+//
+// 支援的欄位：FREQ、INTERVAL、BYDAY、BYMONTHDAY、BYMONTH、BYSETPOS、COUNT、UNTIL
+// 以及自訂的 X-HOLIDAYS（跳過國定假日）。DTSTART 以任務的 remind_at 為準。
+// UNTIL 由 nextOccurrence 處理；COUNT 的剩餘次數記在 todos.remaining_count，由排程遞減。
+// 所有日期運算都在使用者時區的「本地時間 Date」上進行（見 time.js）。
+// ============================================
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// ISO 星期：1 = 週一 ... 7 = 週日（與舊版 weekly:1,3 相同）
+const WEEKDAY_CODES = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const WEEKDAY_NAMES = { 1: '週一', 2: '週二', 3: '週三', 4: '週四', 5: '週五', 6: '週六', 7: '週日' };
+
+// 固定日期的國定假日（農曆節日每年日期不同，需另外以單次任務處理）
+const HOLIDAYS = {
+  TW: ['01-01', '02-28', '04-04', '05-01', '10-10']
+};
+
+// 找下一次發生時最多往後掃描的週期數（避免錯誤規則造成無窮迴圈）
+const MAX_PERIODS = 1000;
+
+function codeOfWeekday(day) {
+  return Object.keys(WEEKDAY_CODES).find(k => WEEKDAY_CODES[k] === day);
+}
+
+// 本地時間 Date 的 ISO 星期
+function isoWeekday(date) {
+  const d = date.getUTCDay();
+  return d === 0 ? 7 : d;
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * 解析 UNTIL 欄位
+ * YYYYMMDD 為使用者當地日期（含當天整天），YYYYMMDDTHHMMSSZ 為 UTC 時間點
+ * @returns {{until: number, untilIsDate: boolean}|null} until 為秒；日期形式時存的是當地牆上時間
+ */
+function parseUntil(value) {
+  const m = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s] = m;
+  if (h === undefined) {
+    return { until: Math.floor(Date.UTC(+y, +mo - 1, +d, 23, 59, 59) / 1000), untilIsDate: true };
+  }
+  return { until: Math.floor(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s) / 1000), untilIsDate: false };
+}
+
+function formatUntil(ts, isDate) {
+  const iso = new Date(ts * 1000).toISOString();
+  if (isDate) return iso.slice(0, 10).replace(/-/g, '');
+  return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * 解析 RRULE 字串
+ * @param {string} str - 例如 "FREQ=WEEKLY;BYDAY=MO,WE"（可帶 "RRULE:" 前綴）
+ * @returns {object|null} 規則物件，格式錯誤時回傳 null
+ */
+function parseRRule(str) {
+  if (!str || typeof str !== 'string') return null;
+  const rule = {
+    freq: null, interval: 1, byDay: [], byMonthDay: [], byMonth: [], bySetPos: [],
+    count: null, until: null, untilIsDate: false, holidays: null
+  };
+
+  for (const part of str.trim().replace(/^RRULE:/i, '').split(';')) {
+    if (!part) continue;
+    const [rawKey, value = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const val = value.trim().toUpperCase();
+
+    if (key === 'FREQ') {
+      if (!FREQUENCIES.includes(val)) return null;
+      rule.freq = val;
+    } else if (key === 'INTERVAL') {
+      rule.interval = Math.max(1, parseInt(val) || 1);
+    } else if (key === 'BYDAY') {
+      for (const item of val.split(',')) {
+        const m = item.match(/^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/);
+        if (!m) return null;
+        rule.byDay.push({ n: m[1] ? parseInt(m[1]) : 0, day: WEEKDAY_CODES[m[2]] });
+      }
+    } else if (key === 'BYMONTHDAY') {
+      rule.byMonthDay = val.split(',').map(Number).filter(n => n && Math.abs(n) <= 31);
+    } else if (key === 'BYMONTH') {
+      rule.byMonth = val.split(',').map(Number).filter(n => n >= 1 && n <= 12);
+    } else if (key === 'BYSETPOS') {
+      rule.bySetPos = val.split(',').map(Number).filter(n => n);
+    } else if (key === 'COUNT') {
+      rule.count = Math.max(1, parseInt(val) || 1);
+    } else if (key === 'UNTIL') {
+      const until = parseUntil(val);
+      if (until) Object.assign(rule, until);
+    } else if (key === 'X-HOLIDAYS') {
+      rule.holidays = HOLIDAYS[val] ? val : null;
+    }
+  }
+
+  return rule.freq ? rule : null;
+}
+
+/**
+ * 將規則物件轉回 RRULE 字串（欄位順序固定，方便比對）
+ */
+function formatRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byMonth.length) parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  if (rule.byMonthDay.length) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.map(d => `${d.n || ''}${codeOfWeekday(d.day)}`).join(',')}`);
+  if (rule.bySetPos.length) parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(rule.until, rule.untilIsDate)}`);
+  if (rule.holidays) parts.push(`X-HOLIDAYS=${rule.holidays}`);
+  return parts.join(';');
+}
+
+/**
+ * 將舊版規則 (daily / weekly:1,3 / monthly:15 / yearly:01-01) 轉為 RRULE
+ * @returns {string|null}
+ */
+function legacyRuleToRRule(rule) {
+  if (!rule) return null;
+  if (rule === 'daily') return 'FREQ=DAILY';
+
+  if (rule.startsWith('weekly:')) {
+    const days = rule.split(':')[1].split(',').map(Number).filter(d => d >= 1 && d <= 7);
+    if (!days.length) return 'FREQ=WEEKLY';
+    return `FREQ=WEEKLY;BYDAY=${days.map(codeOfWeekday).join(',')}`;
+  }
+
+  if (rule.startsWith('monthly:')) {
+    const day = parseInt(rule.split(':')[1]);
+    return day >= 1 && day <= 31 ? `FREQ=MONTHLY;BYMONTHDAY=${day}` : 'FREQ=MONTHLY';
+  }
+
+  if (rule.startsWith('yearly:')) {
+    const m = rule.split(':')[1].match(/^(\d{1,2})-(\d{1,2})$/);
+    if (!m) return 'FREQ=YEARLY';
+    return `FREQ=YEARLY;BYMONTH=${parseInt(m[1])};BYMONTHDAY=${parseInt(m[2])}`;
+  }
+
+  return null;
+}
+
+/**
+ * 將 AI / 舊資料 / 使用者輸入的規則統一成 RRULE 字串
+ * @returns {string|null} 單次任務或無法辨識時回傳 null
+ */
+function normalizeRule(rule) {
+  if (!rule || typeof rule !== 'string') return null;
+  const trimmed = rule.trim();
+  if (!trimmed || ['none', 'null', 'n'].includes(trimmed.toLowerCase())) return null;
+
+  if (/^(RRULE:)?FREQ=/i.test(trimmed)) {
+    const parsed = parseRRule(trimmed);
+    return parsed ? formatRRule(parsed) : null;
+  }
+  return legacyRuleToRRule(trimmed.toLowerCase());
+}
+
+// ============================================
+// 展開與推算
+// ============================================
+
+// 取得 date 所在週期的起點（本地時間 00:00）
+function periodStartOf(date, freq) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (freq === 'WEEKLY') d.setUTCDate(d.getUTCDate() - (isoWeekday(d) - 1));
+  if (freq === 'MONTHLY') d.setUTCDate(1);
+  if (freq === 'YEARLY') d.setUTCMonth(0, 1);
+  return d;
+}
+
+function addPeriods(periodStart, freq, n) {
+  const d = new Date(periodStart);
+  if (freq === 'DAILY') d.setUTCDate(d.getUTCDate() + n);
+  if (freq === 'WEEKLY') d.setUTCDate(d.getUTCDate() + n * 7);
+  if (freq === 'MONTHLY') d.setUTCMonth(d.getUTCMonth() + n, 1);
+  if (freq === 'YEARLY') d.setUTCFullYear(d.getUTCFullYear() + n, 0, 1);
+  return d;
+}
+
+// 兩個週期起點之間相差幾個週期
+function periodsBetween(from, to, freq) {
+  if (freq === 'DAILY') return Math.round((to - from) / 86400000);
+  if (freq === 'WEEKLY') return Math.round((to - from) / (7 * 86400000));
+  const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + (to.getUTCMonth() - from.getUTCMonth());
+  return freq === 'MONTHLY' ? months : Math.floor(months / 12);
+}
+
+// 某月份中符合 BYDAY 的日期（n > 0 第 n 個、n < 0 倒數第 n 個、n = 0 全部）
+function monthDaysByWeekday(year, month, byDay) {
+  const total = daysInMonth(year, month);
+  const result = [];
+  for (const { n, day } of byDay) {
+    const matches = [];
+    for (let d = 1; d <= total; d++) {
+      if (isoWeekday(new Date(Date.UTC(year, month, d))) === day) matches.push(d);
+    }
+    if (n === 0) result.push(...matches);
+    else {
+      const picked = n > 0 ? matches[n - 1] : matches[matches.length + n];
+      if (picked) result.push(picked);
+    }
+  }
+  return result;
+}
+
+// 某月份中符合 BYMONTHDAY 的日期（負數代表從月底倒數，不存在的日期略過）
+function monthDaysByMonthDay(year, month, byMonthDay) {
+  const total = daysInMonth(year, month);
+  return byMonthDay
+    .map(n => (n > 0 ? n : total + n + 1))
+    .filter(d => d >= 1 && d <= total);
+}
+
+// 展開某個月份內的候選日期
+function expandMonth(rule, year, month, anchor) {
+  let days;
+  if (rule.byDay.length && rule.byMonthDay.length) {
+    const allowed = new Set(rule.byDay.map(d => d.day));
+    days = monthDaysByMonthDay(year, month, rule.byMonthDay)
+      .filter(d => allowed.has(isoWeekday(new Date(Date.UTC(year, month, d)))));
+  } else if (rule.byDay.length) {
+    days = monthDaysByWeekday(year, month, rule.byDay);
+  } else if (rule.byMonthDay.length) {
+    days = monthDaysByMonthDay(year, month, rule.byMonthDay);
+  } else {
+    days = monthDaysByMonthDay(year, month, [anchor.getUTCDate()]);
+  }
+  return days.map(d => new Date(Date.UTC(year, month, d)));
+}
+
+/**
+ * 展開一個週期內所有候選日期（本地時間，時分秒沿用 anchor）
+ * @param {object} rule - parseRRule 的結果
+ * @param {Date} periodStart - 週期起點
+ * @param {Date} anchor - 起始發生時間（決定預設的星期 / 日期 / 月份與時刻）
+ * @returns {Date[]} 已排序
+ */
+function expandPeriod(rule, periodStart, anchor) {
+  const y = periodStart.getUTCFullYear();
+  const m = periodStart.getUTCMonth();
+  let dates = [];
+
+  if (rule.freq === 'DAILY') {
+    dates = [new Date(periodStart)];
+    if (rule.byDay.length) dates = dates.filter(d => rule.byDay.some(b => b.day === isoWeekday(d)));
+    if (rule.byMonthDay.length) {
+      dates = dates.filter(d => monthDaysByMonthDay(y, m, rule.byMonthDay).includes(d.getUTCDate()));
+    }
+  } else if (rule.freq === 'WEEKLY') {
+    const weekdays = rule.byDay.length ? rule.byDay.map(b => b.day) : [isoWeekday(anchor)];
+    dates = [...new Set(weekdays)].map(day => {
+      const d = new Date(periodStart);
+      d.setUTCDate(d.getUTCDate() + day - 1);
+      return d;
+    });
+  } else if (rule.freq === 'MONTHLY') {
+    dates = expandMonth(rule, y, m, anchor);
+  } else if (rule.freq === 'YEARLY') {
+    const months = rule.byMonth.length ? rule.byMonth : [anchor.getUTCMonth() + 1];
+    for (const month of months) dates.push(...expandMonth(rule, y, month - 1, anchor));
+  }
+
+  if (rule.byMonth.length && rule.freq !== 'YEARLY') {
+    dates = dates.filter(d => rule.byMonth.includes(d.getUTCMonth() + 1));
+  }
+
+  dates.sort((a, b) => a - b);
+  dates = dates.filter((d, i) => i === 0 || d.getTime() !== dates[i - 1].getTime());
+
+  if (rule.bySetPos.length) {
+    dates = rule.bySetPos
+      .map(pos => (pos > 0 ? dates[pos - 1] : dates[dates.length + pos]))
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+  }
+
+  return dates.map(d => {
+    const withTime = new Date(d);
+    withTime.setUTCHours(anchor.getUTCHours(), anchor.getUTCMinutes(), anchor.getUTCSeconds(), 0);
+    return withTime;
+  });
+}
+
+function isHoliday(rule, date) {
+  if (!rule.holidays) return false;
+  const key = `${String(date.getUTCMonth() + 1).padStart(2, '0')}-${String(date.getUTCDate()).padStart(2, '0')}`;
+  return HOLIDAYS[rule.holidays].includes(key);
+}
+
+/**
+ * 計算下一次發生時間
+ * @param {string} ruleStr - RRULE 字串
+ * @param {number} afterTs - 從這個時間點之後開始找（UTC 秒）
+ * @param {object} [options]
+ * @param {string} [options.timeZone] - 使用者時區
+ * @param {number} [options.anchorTs] - 起始發生時間（預設為 afterTs）
+ * @param {boolean} [options.inclusive] - afterTs 本身也算
+ * @returns {number|null} UTC 時間戳（秒），規則已結束（超過 UNTIL）或無效時回傳 null
+ */
+function nextOccurrence(ruleStr, afterTs, { timeZone = DEFAULT_TIMEZONE, anchorTs = afterTs, inclusive = false } = {}) {
+  const rule = parseRRule(ruleStr);
+  if (!rule) return null;
+
+  const anchor = utcTsToLocalDate(anchorTs, timeZone);
+  const after = utcTsToLocalDate(Math.max(afterTs, anchorTs), timeZone);
+
+  // 週期起點要跟 anchor 對齊 INTERVAL，例如每2週只看 anchor 那週、+2週、+4週...
+  const anchorPeriod = periodStartOf(anchor, rule.freq);
+  const skipped = periodsBetween(anchorPeriod, periodStartOf(after, rule.freq), rule.freq);
+  let period = addPeriods(anchorPeriod, rule.freq, Math.max(0, Math.floor(skipped / rule.interval) * rule.interval));
+
+  for (let i = 0; i < MAX_PERIODS; i++) {
+    for (const candidate of expandPeriod(rule, period, anchor)) {
+      const ts = localDateToUtcTs(candidate, timeZone);
+      if (ts < anchorTs) continue;
+      if (inclusive ? ts < afterTs : ts <= afterTs) continue;
+      // 日期形式的 UNTIL 以當地日期比較
+      if (rule.until && (rule.untilIsDate ? candidate.getTime() / 1000 : ts) > rule.until) return null;
+      if (isHoliday(rule, candidate)) continue;
+      return ts;
+    }
+    period = addPeriods(period, rule.freq, rule.interval);
+  }
+  return null;
+}
+
+/**
+ * 建立任務時計算第一次發生時間：從 startTs（含）開始找符合規則的時間，並確保在 nowTs 之後
+ * @returns {number|null}
+ */
+function firstOccurrence(ruleStr, startTs, nowTs, timeZone = DEFAULT_TIMEZONE) {
+  const first = nextOccurrence(ruleStr, startTs, { timeZone, anchorTs: startTs, inclusive: true });
+  if (first === null || first > nowTs) return first;
+  return nextOccurrence(ruleStr, nowTs, { timeZone, anchorTs: startTs });
+}
+
+// 以下逐次推算的函式都以整個週期的起點（任務的 anchor_at）為 anchor，而不是前一次：
+// 夏令時間跳過的那一天會順延，但之後的發生回到原本的幾點幾分，不會一直停在順延後的時間
+// options.anchorTs 為 null / 未指定時以 remindAt 為起點
+// options.remaining 為剩餘次數（todos.remaining_count，含 remindAt 這一次），用完之後的發生不算
+
+// 還剩幾次：有傳剩餘次數時以它為準，否則視為從 remindAt 起算的 COUNT；null 表示不限次數
+function remainingOf(ruleStr, remaining) {
+  return remaining ?? parseRRule(ruleStr)?.count ?? null;
+}
+
+/**
+ * 從 remindAt（含）開始列出接下來的 n 次發生（不超過剩餘次數）
+ * @param {{anchorTs?: number|null, remaining?: number|null}} [options]
+ * @returns {number[]}
+ */
+function upcomingOccurrences(ruleStr, remindAt, n, timeZone = DEFAULT_TIMEZONE, { anchorTs = null, remaining = null } = {}) {
+  const anchor = anchorTs ?? remindAt;
+  const limit = Math.min(n, remainingOf(ruleStr, remaining) ?? n);
+  const list = [];
+  let occ = remindAt;
+  while (occ !== null && list.length < limit) {
+    list.push(occ);
+    occ = nextOccurrence(ruleStr, occ, { timeZone, anchorTs: anchor });
+  }
+  return list;
+}
+
+/**
+ * 追上已經過去的發生：從 remindAt（含）起列出所有不晚於 nowTs 的發生，以及之後的下一次
+ * 排程停擺或 remind_at 遠在過去時，用來一次跳到未來，而不是每次排程只推進一步
+ * @param {string} ruleStr - RRULE 字串
+ * @param {number} remindAt - 任務目前的發生時間（已到期）
+ * @param {number} nowTs - 現在的 UTC 秒數
+ * @param {Object} [options]
+ * @param {number|null} [options.remaining] - COUNT 剩餘次數（含 remindAt 這一次），用完時 next 為 null
+ * @param {number|null} [options.anchorTs] - 週期的起點
+ * @returns {{due: number[], count: number, next: number|null}} due 由早到晚、最後一個是最近的一次（最多保留 MAX_PERIODS 次）；
+ *   count 為實際到期的次數；next 為 null 表示規則已結束
+ */
+function catchUpOccurrences(ruleStr, remindAt, nowTs, { timeZone = DEFAULT_TIMEZONE, remaining = null, anchorTs = null } = {}) {
+  const anchor = anchorTs ?? remindAt;
+  const due = [remindAt];
+  let count = 1;
+  let occ = remindAt;
+  while (remaining === null || count < remaining) {
+    occ = nextOccurrence(ruleStr, occ, { timeZone, anchorTs: anchor });
+    if (occ === null || occ > nowTs) return { due, count, next: occ };
+    if (due.length >= MAX_PERIODS) due.shift();
+    due.push(occ);
+    count++;
+  }
+  return { due, count, next: null };
+}
+
+/**
+ * 週期任務在 [startTs, endTs] 之間第一次「實際」發生的時間
+ * 會套用單次例外：被跳過或改期的那一次不算，改期後的新時間落在範圍內則算；剩餘次數用完之後的發生也不算
+ * @param {string} ruleStr - RRULE 字串
+ * @param {number} remindAt - 任務的下一次發生時間
+ * @param {Array<{occurrence_at: number, action: string, new_at: number|null, fired: number}>} [exceptions] - 這個任務的例外
+ * @param {{anchorTs?: number|null, remaining?: number|null}} [options]
+ * @returns {number|null}
+ */
+function firstInRange(ruleStr, remindAt, startTs, endTs, timeZone = DEFAULT_TIMEZONE, exceptions = [], { anchorTs = null, remaining = null } = {}) {
+  const anchor = anchorTs ?? remindAt;
+  const limit = remainingOf(ruleStr, remaining);
+  const excluded = new Set(exceptions.map(e => e.occurrence_at));
+  const moved = exceptions
+    .filter(e => e.action === 'move' && !e.fired && e.new_at >= startTs && e.new_at <= endTs)
+    .map(e => e.new_at);
+
+  let occ = remindAt;
+  let index = 0;
+  for (; occ !== null && occ <= endTs && index < MAX_PERIODS && (limit === null || index < limit); index++) {
+    if (occ >= startTs && !excluded.has(occ)) break;
+    occ = nextOccurrence(ruleStr, occ, { timeZone, anchorTs: anchor });
+  }
+  const withinCount = limit === null || index < limit;
+  const fromRule = withinCount && occ !== null && occ >= startTs && occ <= endTs && !excluded.has(occ) ? occ : null;
+
+  const candidates = fromRule === null ? moved : [fromRule, ...moved];
+  return candidates.length ? Math.min(...candidates) : null;
+}
+
+/**
+ * 檢查週期任務在 [startTs, endTs] 之間是否有發生
+ * @param {string} ruleStr - RRULE 字串
+ * @param {number} remindAt - 任務的下一次發生時間
+ */
+function occursInRange(ruleStr, remindAt, startTs, endTs, timeZone = DEFAULT_TIMEZONE, exceptions = [], options = {}) {
+  return firstInRange(ruleStr, remindAt, startTs, endTs, timeZone, exceptions, options) !== null;
+}
+
+/**
+ * 從某次發生起取消：把 UNTIL 設為前一天（已有更早的結束日期則保留）
+ * @param {string} ruleStr - RRULE 字串
+ * @param {number} fromTs - 第一個要取消的發生時間
+ * @returns {string} 新的 RRULE 字串
+ */
+function truncateRule(ruleStr, fromTs, timeZone = DEFAULT_TIMEZONE) {
+  const rule = parseRRule(ruleStr);
+  if (!rule) return ruleStr;
+  const day = utcTsToLocalDate(fromTs, timeZone);
+  const until = Math.floor(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() - 1, 23, 59, 59) / 1000);
+  const current = rule.until && !rule.untilIsDate ? Math.floor(utcTsToLocalDate(rule.until, timeZone).getTime() / 1000) : rule.until;
+  if (!current || until < current) {
+    rule.until = until;
+    rule.untilIsDate = true;
+  }
+  return formatRRule(rule);
+}
+
+// ============================================
+// 中文描述
+// ============================================
+
+function describeWeekdays(days) {
+  const key = [...days].sort().join(',');
+  if (key === '1,2,3,4,5') return '週一至週五';
+  if (key === '1,2,3,4,5,6') return '週一至週六';
+  if (key === '6,7') return '週末';
+  if (key === '1,2,3,4,5,6,7') return '每天';
+  return days.map(d => WEEKDAY_NAMES[d]).join('、');
+}
+
+function describeByDayItem({ n, day }) {
+  if (n === 0) return WEEKDAY_NAMES[day];
+  if (n === -1) return `最後一個${WEEKDAY_NAMES[day]}`;
+  if (n < 0) return `倒數第${-n}個${WEEKDAY_NAMES[day]}`;
+  return `第${n}個${WEEKDAY_NAMES[day]}`;
+}
+
+function describeMonthDays(byMonthDay) {
+  return byMonthDay.map(d => (d === -1 ? '最後一天' : d < 0 ? `倒數第${-d}天` : `${d}號`)).join('、');
+}
+
+/**
+ * 將 RRULE 轉為易讀的中文，例如「每2週的週二、週四」「每月最後一個週五」
+ * @param {string} ruleStr
+ * @returns {string}
+ */
+function describeRule(ruleStr) {
+  const rule = parseRRule(ruleStr);
+  if (!rule) return ruleStr || "單次";
+  const every = (unit, single) => (rule.interval > 1 ? `每${rule.interval}${unit}` : single);
+  let text;
+
+  if (rule.freq === 'DAILY') {
+    text = every('天', '每天');
+    if (rule.byDay.length) text += `（${describeWeekdays(rule.byDay.map(d => d.day))}）`;
+  } else if (rule.freq === 'WEEKLY') {
+    const days = rule.byDay.map(d => d.day);
+    if (!days.length) text = every('週', '每週');
+    else if (rule.interval > 1) text = `每${rule.interval}週的${describeWeekdays(days)}`;
+    else if (days.length === 1) text = `每${WEEKDAY_NAMES[days[0]]}`;
+    else text = describeWeekdays(days);
+  } else if (rule.freq === 'MONTHLY') {
+    text = every('個月', '每月');
+    if (rule.bySetPos.length && rule.byDay.length && rule.byDay.every(d => d.n === 0)) {
+      // 例如 BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1 -> 最後一個工作日
+      const days = describeWeekdays(rule.byDay.map(d => d.day));
+      const label = days === '週一至週五' ? '工作日' : days;
+      text += rule.bySetPos.map(p => (p === -1 ? `最後一個${label}` : p < 0 ? `倒數第${-p}個${label}` : `第${p}個${label}`)).join('、');
+      if (rule.holidays) text += '（遇國定假日跳過）';
+      return text;
+    }
+    if (rule.byDay.length) text += rule.byDay.map(describeByDayItem).join('、');
+    else if (rule.byMonthDay.length) text += describeMonthDays(rule.byMonthDay);
+  } else {
+    text = every('年', '每年');
+    if (rule.byMonth.length) text += rule.byMonth.map(m => `${m}月`).join('、');
+    if (rule.byDay.length) text += rule.byDay.map(describeByDayItem).join('、');
+    else if (rule.byMonthDay.length) text += describeMonthDays(rule.byMonthDay);
+  }
+
+  if (rule.bySetPos.length) text += `（第 ${rule.bySetPos.join('、')} 次）`;
+  if (rule.holidays) text += '（遇國定假日跳過）';
+  return text;
+}
+
+/**
+ * 結束條件的中文描述，例如「直到 2026/12/31」「共 10 次（剩 3 次）」
+ * @param {string} ruleStr
+ * @param {number|null} [remaining] - 剩餘次數（todos.remaining_count）
+ * @param {string} [timeZone] - UTC 形式的 UNTIL 要換算成當地日期
+ * @returns {string|null} 沒有結束條件時回傳 null
+ */
+function describeEndCondition(ruleStr, remaining = null, timeZone = DEFAULT_TIMEZONE) {
+  const rule = parseRRule(ruleStr);
+  if (!rule) return null;
+  const parts = [];
+
+  if (rule.until) {
+    const date = rule.untilIsDate ? new Date(rule.until * 1000) : utcTsToLocalDate(rule.until, timeZone);
+    parts.push(`直到 ${date.getUTCFullYear()}/${date.getUTCMonth() + 1}/${date.getUTCDate()}`);
+  }
+  if (rule.count) {
+    const left = remaining !== null && remaining !== undefined && remaining < rule.count ? `（剩 ${remaining} 次）` : '';
+    parts.push(`共 ${rule.count} 次${left}`);
+  }
+  return parts.length ? parts.join('，') : null;
+}
+
+/**
+ * 規則的頻率分類（管理介面分組用）
+ * @returns {'DAILY'|'WEEKLY'|'MONTHLY'|'YEARLY'|null}
+ */
+function getRuleFrequency(ruleStr) {
+  return parseRRule(ruleStr)?.freq || null;
+}
+
+export {
+  WEEKDAY_CODES,
+  parseRRule,
+  formatRRule,
+  legacyRuleToRRule,
+  normalizeRule,
+  nextOccurrence,
+  firstOccurrence,
+  upcomingOccurrences,
+  catchUpOccurrences,
+  firstInRange,
+  occursInRange,
+  truncateRule,
+  describeRule,
+  describeEndCondition,
+  getRuleFrequency
+};
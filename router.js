@@ -1,10 +1,16 @@
 // router.js - 路由處理模組
 import { Bot, InlineKeyboard } from "grammy";
 import * as chrono from "chrono-node";
-import { getTaskPrompt, getQueryPrompt, callAI, parseTimeLocally, parseQueryLocally } from "./ai.js";
-import { sendConfirmation, renderList, renderHistory, renderRecurringTasks } from "./task.js";
-import { addTodo, getTodos, deleteTodosByIds } from "./db.js";
-import { TAIPEI_OFFSET, getTodayAndFutureRangeTaipei, getNowTaipei, localDateToUtcTs } from "./time.js";
+import { getTaskPrompt, getQueryPrompt, getIntentPrompt, hasIntentHint, callAI, parseTimeLocally, parseQueryLocally, splitTaskCandidates } from "./ai.js";
+import { sendConfirmation, confirmationKeyboard, renderList, renderHistory, renderRecurringTasks, snoozeTarget, completeOccurrence, snoozeOccurrence, buildWeeklyReview, buildOverdueMenu, nextWeekRange, buildTodoEditor, sendEditConfirmation, getListItems, matchTodos, completeTodo, pendingOccurrence, completionMessage, CATCH_UP_POLICIES, parseCatchUpSetting, escapeHtml, clarificationText, refreshConfirmation, sendBatchConfirmation, refreshBatchConfirmation } from "./task.js";
+import { addTodo, getTodos, getTodoById, getNotification, updateNotificationStatus, deleteTodosByIds, deleteCompletions, getUserTimezone, setUserTimezone, getUserDefaultAlerts, setUserDefaultAlerts, getUserDigestTimes, setUserDigestTimes, getUserWeeklyReview, setUserWeeklyReview, getUserQuietSettings, setUserQuietHours, setUserDndDays, getUserCatchUp, setUserCatchUp, updateTodoStatus, updateTodoRule, updateTodo, addCompletion, setTodoException, deleteTodoException, getTodoExceptions, setChatState, getChatState, clearChatState, createManageSession, getManageSession, updateManageSession, deleteManageSession, createTaskDraft, getTaskDraft, updateTaskDraft, deleteTaskDraft } from "./db.js";
+import { getTodayAndFutureRange, getNowInTimeZone, utcTsToLocalDate, localDateToUtcTs, isValidTimeZone, getTimeZoneOffset, formatUtcOffset, formatTimestamp } from "./time.js";
+import { parseDigestTimes, parseDigestSetting, formatDigestSetting, describeDigestTimes, DEFAULT_DIGEST_TIMES, DEFAULT_REVIEW, parseReviewSchedule, parseReviewSetting, formatReviewSetting, describeReviewSchedule } from "./digest.js";
+import { WEEKDAY_NAMES, QUIET_PRESETS, parseQuietHours, parseQuietSetting, formatQuietSetting, parseDndDays, formatDndDays, toggleDndDay, describeQuietHours, describeDndDays } from "./quiet.js";
+import { extractAlerts, parseAlertList, parseAlerts, formatAlerts, describeAlerts, nextAlertAt } from "./alerts.js";
+import { dateKey, shiftTime, setDraftTime, toggleAllDay, applyRulePreset, presetKeyboard, calendarKeyboard, hourKeyboard, minuteKeyboard, pickedTime } from "./picker.js";
+import { normalizeAmbiguities, buildQuestions, applyAnswer, questionKeyboard } from "./clarify.js";
+import { normalizeRule, parseRRule, firstOccurrence, nextOccurrence, catchUpOccurrences, occursInRange, upcomingOccurrences, truncateRule, describeRule, getRuleFrequency } from "./recurrence.js";
 
 // ============================================
 // 時間解析輔助函數
@@ -135,89 +141,102 @@ function parseAITimeExpression(timeStr, refDate) {
 }
 
 /**
- * 根據週期規則計算下一個執行時間
- * @param {string} rule - 週期規則 (daily, weekly:1,2,3, monthly:15, yearly:01-01)
- * @param {Date} refDate - 參考日期
- * @returns {Date} 下一個執行時間
+ * 確保週期性任務的時間在未來
+ * 以 date 為起始時間，取規則在現在之後的第一次發生（date 本身不符合規則時也會對齊到規則上）
+ * @param {Date} date - 起始時間（使用者當地時間）
+ * @param {string} rule - RRULE 字串
+ * @param {Date} refDate - 現在時間（使用者當地時間）
+ * @param {string} timeZone - 使用者時區
+ * @returns {number|null} UTC 時間戳（秒），規則已結束時回傳 null
  */
-function calculateNextFromRule(rule, refDate) {
-  let date = new Date(refDate);
-
-  if (rule === 'daily') {
-    date.setDate(date.getDate() + 1);
-  } else if (rule.startsWith('weekly:')) {
-    const days = rule.split(':')[1].split(',').map(Number);
-    const currentDayISO = date.getDay() === 0 ? 7 : date.getDay();
-    let offset = 1;
-    while (offset <= 7) {
-      let potentialDay = (currentDayISO + offset) % 7;
-      if (potentialDay === 0) potentialDay = 7;
-      if (days.includes(potentialDay)) {
-        date.setDate(date.getDate() + offset);
-        break;
-      }
-      offset++;
-    }
-  } else if (rule.startsWith('monthly:')) {
-    const dayOfMonth = parseInt(rule.split(':')[1]);
-    if (date.getDate() < dayOfMonth) {
-      date.setDate(dayOfMonth);
-    } else {
-      date.setMonth(date.getMonth() + 1);
-      date.setDate(dayOfMonth);
-    }
-  } else if (rule.startsWith('yearly:')) {
-    const [month, day] = rule.split(':')[1].split('-').map(Number);
-    date.setMonth(month - 1);
-    date.setDate(day);
-    if (date.getTime() <= refDate.getTime()) {
-      date.setFullYear(date.getFullYear() + 1);
-    }
-  }
-
-  return date;
+function ensureFutureDate(date, rule, refDate, timeZone) {
+  const startTs = localDateToUtcTs(date, timeZone);
+  if (!rule) return startTs;
+  return firstOccurrence(rule, startTs, localDateToUtcTs(refDate, timeZone), timeZone);
 }
 
-/**
- * 確保週期性任務的時間在未來
- */
-function ensureFutureDate(date, rule, refDate) {
-  if (!rule) return date;
-  if (date.getTime() > refDate.getTime()) return date;
-
-  const newDate = new Date(date);
-  if (rule.startsWith('yearly:')) {
-    newDate.setFullYear(newDate.getFullYear() + 1);
-  } else if (rule.startsWith('monthly:')) {
-    newDate.setMonth(newDate.getMonth() + 1);
-  } else if (rule.startsWith('weekly:')) {
-    newDate.setDate(newDate.getDate() + 7);
-  } else if (rule === 'daily') {
-    newDate.setDate(newDate.getDate() + 1);
-  }
-  return newDate;
+// 含有週期字眼的輸入交給 AI 產生 RRULE，本地解析只處理單次時間
+const RECURRENCE_HINT = /每|every|daily|weekly|monthly|yearly|平日|工作日/i;
+
+// 持續提醒（沒按完成前一直提醒）的關鍵字
+const NAG_HINT = /一定要提醒|務必提醒|提醒到我?完成|until done/i;
+// 緊急任務在勿擾時段也照常提醒
+const URGENT_HINT = /緊急|急件|十萬火急|urgent|asap/i;
+
+// 沒有指定提前提醒時使用使用者的預設值
+async function resolveAlerts(env, userId, alerts) {
+  return alerts ?? parseAlerts(await getUserDefaultAlerts(env, userId));
 }
 
 // 處理訊息的路由
 async function handleMessage(ctx, env) {
   const text = ctx.message.text;
 
+  // 按鈕流程正在等待輸入時優先處理；輸入其他指令（追問時輸入的不是時間也是）則取消等待，照常處理
+  const pending = await getChatState(env, ctx.chat.id);
+  if (pending) {
+    if (!text.startsWith('/') && await acceptsPendingInput(ctx, env, pending, text)) return await handlePendingInput(ctx, env, pending, text);
+    await clearChatState(env, ctx.chat.id);
+  }
+
   // 指令分流
   if (text.startsWith('/list')) return await handleQuery(ctx, env, text, "list");
   if (text.startsWith('/history')) return await handleQuery(ctx, env, text, "history");
+  if (text.startsWith('/timezone')) return await handleTimezone(ctx, env, text);
+  if (text.startsWith('/alerts')) return await handleAlerts(ctx, env, text);
+  if (text.startsWith('/digest')) return await handleDigest(ctx, env, text);
+  if (text.startsWith('/review')) return await handleReview(ctx, env, text);
+  if (text.startsWith('/quiet')) return await handleQuiet(ctx, env, text);
+  if (text.startsWith('/catchup')) return await handleCatchUp(ctx, env);
+  if (text.startsWith('/edit')) return await handleEdit(ctx, env, text);
+  if (text.startsWith('/done')) return await handleDone(ctx, env, text);
+
+  // 看起來是在改、刪、完成或查詢既有任務時，先讓 AI 判斷意圖（多行的訊息一律當成新任務）
+  if (!text.includes('\n') && hasIntentHint(text) && await handleIntent(ctx, env, text)) return;
+
+  return await handleNewTask(ctx, env, text);
+}
+
+// 追問中只收單純的時間（例如「明天下午3點」），「明天繳電費」這類新任務照常處理，追問卡片的按鈕仍然可以回答
+async function acceptsPendingInput(ctx, env, pending, text) {
+  if (pending.action !== "clarify") return true;
+  return !!clarifyTime(text, await getUserTimezone(env, ctx.from.id.toString()));
+}
+
+// 追問的文字回答：只用本地解析（不問 AI），而且除了時間沒有其他內容
+function clarifyTime(text, tz) {
+  const parsed = parseTimeLocally(text.trim(), tz);
+  return parsed && parsed.task === "未命名任務" ? parsed : null;
+}
+
+// 新增任務：本地解析，失敗再交給 AI（「當成新任務」按鈕也走這裡）
+async function handleNewTask(ctx, env, text) {
+  // 多行、條列或「然後 / 還有」連接的訊息拆成多個任務，一起確認
+  const candidates = splitTaskCandidates(text);
+  if (candidates.length > 1) return await handleMultiTask(ctx, env, candidates, text);
+
+  const userId = ctx.from.id.toString();
+  const tz = await getUserTimezone(env, userId);
+
+  // 「提前30分鐘提醒」這類提前提醒先取出來，剩下的文字再解析時間與任務
+  const { text: body, alerts } = extractAlerts(text);
 
   // 優先本地解析
-  const local = parseTimeLocally(text);
+  const local = RECURRENCE_HINT.test(body) ? null : parseTimeLocally(body, tz);
 
   if (local) {
     // 本地解析成功
-    await sendConfirmation(ctx, {
+    await sendConfirmation(ctx, env, {
       task: local.task,
       remindAt: local.utcTimestamp,
       cronRule: null,
       allDay: 0,
+      nag: NAG_HINT.test(text),
+      urgent: URGENT_HINT.test(text),
+      alerts: await resolveAlerts(env, userId, alerts),
       source: '⚡ 本地快速解析',
-      originalText: text
+      originalText: text,
+      timeZone: tz
     });
   } else {
     // 本地解析失敗，fallback 到 AI
@@ -226,75 +245,101 @@ async function handleMessage(ctx, env) {
 }
 
 // --- 2. AI 處理核心 (重構版) ---
-async function processTaskWithAI(ctx, env, text, isRejudgment = false) {
-  let waitMsg;
+/**
+ * 用 AI 解析一則任務的內容、時間與規則
+ * @param {string} body - 已取出提前提醒的輸入
+ * @returns {Promise<{task: string, remindAt: number, cronRule: string|null, allDay: number, confidence: number|null, ambiguities: Array, debugRaw: string}>}
+ * ambiguities 為換算好、可以追問的問題（見 clarify.js）；解析失敗時丟出錯誤（AI 的原始回應在 e.rawContent）
+ */
+async function parseTaskWithAI(env, body, tz) {
+  const refDate = getNowInTimeZone(tz);
+  const prompt = getTaskPrompt(body, refDate, tz);
+  const { json } = await callAI(env, prompt);
+
+  let remindTs = -1;
+  // AI 應回傳 RRULE，舊格式（daily / weekly:1 ...）也一併轉換
+  const finalRule = normalizeRule(json.rule);
+
+  // 處理時間
+  if (json.time) {
+    const date = parseAITimeExpression(json.time, refDate);
+    if (!date) {
+      throw new Error(`時間格式無效: ${json.time}`);
+    }
 
-  if (!isRejudgment) {
-    waitMsg = await ctx.reply("🤖 喵～正在思考與解析中...");
+    // 如果是週期性任務，對齊規則並確保時間在未來
+    remindTs = ensureFutureDate(date, finalRule, refDate, tz);
+  } else if (finalRule) {
+    // 只有規則沒有時間，從現在（取整到分鐘）開始找下一次發生
+    const date = new Date(refDate);
+    date.setSeconds(0, 0);
+    remindTs = ensureFutureDate(date, finalRule, refDate, tz);
   }
 
-  const refDate = getNowTaipei();
-
-  try {
-    const prompt = getTaskPrompt(text, refDate);
-    const { json, rawContent } = await callAI(env, prompt);
+  if (remindTs === null) {
+    throw new Error(`週期規則在未來不會再發生: ${finalRule}`);
+  }
 
-    let remindTs = -1;
-    let finalRule = json.rule;
-    if (finalRule === 'none' || finalRule === 'null') finalRule = null;
+  // 處理任務名稱
+  let finalTask = json.task;
+  if (!finalTask || finalTask === "未命名任務" || finalTask.trim() === "") {
+    finalTask = body.replace(/一定要|提醒我 | 記得 | 每週 | 每天/g, "").trim();
+  }
 
-    // 處理時間
-    if (json.time) {
-      let date = parseAITimeExpression(json.time, refDate);
-      if (!date) {
-        throw new Error(`時間格式無效: ${json.time}`);
-      }
+  return {
+    task: finalTask,
+    remindAt: remindTs,
+    cronRule: finalRule,
+    allDay: json.isAllDay ? 1 : 0,
+    confidence: typeof json.confidence === 'number' ? Math.min(1, Math.max(0, json.confidence)) : null,
+    ambiguities: normalizeAmbiguities(json.ambiguities, expr => parseAITimeExpression(expr, refDate)),
+    debugRaw: JSON.stringify(json)
+  };
+}
 
-      // 如果是週期性任務，確保時間在未來
-      if (finalRule) {
-        date = ensureFutureDate(date, finalRule, refDate);
-      }
+async function processTaskWithAI(ctx, env, text, isRejudgment = false) {
+  let waitMsg;
 
-      remindTs = localDateToUtcTs(date);
-    } else if (finalRule) {
-      // 只有規則沒有時間，計算下一個執行時間
-      const date = calculateNextFromRule(finalRule, refDate);
-      remindTs = localDateToUtcTs(date);
-    }
+  if (!isRejudgment) {
+    waitMsg = await ctx.reply("🤖 喵～正在思考與解析中...");
+  }
 
-    // yearly 特殊處理：重新用 chrono 解析以獲取正確日期
-    if (finalRule && finalRule.startsWith('yearly:') && json.time) {
-      const results = chrono.parse(json.time, refDate, { forwardDate: true });
-      if (results.length > 0) {
-        let date = results[0].date();
-        if (date.getTime() <= refDate.getTime()) {
-          date.setFullYear(date.getFullYear() + 1);
-        }
-        remindTs = localDateToUtcTs(date);
-      }
-    }
+  const userId = ctx.from.id.toString();
+  const tz = await getUserTimezone(env, userId);
+  const { text: body, alerts } = extractAlerts(text);
 
-    // 處理任務名稱
-    let finalTask = json.task;
-    if (!finalTask || finalTask === "未命名任務" || finalTask.trim() === "") {
-      finalTask = text.replace(/提醒我 | 記得 | 每週 | 每天/g, "").trim();
-    }
+  try {
+    const parsed = await parseTaskWithAI(env, body, tz);
 
     // 刪除等待訊息
     if (!isRejudgment && waitMsg) {
       await ctx.api.deleteMessage(ctx.chat.id, waitMsg.message_id).catch(() => {});
     }
 
-    // 發送確認訊息
-    await sendConfirmation(ctx, {
-      task: finalTask,
-      remindAt: remindTs,
-      cronRule: finalRule,
-      allDay: json.isAllDay ? 1 : 0,
+    const state = {
+      task: parsed.task,
+      remindAt: parsed.remindAt,
+      cronRule: parsed.cronRule,
+      allDay: parsed.allDay,
+      nag: NAG_HINT.test(text),
+      urgent: URGENT_HINT.test(text),
+      alerts: parsed.remindAt > 0 ? await resolveAlerts(env, userId, alerts) : [],
       source: isRejudgment ? '🧠 AI (重新判斷)' : '🧠 AI',
       originalText: text,
-      debugRaw: JSON.stringify(json)
-    });
+      confidence: parsed.confidence,
+      debugRaw: parsed.debugRaw,
+      timeZone: tz
+    };
+
+    // 時間不明確（或完全沒有時間）時先追問；重新判斷是使用者看過卡片後要求的，直接給卡片
+    const questions = isRejudgment ? [] : buildQuestions(state, parsed.ambiguities, getNowInTimeZone(tz));
+    if (questions.length) {
+      state.alerts = await resolveAlerts(env, userId, alerts);
+      return await askClarification(ctx, env, { ...state, questions });
+    }
+
+    // 發送確認訊息
+    await sendConfirmation(ctx, env, state);
 
   } catch (e) {
     console.error("AI 處理錯誤:", e);
@@ -319,15 +364,107 @@ async function processTaskWithAI(ctx, env, text, isRejudgment = false) {
   }
 }
 
+// 追問中的任務存成草稿，也記下這個聊天室在等回答（可以直接輸入時間）
+async function askClarification(ctx, env, draft) {
+  const draftId = await createTaskDraft(env, ctx.from.id.toString(), 'clarify', draft);
+  await setChatState(env, ctx.chat.id, "clarify", { draftId });
+  await ctx.reply(clarificationText(draft), { parse_mode: "HTML", reply_markup: questionKeyboard(draftId, draft.questions[0]) });
+}
+
+// 問完了：不用再等回答，進入一般的確認卡片（使用者回答過了，不再顯示 AI 的信心值）
+async function finishClarification(ctx, env, draft) {
+  await clearChatState(env, ctx.chat.id);
+  const { questions, ...state } = draft;
+  await sendConfirmation(ctx, env, { ...state, alerts: state.remindAt > 0 ? state.alerts : [], confidence: null });
+}
+
+/**
+ * 解析多任務中的一項：先本地解析，不行再問 AI；AI 也看不懂時先當成無期限
+ * @returns {Promise<object>} 確認卡片的草稿項目（欄位同 sendConfirmation 的草稿，另有 failed）
+ */
+async function parseCandidate(env, userId, text, tz) {
+  const { text: body, alerts } = extractAlerts(text);
+  const item = { nag: NAG_HINT.test(text) ? 1 : 0, urgent: URGENT_HINT.test(text) ? 1 : 0 };
+
+  const local = RECURRENCE_HINT.test(body) ? null : parseTimeLocally(body, tz);
+  if (local) {
+    return { ...item, task: local.task, remindAt: local.utcTimestamp, cronRule: null, allDay: 0, alerts: await resolveAlerts(env, userId, alerts), source: '⚡ 本地快速解析' };
+  }
+
+  try {
+    const parsed = await parseTaskWithAI(env, body, tz);
+    return {
+      ...item,
+      task: parsed.task,
+      remindAt: parsed.remindAt,
+      cronRule: parsed.cronRule,
+      allDay: parsed.allDay,
+      alerts: parsed.remindAt > 0 ? await resolveAlerts(env, userId, alerts) : [],
+      source: '🧠 AI'
+    };
+  } catch (e) {
+    console.error("多任務 AI 解析錯誤:", e);
+    return { ...item, task: body, remindAt: -1, cronRule: null, allDay: 0, alerts: [], source: '🧠 AI', failed: 1 };
+  }
+}
+
+// 一則訊息裡有多個任務：同時解析（最多 MAX_TASK_CANDIDATES 個，見 splitTaskCandidates）後放在同一張確認卡片上，預設全部勾選
+// 每個任務都可能要問 AI，逐一等待會讓 webhook 拖太久而被 Telegram 重送
+async function handleMultiTask(ctx, env, candidates, text) {
+  const userId = ctx.from.id.toString();
+  const tz = await getUserTimezone(env, userId);
+  const waitMsg = await ctx.reply(`🤖 喵～正在解析 ${candidates.length} 個任務...`);
+
+  const items = await Promise.all(candidates.map(candidate => parseCandidate(env, userId, candidate, tz)));
+
+  await ctx.api.deleteMessage(ctx.chat.id, waitMsg.message_id).catch(() => {});
+  await sendBatchConfirmation(ctx, env, { items, selected: items.map((_, i) => i), originalText: text, timeZone: tz });
+}
+
+/**
+ * 把確認卡片的草稿存成任務
+ * 卡片放了一陣子才按儲存時，循環任務的第一次可能已經過去，跳到現在之後的下一次（跳過的次數一樣算進 COUNT）
+ * @returns {Promise<number|null>} 第一次提醒的時間；規則已經不會再發生時為 null（不儲存）
+ */
+async function saveDraftTask(env, userId, draft, tz) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  const rule = draft.cronRule;
+  let remindAt = draft.remindAt;
+  // COUNT 結束條件：剩餘次數從總次數開始倒數
+  let remainingCount = parseRRule(rule)?.count || null;
+  if (rule && remindAt > 0 && remindAt <= nowTs) {
+    const first = nextOccurrence(rule, remindAt, { timeZone: tz, anchorTs: remindAt, inclusive: true });
+    if (first === null) return null;
+    if (first <= nowTs) {
+      const { count, next } = catchUpOccurrences(rule, first, nowTs, { timeZone: tz, remaining: remainingCount, anchorTs: remindAt });
+      if (next === null) return null;
+      if (remainingCount !== null) remainingCount -= count;
+      remindAt = next;
+    } else {
+      remindAt = first;
+    }
+  }
+
+  await addTodo(env, userId, draft.task, remindAt, rule, draft.allDay, {
+    remainingCount,
+    nag: draft.nag,
+    alerts: formatAlerts(draft.alerts),
+    nextAlertAt: nextAlertAt(remindAt, draft.alerts, nowTs),
+    urgent: draft.urgent
+  });
+  return remindAt;
+}
+
 // --- 3. 查詢處理 (List/History) ---
 async function handleQuery(ctx, env, text, mode) {
   const queryText = text.replace(/^\/(list|history)\s*/, "").trim();
+  const tz = await getUserTimezone(env, ctx.from.id.toString());
 
   // 新增 history 清空功能
   if (mode === "history" && queryText.toLowerCase() === "clear") {
     const userId = ctx.from.id.toString();
     try {
-      await deleteTodosByStatus(env, userId, 1); // 刪除 status=1 的歷史記錄
+      await deleteCompletions(env, userId);
       return await ctx.reply("🗑️ 喵～已清空所有歷史記錄！", { parse_mode: "HTML" });
     } catch (e) {
       return await ctx.reply(`❌ 喵嗚～清空歷史記錄失敗：${e.message}`, { parse_mode: "HTML" });
@@ -337,7 +474,7 @@ async function handleQuery(ctx, env, text, mode) {
   if (!queryText) {
       if (mode === "list") {
           // 無參數時顯示今天及未來 7 天的待辦事項
-          const { start, end } = getTodayAndFutureRangeTaipei(7);
+          const { start, end } = getTodayAndFutureRange(7, tz);
           return await renderList(ctx, env, "近期一週", start, end, null);
       } else {
           return await renderHistory(ctx, env, "最近");
@@ -361,7 +498,7 @@ async function handleQuery(ctx, env, text, mode) {
   }
 
   // 嘗試本地解析（混合架構）
-  const localQuery = parseQueryLocally(queryText);
+  const localQuery = parseQueryLocally(queryText, tz);
 
   if (localQuery) {
     // 本地解析成功，直接使用
@@ -382,16 +519,16 @@ async function handleQuery(ctx, env, text, mode) {
 
   // 本地解析失敗，使用 AI
   const waitMsg = await ctx.reply("🔍 喵～查詢範圍中...");
-  const now = getNowTaipei();
+  const now = getNowInTimeZone(tz);
 
   try {
-    const prompt = getQueryPrompt(queryText, now);
+    const prompt = getQueryPrompt(queryText, now, tz);
     const { json, rawContent } = await callAI(env, prompt);
 
     await ctx.api.deleteMessage(ctx.chat.id, waitMsg.message_id).catch(() => {});
 
     // 使用本地解析函數計算 AI 提取的 timeExpression
-    const parsedRange = parseQueryLocally(json.timeExpression);
+    const parsedRange = parseQueryLocally(json.timeExpression, tz);
 
     if (parsedRange) {
       if (mode === "list") {
@@ -432,56 +569,1078 @@ async function handleQuery(ctx, env, text, mode) {
   }
 }
 
+// --- 時區設定 (/timezone) ---
+const TIMEZONE_PRESETS = [
+  ["🇹🇼 台北", "Asia/Taipei"],
+  ["🇯🇵 東京", "Asia/Tokyo"],
+  ["🇩🇪 柏林", "Europe/Berlin"],
+  ["🇬🇧 倫敦", "Europe/London"],
+  ["🇺🇸 舊金山", "America/Los_Angeles"],
+  ["🇺🇸 紐約", "America/New_York"],
+  ["🌐 UTC", "UTC"]
+];
+
+// 目前時區的說明文字
+function describeTimezone(tz) {
+  const offset = formatUtcOffset(getTimeZoneOffset(tz));
+  const nowStr = formatTimestamp(Math.floor(Date.now() / 1000), tz);
+  return `🌏 目前時區：<b>${tz}</b> (${offset})\n🕒 當地時間：${nowStr}`;
+}
+
+async function handleTimezone(ctx, env, text) {
+  const userId = ctx.from.id.toString();
+  const arg = text.replace(/^\/timezone(@\w+)?\s*/, "").trim();
+
+  if (!arg) {
+    const tz = await getUserTimezone(env, userId);
+    const kb = new InlineKeyboard();
+    TIMEZONE_PRESETS.forEach(([label, zone], i) => {
+      kb.text(label, `tz|${zone}`);
+      if (i % 2 === 1) kb.row();
+    });
+    return await ctx.reply(
+      `${describeTimezone(tz)}\n\n喵～請選擇時區，或輸入 <code>/timezone Europe/Paris</code> 這樣的 IANA 時區名稱：`,
+      { parse_mode: "HTML", reply_markup: kb }
+    );
+  }
+
+  if (!isValidTimeZone(arg)) {
+    return await ctx.reply(`❌ 喵嗚～看不懂時區 <code>${arg}</code>\n請使用 IANA 時區名稱，例如 <code>Asia/Tokyo</code>、<code>America/Los_Angeles</code>`, { parse_mode: "HTML" });
+  }
+
+  // 統一成 Intl 的標準寫法（例如 asia/tokyo -> Asia/Tokyo）
+  const tz = new Intl.DateTimeFormat('en-US', { timeZone: arg }).resolvedOptions().timeZone;
+  await setUserTimezone(env, userId, tz);
+  return await ctx.reply(`✅ 喵～時區已更新！\n${describeTimezone(tz)}`, { parse_mode: "HTML" });
+}
+
+// 管理模式的規則分組（單次 / 每天 / 每週 / 每月 / 每年 / 其他）
+const RULE_GROUPS = { DAILY: "每天", WEEKLY: "每週", MONTHLY: "每月", YEARLY: "每年" };
+
+function getRuleGroup(rule) {
+  if (!rule || rule === 'none' || rule === 'null') return "單次";
+  return RULE_GROUPS[getRuleFrequency(rule)] || "其他";
+}
+
+// 單次調整選單：列出接下來幾次發生，每一次都可以跳過 / 改期 / 從此取消
+const OCCURRENCE_MENU_SIZE = 5;
+
+async function renderOccurrenceMenu(ctx, env, userId, tz, todoId) {
+  const todo = (await getTodos(env, userId, 0)).find(t => t.id === todoId);
+  if (!todo || !todo.cron_rule) return ctx.editMessageText("😿 喵～找不到這個例行任務了");
+
+  const limit = todo.remaining_count !== null ? Math.min(OCCURRENCE_MENU_SIZE, todo.remaining_count) : OCCURRENCE_MENU_SIZE;
+  const occurrences = upcomingOccurrences(todo.cron_rule, todo.remind_at, limit, tz, { anchorTs: todo.anchor_at, remaining: todo.remaining_count });
+  const exceptions = (await getTodoExceptions(env, userId)).filter(e => e.todo_id === todo.id);
+
+  const kb = new InlineKeyboard();
+  let msg = `🗓️ <b>${escapeHtml(todo.task)}</b>（${describeRule(todo.cron_rule)}）\n接下來的時間：\n`;
+  occurrences.forEach(ts => {
+    const label = new Date(ts * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric', weekday:'short', hour:'2-digit', minute:'2-digit', hour12:false});
+    const shortLabel = new Date(ts * 1000).toLocaleDateString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'});
+    const exception = exceptions.find(e => e.occurrence_at === ts);
+
+    if (exception?.action === 'skip') {
+      msg += `• <s>${label}</s> ⏭️ 已跳過\n`;
+    } else if (exception?.action === 'done') {
+      msg += `• <s>${label}</s> ✅ 已提前完成\n`;
+    } else if (exception?.action === 'move') {
+      msg += `• <s>${label}</s> 📅 改到 ${formatTimestamp(exception.new_at, tz)}\n`;
+    } else {
+      msg += `• ${label}\n`;
+    }
+
+    if (exception) {
+      kb.text(`↩️ 恢復 ${shortLabel}`, `oc_rs|${todo.id}|${ts}`);
+    } else {
+      kb.text(`⏭️ 跳過 ${shortLabel}`, `oc_sk|${todo.id}|${ts}`);
+    }
+    kb.text("📅 改期", `oc_mv|${todo.id}|${ts}`).text("✂️ 從此取消", `oc_cut|${todo.id}|${ts}`).row();
+  });
+  kb.text("⬅️ 返回", "manage_rule|").text("❌ 關閉", "cancel");
+
+  await ctx.editMessageText(msg, { parse_mode: "HTML", reply_markup: kb });
+}
+
+// 管理畫面：勾選狀態存在 manage_sessions，callback_data 只帶 ms|session id|動作|參數，勾選時不用重新查詢任務
+// mode: delete 勾選刪除 / done 勾選完成 / rule 週期性任務（單次調整、刪除整個規則）
+const MANAGE_PAGE_SIZE = 10;
+const MANAGE_PROMPTS = {
+  delete: "請勾選要刪除的任務：",
+  done: "請勾選已經完成的任務：",
+  rule: "請勾選要調整或刪除的任務："
+};
+
+// 排序：先發生的在前面，無期限(-1)放最後
+function sortByRemindAt(todos) {
+  return todos.sort((a, b) => {
+    if (a.remind_at === -1) return 1;
+    if (b.remind_at === -1) return -1;
+    return a.remind_at - b.remind_at;
+  });
+}
+
+// 「10/28 繳電費」「無期限 整理書櫃」
+function manageLabel(t, tz) {
+  if (t.remind_at > 0) {
+    const dateStr = new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'});
+    return `${dateStr} ${t.task}`;
+  }
+  return t.remind_at === -1 ? `無期限 ${t.task}` : t.task;
+}
+
+/**
+ * 開啟新的管理畫面
+ * @param {Array} todos - 要列出的任務
+ * @param {{mode: string, title: string, back?: string, selected?: number[], reply?: boolean}} options
+ *   back 為「返回」按鈕的 callback_data；selected 為預先勾選的任務；reply 為 true 時另外送出新訊息（從文字訊息開啟時）
+ */
+async function openManageSession(ctx, env, userId, tz, todos, { mode, title, back = null, selected = [], reply = false }) {
+  const session = {
+    mode,
+    title,
+    back,
+    items: sortByRemindAt(todos).map(t => ({ id: t.id, label: manageLabel(t, tz) })),
+    selected,
+    page: 0
+  };
+  session.id = await createManageSession(env, userId, session);
+  return await renderManageSession(ctx, session, reply);
+}
+
+// 依 session 畫出目前這一頁
+async function renderManageSession(ctx, session, reply = false) {
+  const { id, items, mode } = session;
+  const selected = new Set(session.selected);
+  const pages = Math.max(1, Math.ceil(items.length / MANAGE_PAGE_SIZE));
+  const page = Math.min(session.page, pages - 1);
+
+  const kb = new InlineKeyboard();
+  items.slice(page * MANAGE_PAGE_SIZE, (page + 1) * MANAGE_PAGE_SIZE).forEach((item, i) => {
+    const index = page * MANAGE_PAGE_SIZE + i;
+    kb.text(`${selected.has(item.id) ? "✅" : "⬜️"} ${item.label}`, `ms|${id}|t|${index}`).text("✏️", `ed|${item.id}`).row();
+  });
+
+  if (items.length > 1) {
+    kb.text("☑️ 全選", `ms|${id}|all`).text("⬜️ 全不選", `ms|${id}|none`).text("🔁 反選", `ms|${id}|inv`).row();
+  }
+  if (pages > 1) {
+    if (page > 0) kb.text("◀️ 上一頁", `ms|${id}|p|${page - 1}`);
+    kb.text(`${page + 1} / ${pages}`, `ms|${id}|p|${page}`);
+    if (page < pages - 1) kb.text("下一頁 ▶️", `ms|${id}|p|${page + 1}`);
+    kb.row();
+  }
+
+  if (mode === 'rule') {
+    kb.text("🗓️ 單次調整（跳過 / 改期）", `ms|${id}|occ`).row();
+    kb.text(`🗑️ 刪除整個規則 (${selected.size})`, `ms|${id}|rule`).row();
+  } else if (mode === 'done') {
+    kb.text(`✅ 確認完成 (${selected.size})`, `ms|${id}|ok`).row();
+  } else {
+    kb.text(`🗑️ 確認刪除 (${selected.size})`, `ms|${id}|ok`).row();
+  }
+  if (session.back) kb.text("⬅️ 返回", session.back);
+  kb.text("❌ 關閉", "cancel");
+
+  const msg = `${session.title}\n${MANAGE_PROMPTS[mode]}（已勾選 ${selected.size} / ${items.length}）`;
+  if (reply) return await ctx.reply(msg, { parse_mode: "HTML", reply_markup: kb });
+  await ctx.editMessageText(msg, { parse_mode: "HTML", reply_markup: kb });
+}
+
+// 處理需要接著輸入文字的流程（例如改期輸入新時間）
+async function handlePendingInput(ctx, env, pending, text) {
+  const userId = ctx.from.id.toString();
+  const tz = await getUserTimezone(env, userId);
+
+  if (pending.action === "move_occurrence") {
+    const { todoId, occurrenceAt } = pending.payload;
+    const todo = (await getTodos(env, userId, 0)).find(t => t.id === todoId);
+    if (!todo) {
+      await clearChatState(env, ctx.chat.id);
+      return ctx.reply("😿 喵～找不到這個任務了");
+    }
+
+    const parsed = parseTimeLocally(text, tz);
+    if (!parsed) {
+      return ctx.reply("❓ 喵～看不懂這個時間，請再輸入一次（例如：<code>明天下午3點</code>）", { parse_mode: "HTML" });
+    }
+
+    await setTodoException(env, todo.id, occurrenceAt, 'move', parsed.utcTimestamp);
+    await clearChatState(env, ctx.chat.id);
+    return ctx.reply(
+      `📅 喵～已將 ${formatTimestamp(occurrenceAt, tz)} 的「${escapeHtml(todo.task)}」改到 <b>${formatTimestamp(parsed.utcTimestamp, tz)}</b>，其他時間照常提醒！`,
+      { parse_mode: "HTML" }
+    );
+  }
+
+  if (pending.action === "snooze_custom") {
+    const { todoId, occurrenceAt } = pending.payload;
+    const todo = await getTodoById(env, todoId, userId);
+    if (!todo) {
+      await clearChatState(env, ctx.chat.id);
+      return ctx.reply("😿 喵～找不到這個任務了");
+    }
+
+    const parsed = parseTimeLocally(text, tz);
+    if (!parsed) {
+      return ctx.reply("❓ 喵～看不懂這個時間，請再輸入一次（例如：<code>今天晚上8點</code>）", { parse_mode: "HTML" });
+    }
+
+    await snoozeOccurrence(env, todo, occurrenceAt, parsed.utcTimestamp);
+    await clearChatState(env, ctx.chat.id);
+    return ctx.reply(`😴 喵～「${escapeHtml(todo.task)}」會在 <b>${formatTimestamp(parsed.utcTimestamp, tz)}</b> 再提醒你！`, { parse_mode: "HTML" });
+  }
+
+  if (pending.action === "clarify") {
+    const draft = await getTaskDraft(env, pending.payload.draftId, userId);
+    if (!draft || draft.kind !== 'clarify') {
+      await clearChatState(env, ctx.chat.id);
+      return ctx.reply(DRAFT_EXPIRED);
+    }
+
+    // 直接輸入時間：整個時間都以輸入的為準，剩下的問題不用再問（不是時間的輸入在 handleMessage 就照常處理了）
+    const parsed = clarifyTime(text, tz);
+    if (!parsed) {
+      await clearChatState(env, ctx.chat.id);
+      return;
+    }
+    const next = setDraftTime(draft.payload, parsed.utcTimestamp, 0, Math.floor(Date.now() / 1000));
+    if (!next) return ctx.reply("😿 喵～這個時間之後規則已經不會再發生了，請換一個時間");
+    if (!await deleteTaskDraft(env, draft.id)) return;
+    return await finishClarification(ctx, env, { ...next, source: draft.payload.source, questions: [] });
+  }
+
+  if (pending.action === "edit_todo") {
+    const { todoId, field } = pending.payload;
+    const todo = await getTodoById(env, todoId, userId);
+    if (!todo) {
+      await clearChatState(env, ctx.chat.id);
+      return ctx.reply("😿 喵～找不到這個任務了");
+    }
+
+    let draft;
+    try {
+      draft = await buildEditDraft(env, todo, field, text.trim(), tz);
+    } catch (e) {
+      console.error("編輯解析錯誤:", e);
+      return ctx.reply(`⚠️ 喵嗚～解析發生錯誤了：${e.message}\n請再輸入一次`);
+    }
+    if (typeof draft === 'string') return ctx.reply(draft, { parse_mode: "HTML" });
+
+    await clearChatState(env, ctx.chat.id);
+    return await sendEditConfirmation(ctx, env, todo, draft, tz);
+  }
+
+  await clearChatState(env, ctx.chat.id);
+}
+
+// --- 編輯任務 (/edit) ---
+// 輸入「單次」等字眼時取消重複
+const NO_REPEAT = /^(單次|不重複|不要重複|取消重複|none|once)$/i;
+// /edit 選單最多列出幾個任務
+const EDIT_PICKER_LIMIT = 30;
+
+/**
+ * 解析編輯時輸入的新時間：先本地解析，看不懂再交給 AI
+ * @returns {Promise<{remindAt: number, allDay: number}|null>}
+ */
+async function parseEditTime(env, text, tz) {
+  const local = parseTimeLocally(text, tz);
+  if (local) return { remindAt: local.utcTimestamp, allDay: 0 };
+
+  const refDate = getNowInTimeZone(tz);
+  const { json } = await callAI(env, getTaskPrompt(text, refDate, tz));
+  const date = json.time ? parseAITimeExpression(json.time, refDate) : null;
+  if (!date || isNaN(date.getTime())) return null;
+  return { remindAt: localDateToUtcTs(date, tz), allDay: json.isAllDay ? 1 : 0 };
+}
+
+/**
+ * 解析編輯時輸入的新規則：「單次」取消重複、RRULE 直接使用，其餘交給 AI
+ * @returns {Promise<{rule: string|null}|null>} 看不懂時為 null
+ */
+async function parseEditRule(env, text, task, tz) {
+  if (NO_REPEAT.test(text)) return { rule: null };
+  if (/^(RRULE:)?FREQ=/i.test(text)) {
+    const rule = normalizeRule(text);
+    return rule ? { rule } : null;
+  }
+  const { json } = await callAI(env, getTaskPrompt(`${task} ${text}`, getNowInTimeZone(tz), tz));
+  const rule = normalizeRule(json.rule);
+  return rule ? { rule } : null;
+}
+
+/**
+ * 依使用者輸入產生修改後的任務
+ * @param {string} field - 't' 內容 / 'w' 時間 / 'r' 規則
+ * @returns {Promise<object|string>} 修改後的任務；看不懂時回傳要請使用者重新輸入的訊息
+ */
+async function buildEditDraft(env, todo, field, text, tz) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  const draft = { task: todo.task, remindAt: todo.remind_at, cronRule: todo.cron_rule || null, allDay: todo.all_day ? 1 : 0 };
+
+  if (field === 't') {
+    if (!text) return "❓ 喵～內容不能是空的，請再輸入一次";
+    draft.task = text;
+    return draft;
+  }
+
+  if (field === 'w') {
+    const parsed = await parseEditTime(env, text, tz);
+    if (!parsed) return "❓ 喵～看不懂這個時間，請再輸入一次（例如：<code>明天下午3點</code>）";
+    draft.allDay = parsed.allDay;
+    // 循環任務以新時間為起點，對齊規則並確保在未來
+    draft.remindAt = draft.cronRule ? firstOccurrence(draft.cronRule, parsed.remindAt, nowTs, tz) : parsed.remindAt;
+    if (draft.remindAt === null) return "😿 喵～這個時間之後規則已經不會再發生了，請換一個時間";
+    return draft;
+  }
+
+  const parsed = await parseEditRule(env, text, todo.task, tz);
+  if (!parsed) return "❓ 喵～看不懂這個規則，請再輸入一次（例如：<code>每天</code>、<code>每週一三五</code>，或輸入 <code>單次</code> 取消重複）";
+  draft.cronRule = parsed.rule;
+  if (draft.cronRule) {
+    // 沒有時間的任務從現在（取整到分鐘）開始找下一次發生
+    const base = todo.remind_at > 0 ? todo.remind_at : nowTs - nowTs % 60;
+    draft.remindAt = firstOccurrence(draft.cronRule, base, nowTs, tz);
+    if (draft.remindAt === null) return "😿 喵～這個規則在未來不會再發生了，請再輸入一次";
+  }
+  return draft;
+}
+
+// /edit：列出待辦讓使用者選；/edit 關鍵字 只列出符合的，剛好一個時直接打開編輯器
+async function handleEdit(ctx, env, text) {
+  const userId = ctx.from.id.toString();
+  const tz = await getUserTimezone(env, userId);
+  const keyword = text.replace(/^\/edit(@\w+)?\s*/, "").trim();
+
+  const todos = (await getTodos(env, userId, 0)).filter(t => !keyword || t.task.includes(keyword));
+  if (!todos.length) {
+    return await ctx.reply(keyword ? `😿 喵～找不到包含「${keyword}」的任務` : "😿 喵～目前沒有待辦事項呢～");
+  }
+  if (keyword && todos.length === 1) {
+    const { text: msg, keyboard } = buildTodoEditor(todos[0], tz);
+    return await ctx.reply(msg, { parse_mode: "HTML", reply_markup: keyboard });
+  }
+
+  // 排序：先發生的在前面，無期限(-1)放最後
+  todos.sort((a, b) => {
+    if (a.remind_at === -1) return 1;
+    if (b.remind_at === -1) return -1;
+    return a.remind_at - b.remind_at;
+  });
+
+  const kb = new InlineKeyboard();
+  todos.slice(0, EDIT_PICKER_LIMIT).forEach(t => {
+    const dateStr = t.remind_at > 0
+      ? new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'})
+      : "無期限";
+    kb.text(`✏️ ${dateStr} ${t.task}`, `ed|${t.id}`).row();
+  });
+  kb.text("❌ 關閉", "cancel");
+
+  let msg = "✏️ <b>要編輯哪個任務呢？</b>";
+  if (todos.length > EDIT_PICKER_LIMIT) {
+    msg += `\n（只列出前 ${EDIT_PICKER_LIMIT} 個，可以用 <code>/edit 關鍵字</code> 縮小範圍）`;
+  }
+  return await ctx.reply(msg, { parse_mode: "HTML", reply_markup: kb });
+}
+
+// --- 手動完成 (/done) ---
+// 關鍵字符合多個任務時最多列出幾個
+const DONE_PICKER_LIMIT = 10;
+
+// /done 編號（近期一週清單的編號，同 /list）或 /done 關鍵字
+async function handleDone(ctx, env, text) {
+  const userId = ctx.from.id.toString();
+  const tz = await getUserTimezone(env, userId);
+  const arg = text.replace(/^\/done(@\w+)?\s*/, "").trim();
+
+  if (!arg) {
+    return await ctx.reply(
+      `✅ <b>完成任務喵～</b>\n` +
+      `用 <code>/list</code> 的編號：<code>/done 2</code>\n` +
+      `或用關鍵字：<code>/done 繳費</code>\n` +
+      `也可以直接按清單下方的 ✅ 按鈕`,
+      { parse_mode: "HTML" }
+    );
+  }
+
+  if (/^\d+$/.test(arg)) {
+    const { start, end } = getTodayAndFutureRange(7, tz);
+    const { items, timeOf } = await getListItems(env, userId, start, end, tz);
+    const todo = items[parseInt(arg) - 1];
+    if (!todo) return await ctx.reply(`😿 喵～近期一週的清單裡沒有第 ${arg} 項`);
+    const nextTs = await completeTodo(env, todo, timeOf(todo), tz);
+    return await ctx.reply(completionMessage(todo, nextTs, tz), { parse_mode: "HTML" });
+  }
+
+  const matches = (await getTodos(env, userId, 0)).filter(t => t.task.includes(arg));
+  if (!matches.length) return await ctx.reply(`😿 喵～找不到包含「${arg}」的任務`);
+  if (matches.length === 1) {
+    const nextTs = await completeTodo(env, matches[0], await pendingOccurrence(env, matches[0]), tz);
+    return await ctx.reply(completionMessage(matches[0], nextTs, tz), { parse_mode: "HTML" });
+  }
+
+  const kb = new InlineKeyboard();
+  for (const t of matches.slice(0, DONE_PICKER_LIMIT)) {
+    const occurrenceAt = await pendingOccurrence(env, t);
+    const dateStr = occurrenceAt > 0
+      ? new Date(occurrenceAt * 1000).toLocaleDateString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'})
+      : "無期限";
+    kb.text(`✅ ${dateStr} ${t.task}`, `dn|${t.id}|${occurrenceAt}`).row();
+  }
+  kb.text("❌ 取消", "cancel");
+  return await ctx.reply(`🤔 喵～有 ${matches.length} 個任務包含「${arg}」，要完成哪一個呢？`, { reply_markup: kb });
+}
+
+// --- 自然語言操作既有任務（「把明天的開會改到後天下午」「刪掉所有健身的提醒」「我買完牛奶了」） ---
+const INTENTS = ['create', 'query', 'update', 'complete', 'delete'];
+// 修改時符合多個任務最多列出幾個
+const INTENT_PICKER_LIMIT = 10;
+
+// 依使用者提到的日期（「明天的開會」）縮小範圍；看不懂或縮小後沒有任務時維持原本的
+function filterByTargetTime(todos, phrase, tz) {
+  const range = phrase ? parseQueryLocally(String(phrase), tz) : null;
+  if (!range) return todos;
+  const inRange = todos.filter(t => t.cron_rule
+    ? occursInRange(t.cron_rule, t.remind_at, range.start, range.end, tz, [], { anchorTs: t.anchor_at, remaining: t.remaining_count })
+    : t.remind_at >= range.start && t.remind_at <= range.end);
+  return inRange.length ? inRange : todos;
+}
+
+/**
+ * 判斷訊息是不是在操作既有的任務，是的話接著處理
+ * 刪除與完成開啟管理畫面（只符合一個或說了「全部」時預先勾選），修改產生確認卡片，都要按確認才會寫入
+ * @returns {Promise<boolean>} 已處理為 true；新增任務或判斷失敗時為 false，交回新增的流程
+ */
+async function handleIntent(ctx, env, text) {
+  const userId = ctx.from.id.toString();
+  const tz = await getUserTimezone(env, userId);
+
+  let json;
+  try {
+    ({ json } = await callAI(env, getIntentPrompt(text, getNowInTimeZone(tz), tz)));
+  } catch (e) {
+    console.error("意圖判斷失敗，當成新任務:", e);
+    return false;
+  }
+
+  const intent = INTENTS.includes(json.intent) ? json.intent : 'create';
+  if (intent === 'create') return false;
+  if (intent === 'query') {
+    await handleQuery(ctx, env, `/list ${json.targetTime || ''}`, "list");
+    return true;
+  }
+
+  const target = String(json.target || '').trim();
+  const matches = filterByTargetTime(matchTodos(await getTodos(env, userId, 0), target), json.targetTime, tz);
+  const changes = { newTime: json.newTime || null, newTask: json.newTask || null, newRule: json.newRule || null };
+
+  if (!matches.length) {
+    const draftId = await createTaskDraft(env, userId, 'intent', { originalText: text });
+    const kb = new InlineKeyboard().text("📝 當成新任務", `in|${draftId}`).text("❌ 取消", "cancel");
+    await ctx.reply(`😿 喵～找不到符合「${escapeHtml(target || text)}」的任務`, { parse_mode: "HTML", reply_markup: kb });
+    return true;
+  }
+
+  if (intent !== 'update') {
+    await openManageSession(ctx, env, userId, tz, matches, {
+      mode: intent === 'complete' ? 'done' : 'delete',
+      title: `🔍 <b>符合「${escapeHtml(target)}」的任務</b>`,
+      selected: json.all || matches.length === 1 ? matches.map(t => t.id) : [],
+      reply: true
+    });
+    return true;
+  }
+
+  if (matches.length === 1) {
+    await confirmIntentUpdate(ctx, env, matches[0], changes, tz);
+    return true;
+  }
+
+  const draftId = await createTaskDraft(env, userId, 'intent', { originalText: text, ...changes });
+  const kb = new InlineKeyboard();
+  sortByRemindAt(matches).slice(0, INTENT_PICKER_LIMIT).forEach(t => kb.text(`✏️ ${manageLabel(t, tz)}`, `iu|${draftId}|${t.id}`).row());
+  kb.text("📝 其實是新任務", `in|${draftId}`).text("❌ 取消", "cancel");
+  await ctx.reply(`🤔 喵～有 ${matches.length} 個任務符合「${escapeHtml(target)}」，要修改哪一個呢？`, { parse_mode: "HTML", reply_markup: kb });
+  return true;
+}
+
+/**
+ * 依自然語言說的修改產生確認卡片（按下確認後由 es| 寫入）；沒說要改什麼時打開編輯器
+ * 先改規則再改時間，循環任務的新時間才會對齊新的規則
+ */
+async function confirmIntentUpdate(ctx, env, todo, { newTime, newTask, newRule }, tz) {
+  if (!newTime && !newTask && !newRule) {
+    const { text: msg, keyboard } = buildTodoEditor(todo, tz);
+    return await ctx.reply(msg, { parse_mode: "HTML", reply_markup: keyboard });
+  }
+
+  let current = todo;
+  let draft = null;
+  for (const [field, value] of [['r', newRule], ['w', newTime], ['t', newTask]]) {
+    if (!value) continue;
+    try {
+      draft = await buildEditDraft(env, current, field, String(value).trim(), tz);
+    } catch (e) {
+      console.error("編輯解析錯誤:", e);
+      return ctx.reply(`⚠️ 喵嗚～解析發生錯誤了：${e.message}`);
+    }
+    if (typeof draft === 'string') return ctx.reply(draft, { parse_mode: "HTML" });
+    current = { ...current, task: draft.task, remind_at: draft.remindAt, cron_rule: draft.cronRule, all_day: draft.allDay };
+  }
+  return await sendEditConfirmation(ctx, env, todo, draft, tz);
+}
+
+// --- 預設提前提醒設定 (/alerts) ---
+async function handleAlerts(ctx, env, text) {
+  const userId = ctx.from.id.toString();
+  const arg = text.replace(/^\/alerts(@\w+)?\s*/, "").trim();
+
+  if (!arg) {
+    const current = describeAlerts(parseAlerts(await getUserDefaultAlerts(env, userId)));
+    return await ctx.reply(
+      `🔔 目前預設的提前提醒：<b>${current || "無"}</b>\n\n` +
+      `喵～設定方式：<code>/alerts 1天 1小時 10分鐘</code>\n` +
+      `關閉預設：<code>/alerts off</code>\n` +
+      `也可以在建立任務時直接說「提前30分鐘提醒」`,
+      { parse_mode: "HTML" }
+    );
+  }
+
+  if (/^(off|none|關閉?|無)$/i.test(arg)) {
+    await setUserDefaultAlerts(env, userId, null);
+    return await ctx.reply("🔕 喵～已關閉預設的提前提醒");
+  }
+
+  const alerts = parseAlertList(arg);
+  if (!alerts.length) {
+    return await ctx.reply(`❌ 喵嗚～看不懂 <code>${arg}</code>\n請用像 <code>/alerts 1天 1小時 10分鐘</code> 這樣的格式`, { parse_mode: "HTML" });
+  }
+  await setUserDefaultAlerts(env, userId, formatAlerts(alerts));
+  return await ctx.reply(`✅ 喵～之後新增的任務預設會在 <b>${describeAlerts(alerts)}</b> 提醒你！`, { parse_mode: "HTML" });
+}
+
+// --- 每日彙整時間設定 (/digest) ---
+async function handleDigest(ctx, env, text) {
+  const userId = ctx.from.id.toString();
+  const arg = text.replace(/^\/digest(@\w+)?\s*/, "").trim();
+
+  if (!arg) {
+    const current = describeDigestTimes(parseDigestSetting(await getUserDigestTimes(env, userId)));
+    return await ctx.reply(
+      `📋 目前的每日彙整時間：<b>${current}</b>\n\n` +
+      `喵～設定方式：<code>/digest 8:00 21:30</code>\n` +
+      `關閉每日彙整：<code>/digest off</code>\n` +
+      `恢復預設（${describeDigestTimes(DEFAULT_DIGEST_TIMES)}）：<code>/digest default</code>`,
+      { parse_mode: "HTML" }
+    );
+  }
+
+  if (/^(off|none|關閉?)$/i.test(arg)) {
+    await setUserDigestTimes(env, userId, formatDigestSetting([]));
+    return await ctx.reply("🔕 喵～已關閉每日彙整");
+  }
+
+  if (/^(default|reset|on|預設|開啟?)$/i.test(arg)) {
+    await setUserDigestTimes(env, userId, null);
+    return await ctx.reply(`✅ 喵～每日彙整恢復為 <b>${describeDigestTimes(DEFAULT_DIGEST_TIMES)}</b>`, { parse_mode: "HTML" });
+  }
+
+  const times = parseDigestTimes(arg);
+  if (!times) {
+    return await ctx.reply(`❌ 喵嗚～看不懂 <code>${arg}</code>\n請用像 <code>/digest 8:00 21:30</code> 這樣的格式`, { parse_mode: "HTML" });
+  }
+  await setUserDigestTimes(env, userId, formatDigestSetting(times));
+  return await ctx.reply(`✅ 喵～之後每天 <b>${describeDigestTimes(times)}</b> 會整理待辦給你！`, { parse_mode: "HTML" });
+}
+
+// --- 每週回顧訂閱 (/review) ---
+async function handleReview(ctx, env, text) {
+  const userId = ctx.from.id.toString();
+  const arg = text.replace(/^\/review(@\w+)?\s*/, "").trim();
+
+  if (!arg) {
+    const current = describeReviewSchedule(parseReviewSetting(await getUserWeeklyReview(env, userId)));
+    return await ctx.reply(
+      `📊 每週回顧：<b>${current}</b>\n\n` +
+      `喵～訂閱（${describeReviewSchedule(DEFAULT_REVIEW)}）：<code>/review on</code>\n` +
+      `指定時間：<code>/review 週五 18:00</code>\n` +
+      `立刻看一次：<code>/review now</code>\n` +
+      `取消訂閱：<code>/review off</code>`,
+      { parse_mode: "HTML" }
+    );
+  }
+
+  if (/^(now|現在)$/i.test(arg)) {
+    const { text: msg, keyboard } = await buildWeeklyReview(env, userId, await getUserTimezone(env, userId));
+    return await ctx.reply(msg, { parse_mode: "HTML", reply_markup: keyboard });
+  }
+
+  if (/^(off|none|關閉?|取消)$/i.test(arg)) {
+    await setUserWeeklyReview(env, userId, null);
+    return await ctx.reply("🔕 喵～已取消每週回顧");
+  }
+
+  const review = /^(on|開啟?|訂閱)$/i.test(arg) ? DEFAULT_REVIEW : parseReviewSchedule(arg);
+  if (!review) {
+    return await ctx.reply(`❌ 喵嗚～看不懂 <code>${arg}</code>\n請用像 <code>/review 週日 20:00</code> 這樣的格式`, { parse_mode: "HTML" });
+  }
+  await setUserWeeklyReview(env, userId, formatReviewSetting(review));
+  return await ctx.reply(`✅ 喵～之後<b>${describeReviewSchedule(review)}</b>會送上這週的回顧！`, { parse_mode: "HTML" });
+}
+
+// --- 勿擾設定 (/quiet) ---
+// 勿擾設定的說明與按鈕：常用時段、關閉、每週勿擾的星期（✅ 為目前的設定）
+async function buildQuietMenu(env, userId) {
+  const settings = await getUserQuietSettings(env, userId);
+  const hours = parseQuietSetting(settings.quietHours);
+  const days = parseDndDays(settings.dndDays);
+
+  const kb = new InlineKeyboard();
+  QUIET_PRESETS.forEach(p => {
+    const on = hours && hours.start === p.start && hours.end === p.end;
+    kb.text(`${on ? "✅ " : ""}${describeQuietHours(p)}`, `qt|h|${p.start}|${p.end}`);
+  });
+  kb.row().text(hours ? "🔔 關閉勿擾時段" : "✅ 不設勿擾時段", "qt|h|off").row();
+  WEEKDAY_NAMES.forEach((name, d) => kb.text(`${days.includes(d) ? "✅" : ""}${name}`, `qt|d|${d}`));
+
+  const text =
+    `🌙 <b>勿擾設定喵～</b>\n` +
+    `⏰ 每天勿擾：<b>${describeQuietHours(hours)}</b>\n` +
+    `📅 整天勿擾：<b>${describeDndDays(days)}</b>\n\n` +
+    `勿擾中的提醒和彙整會先幫你收著，結束後一次送上；🚨 緊急任務照常提醒。\n` +
+    `自訂時段：<code>/quiet 23:00-07:00</code>，全部關閉：<code>/quiet off</code>`;
+  return { text, keyboard: kb };
+}
+
+async function handleQuiet(ctx, env, text) {
+  const userId = ctx.from.id.toString();
+  const arg = text.replace(/^\/quiet(@\w+)?\s*/, "").trim();
+
+  if (/^(off|none|關閉?)$/i.test(arg)) {
+    await setUserQuietHours(env, userId, null);
+    await setUserDndDays(env, userId, null);
+  } else if (arg) {
+    const hours = parseQuietHours(arg);
+    if (!hours) {
+      return await ctx.reply(`❌ 喵嗚～看不懂 <code>${arg}</code>\n請用像 <code>/quiet 23:00-07:00</code> 這樣的格式`, { parse_mode: "HTML" });
+    }
+    await setUserQuietHours(env, userId, formatQuietSetting(hours));
+  }
+
+  const { text: msg, keyboard } = await buildQuietMenu(env, userId);
+  return await ctx.reply(msg, { parse_mode: "HTML", reply_markup: keyboard });
+}
+
+// --- 錯過補救設定 (/catchup) ---
+// 循環任務錯過好幾次（例如排程停擺）時的處理方式，✅ 為目前的設定
+async function buildCatchUpMenu(env, userId) {
+  const current = parseCatchUpSetting(await getUserCatchUp(env, userId));
+  const kb = new InlineKeyboard();
+  Object.entries(CATCH_UP_POLICIES).forEach(([policy, label], i) => {
+    if (i > 0) kb.row();
+    kb.text(`${policy === current ? "✅ " : ""}${label}`, `cp|${policy}`);
+  });
+  const text =
+    `⏪ <b>錯過的例行任務喵～</b>\n` +
+    `提醒停擺了一陣子時，例行任務會直接跳到下一次，只提醒最近的一次。\n` +
+    `更早錯過的要怎麼處理呢？`;
+  return { text, keyboard: kb };
+}
+
+async function handleCatchUp(ctx, env) {
+  const { text, keyboard } = await buildCatchUpMenu(env, ctx.from.id.toString());
+  return await ctx.reply(text, { parse_mode: "HTML", reply_markup: keyboard });
+}
+
+// 草稿過期或是舊版按鈕（沒有草稿 id）時的回覆
+const DRAFT_EXPIRED = "⌛ 喵～這張確認卡片已經過期了，請重新輸入一次～";
+
 // 處理回調查詢的路由
 async function handleCallbackQuery(ctx, env) {
   const data = ctx.callbackQuery.data;
   const userId = ctx.from.id.toString();
+  const tz = await getUserTimezone(env, userId);
 
   if (data === "cancel") return ctx.editMessageText("喵～已取消操作。");
+  // 月曆上的標題、星期與空格
+  if (data === "noop") return ctx.answerCallbackQuery();
+
+  // 時區選擇
+  if (data.startsWith("tz|")) {
+    const zone = data.substring(3);
+    if (!isValidTimeZone(zone)) return ctx.answerCallbackQuery("喵～無效的時區");
+    await setUserTimezone(env, userId, zone);
+    return ctx.editMessageText(`✅ 喵～時區已更新！\n${describeTimezone(zone)}`, { parse_mode: "HTML" });
+  }
+
+  // 提醒通知的按鈕：rd|動作|任務id|發生時間
+  if (data.startsWith("rd|")) {
+    const [_, action, todoId, occ] = data.split("|");
+    const occurrenceAt = parseInt(occ);
+    const todo = await getTodoById(env, parseInt(todoId), userId);
+    if (!todo) return ctx.editMessageText("😿 喵～這個任務已經被刪除了");
+
+    const notification = await getNotification(env, todo.id, occurrenceAt);
+    if (notification && notification.status !== 'pending') {
+      const handled = { done: "喵～這次已經完成囉", snoozed: "喵～這次已經延後囉", dismissed: "喵～這次已經不再提醒囉" };
+      return ctx.answerCallbackQuery(handled[notification.status] || "喵～這次已經處理過囉");
+    }
+
+    if (action === "ok") {
+      await completeOccurrence(env, todo, occurrenceAt);
+      return ctx.editMessageText(`✅ 喵～已完成：<b>${escapeHtml(todo.task)}</b>`, { parse_mode: "HTML" });
+    }
+
+    if (action === "no") {
+      // 停止持續提醒（任務本身維持原狀）
+      await updateNotificationStatus(env, todo.id, occurrenceAt, 'dismissed');
+      return ctx.editMessageText(`🔕 喵～「${escapeHtml(todo.task)}」這次不會再提醒了`, { parse_mode: "HTML" });
+    }
+
+    if (action === "cu") {
+      await setChatState(env, ctx.chat.id, "snooze_custom", { todoId: todo.id, occurrenceAt });
+      return ctx.editMessageText(
+        `⏰ <b>延後提醒喵～</b>\n「${escapeHtml(todo.task)}」要延後到什麼時候呢？\n` +
+        `請直接輸入時間，例如：<code>今天晚上8點</code>、<code>10/28 14:00</code>\n（輸入其他指令即取消）`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    const newTs = snoozeTarget(action, occurrenceAt, tz);
+    await snoozeOccurrence(env, todo, occurrenceAt, newTs);
+    return ctx.editMessageText(`😴 喵～「${escapeHtml(todo.task)}」會在 <b>${formatTimestamp(newTs, tz)}</b> 再提醒你！`, { parse_mode: "HTML" });
+  }
+
+  // 勿擾設定按鈕：qt|h|開始|結束、qt|h|off、qt|d|星期（切換）
+  if (data.startsWith("qt|")) {
+    const [_, kind, a, b] = data.split("|");
+    if (kind === "h") {
+      await setUserQuietHours(env, userId, a === "off" ? null : formatQuietSetting({ start: parseInt(a), end: parseInt(b) }));
+    } else if (kind === "d") {
+      const days = parseDndDays((await getUserQuietSettings(env, userId)).dndDays);
+      await setUserDndDays(env, userId, formatDndDays(toggleDndDay(days, parseInt(a))));
+    }
+    const { text, keyboard } = await buildQuietMenu(env, userId);
+    await ctx.answerCallbackQuery("喵～已更新勿擾設定");
+    return ctx.editMessageText(text, { parse_mode: "HTML", reply_markup: keyboard });
+  }
+
+  // 手動完成：dn|任務id|發生時間（清單的 ✅、/done 的選單）
+  if (data.startsWith("dn|")) {
+    const [_, todoId, occ] = data.split("|");
+    const todo = await getTodoById(env, parseInt(todoId), userId);
+    if (!todo) return ctx.answerCallbackQuery("😿 喵～這個任務已經被刪除了");
+    if (todo.status !== 0) return ctx.answerCallbackQuery("喵～這個任務已經完成囉");
+    const occurrenceAt = parseInt(occ);
+    const notification = await getNotification(env, todo.id, occurrenceAt);
+    if (notification?.status === 'done') return ctx.answerCallbackQuery("喵～這次已經完成囉");
+
+    const nextTs = await completeTodo(env, todo, occurrenceAt, tz);
+    await ctx.answerCallbackQuery("喵～已完成");
+    return ctx.reply(completionMessage(todo, nextTs, tz), { parse_mode: "HTML" });
+  }
+
+  // 打開任務編輯器：ed|任務id（/edit、清單與管理選單上的 ✏️）
+  if (data.startsWith("ed|")) {
+    const todo = await getTodoById(env, parseInt(data.substring(3)), userId);
+    if (!todo) return ctx.answerCallbackQuery("😿 喵～這個任務已經被刪除了");
+    const { text, keyboard } = buildTodoEditor(todo, tz);
+    await ctx.answerCallbackQuery();
+    return ctx.reply(text, { parse_mode: "HTML", reply_markup: keyboard });
+  }
+
+  // 編輯器選擇要修改的項目：ef|t 內容 / ef|w 時間 / ef|r 規則|任務id，接著等使用者輸入
+  if (data.startsWith("ef|")) {
+    const [_, field, todoId] = data.split("|");
+    const todo = await getTodoById(env, parseInt(todoId), userId);
+    if (!todo) return ctx.editMessageText("😿 喵～這個任務已經被刪除了");
+
+    const prompts = {
+      t: "請輸入新的內容",
+      w: "請輸入新的時間，例如：<code>明天下午3點</code>、<code>10/28 14:00</code>",
+      r: "請輸入新的重複規則，例如：<code>每天</code>、<code>每週一三五</code>、<code>每月5號</code>；輸入 <code>單次</code> 取消重複"
+    };
+    await setChatState(env, ctx.chat.id, "edit_todo", { todoId: todo.id, field });
+    return ctx.editMessageText(`✏️ <b>編輯「${escapeHtml(todo.task)}」喵～</b>\n${prompts[field]}\n（輸入其他指令即取消）`, { parse_mode: "HTML" });
+  }
+
+  // 編輯器的全天切換：ea|任務id，直接顯示確認卡片
+  if (data.startsWith("ea|")) {
+    const todo = await getTodoById(env, parseInt(data.substring(3)), userId);
+    if (!todo) return ctx.editMessageText("😿 喵～這個任務已經被刪除了");
+    await ctx.answerCallbackQuery();
+    return sendEditConfirmation(ctx, env, todo, {
+      task: todo.task,
+      remindAt: todo.remind_at,
+      cronRule: todo.cron_rule || null,
+      allDay: todo.all_day ? 0 : 1
+    }, tz);
+  }
+
+  // 確認修改：es|草稿id
+  if (data.startsWith("es|")) {
+    const draft = await getTaskDraft(env, data.split("|")[1], userId);
+    if (!draft || draft.kind !== 'edit') return ctx.editMessageText(DRAFT_EXPIRED);
+    const todo = await getTodoById(env, draft.todoId, userId);
+    if (!todo) return ctx.editMessageText("😿 喵～這個任務已經被刪除了");
+    if (!await deleteTaskDraft(env, draft.id)) return ctx.answerCallbackQuery("喵～這個修改已經套用過了");
+
+    const { task, remindAt, cronRule: rule, allDay } = draft.payload;
+    const ruleChanged = rule !== (todo.cron_rule || null);
+
+    try {
+      await updateTodo(env, todo.id, userId, {
+        task,
+        remindAt,
+        cronRule: rule,
+        allDay,
+        // 規則改了就從新規則的 COUNT 重新倒數
+        remainingCount: ruleChanged ? parseRRule(rule)?.count || null : todo.remaining_count,
+        nextAlertAt: nextAlertAt(remindAt, parseAlerts(todo.alerts), Math.floor(Date.now() / 1000))
+      }, ruleChanged || remindAt !== todo.remind_at);
+      return ctx.editMessageText(`✅ 喵～已更新任務：<b>${escapeHtml(task)}</b>\n⏰ ${remindAt > 0 ? formatTimestamp(remindAt, tz) : "無期限"}`, { parse_mode: "HTML" });
+    } catch (e) {
+      return ctx.editMessageText(`❌ 喵嗚～資料庫錯誤：${e.message}`);
+    }
+  }
+
+  // 自然語言修改符合多個任務時選一個：iu|草稿id|任務id
+  if (data.startsWith("iu|")) {
+    const [_, draftId, todoId] = data.split("|");
+    const draft = await getTaskDraft(env, draftId, userId);
+    if (!draft || draft.kind !== 'intent') return ctx.editMessageText(DRAFT_EXPIRED);
+    const todo = await getTodoById(env, parseInt(todoId), userId);
+    if (!todo || todo.status !== 0) return ctx.answerCallbackQuery("😿 喵～這個任務已經不在待辦裡了");
+    if (!await deleteTaskDraft(env, draft.id)) return ctx.answerCallbackQuery();
+
+    await ctx.editMessageText(`✏️ 喵～要修改：<b>${escapeHtml(todo.task)}</b>`, { parse_mode: "HTML" });
+    return await confirmIntentUpdate(ctx, env, todo, draft.payload, tz);
+  }
+
+  // 判斷錯了，其實是新任務：in|草稿id
+  if (data.startsWith("in|")) {
+    const draft = await getTaskDraft(env, data.split("|")[1], userId);
+    if (!draft || draft.kind !== 'intent') return ctx.editMessageText(DRAFT_EXPIRED);
+    if (!await deleteTaskDraft(env, draft.id)) return ctx.answerCallbackQuery();
+
+    await ctx.editMessageText("📝 喵～那就當成新任務囉～");
+    return await handleNewTask(ctx, env, draft.payload.originalText);
+  }
+
+  // 追問的回答：cq|草稿id|第幾個選項（x 為取消）
+  if (data.startsWith("cq|")) {
+    const [_, draftId, choice] = data.split("|");
+    const draft = await getTaskDraft(env, draftId, userId);
+    if (!draft || draft.kind !== 'clarify') return ctx.editMessageText(DRAFT_EXPIRED);
+    if (choice === "x") {
+      await deleteTaskDraft(env, draft.id);
+      await clearChatState(env, ctx.chat.id);
+      return ctx.editMessageText("喵～已取消操作。");
+    }
+
+    const question = draft.payload.questions[0];
+    const option = question?.options[parseInt(choice)];
+    const next = applyAnswer(draft.payload, parseInt(choice), getNowInTimeZone(tz), Math.floor(Date.now() / 1000));
+    if (!next) return ctx.answerCallbackQuery("😿 喵～這個時間不行，請換一個");
+    if (next.questions.length) {
+      await updateTaskDraft(env, draft.id, next);
+      return ctx.editMessageText(clarificationText(next), { parse_mode: "HTML", reply_markup: questionKeyboard(draft.id, next.questions[0]) });
+    }
+
+    if (!await deleteTaskDraft(env, draft.id)) return ctx.answerCallbackQuery();
+    await ctx.editMessageText(`✅ 喵～${escapeHtml(question.question)} ${escapeHtml(option.label)}`, { parse_mode: "HTML" });
+    return await finishClarification(ctx, env, next);
+  }
+
+  // 錯過補救設定：cp|方式
+  if (data.startsWith("cp|")) {
+    const policy = data.substring(3);
+    if (!CATCH_UP_POLICIES[policy]) return ctx.answerCallbackQuery("喵～無效的選項");
+    await setUserCatchUp(env, userId, policy);
+    const { text, keyboard } = await buildCatchUpMenu(env, userId);
+    await ctx.answerCallbackQuery("喵～已更新");
+    return ctx.editMessageText(text, { parse_mode: "HTML", reply_markup: keyboard });
+  }
+
+  // 每週回顧的按鈕：rv|nw 下週待辦、rv|od 逾期改期選單、rv|1d|任務id 改到明天、rv|cu|任務id 自訂時間
+  if (data.startsWith("rv|")) {
+    const [_, action, todoId] = data.split("|");
+
+    if (action === "nw") {
+      const { start, end } = nextWeekRange(tz);
+      await ctx.answerCallbackQuery();
+      return await renderList(ctx, env, "下週", start, end, null);
+    }
+
+    if (action === "od") {
+      const { text, keyboard } = await buildOverdueMenu(env, userId, tz);
+      await ctx.answerCallbackQuery();
+      return await ctx.reply(text, { parse_mode: "HTML", reply_markup: keyboard });
+    }
+
+    // 已完成、刪除或已經改到未來的任務不再改期
+    const todo = await getTodoById(env, parseInt(todoId), userId);
+    if (!todo || todo.status !== 0 || todo.remind_at > Math.floor(Date.now() / 1000)) {
+      return ctx.answerCallbackQuery("喵～這個任務已經處理過囉");
+    }
+
+    if (action === "cu") {
+      await setChatState(env, ctx.chat.id, "snooze_custom", { todoId: todo.id, occurrenceAt: todo.remind_at });
+      await ctx.answerCallbackQuery();
+      return await ctx.reply(
+        `📅 <b>逾期任務改期喵～</b>\n「${escapeHtml(todo.task)}」要改到什麼時候呢？\n` +
+        `請直接輸入時間，例如：<code>明天下午3點</code>、<code>10/28 14:00</code>\n（輸入其他指令即取消）`,
+        { parse_mode: "HTML" }
+      );
+    }
+
+    if (action === "1d") {
+      const newTs = snoozeTarget("1d", todo.remind_at, tz);
+      await snoozeOccurrence(env, todo, todo.remind_at, newTs);
+      await ctx.answerCallbackQuery(`📅 喵～「${todo.task}」改到 ${formatTimestamp(newTs, tz)}`);
+      const { text, keyboard } = await buildOverdueMenu(env, userId, tz);
+      return await ctx.editMessageText(text, { parse_mode: "HTML", reply_markup: keyboard });
+    }
+  }
 
   // 儲存邏輯
   if (data.startsWith("sv|")) {
-    const [_, ts, rule, allDay] = data.split("|");
-    // 從原始訊息中提取任務名稱 (使用 Regex 抓取 "📝 內容：" 後面的字)
-    const match = ctx.callbackQuery.message.text.match(/內容：(.+)/);
-    const taskName = match ? match[1].trim() : "未命名任務";
+    const draft = await getTaskDraft(env, data.split("|")[1], userId);
+    if (!draft || draft.kind !== 'create') return ctx.editMessageText(DRAFT_EXPIRED);
+    if (!await deleteTaskDraft(env, draft.id)) return ctx.answerCallbackQuery("喵～這個任務已經儲存過了");
+    const { task: taskName, nag, alerts, urgent } = draft.payload;
 
     try {
-      await addTodo(env, userId, taskName, ts, rule, allDay);
-      return ctx.editMessageText(`✅ 喵～已儲存任務：<b>${taskName}</b>`, { parse_mode: "HTML" });
+      const remindAt = await saveDraftTask(env, userId, draft.payload, tz);
+      if (remindAt === null) return ctx.editMessageText("😿 喵～這個例行任務的規則已經結束，不會再發生了");
+      const extras = [
+        nag ? "🔁 持續提醒" : null,
+        urgent ? "🚨 緊急" : null,
+        describeAlerts(alerts) ? `🔔 ${describeAlerts(alerts)}` : null
+      ].filter(Boolean);
+      return ctx.editMessageText(`✅ 喵～已儲存任務：<b>${escapeHtml(taskName)}</b>${extras.length ? `（${extras.join("，")}）` : ""}`, { parse_mode: "HTML" });
     } catch (e) {
       return ctx.editMessageText(`❌ 喵嗚～資料庫錯誤：${e.message}`);
     }
   }
 
-  // AI 重新判斷邏輯
-  if (data === "rejudge") {
-    const msgText = ctx.callbackQuery.message.text;
+  // 多任務確認卡片：bt|草稿id|第幾個 切換勾選，bs|草稿id 儲存勾選的任務
+  if (data.startsWith("bt|") || data.startsWith("bs|")) {
+    const [action, draftId, index] = data.split("|");
+    const draft = await getTaskDraft(env, draftId, userId);
+    if (!draft || draft.kind !== 'batch') return ctx.editMessageText(DRAFT_EXPIRED);
+    const { payload } = draft;
+
+    if (action === "bt") {
+      const i = parseInt(index);
+      if (!payload.items[i]) return ctx.answerCallbackQuery("喵～找不到這個任務");
+      const selected = payload.selected.includes(i) ? payload.selected.filter(x => x !== i) : [...payload.selected, i].sort((a, b) => a - b);
+      const next = { ...payload, selected };
+      await updateTaskDraft(env, draft.id, next);
+      return await refreshBatchConfirmation(ctx, draft.id, next);
+    }
 
-    // 優先從「原始輸入」欄位提取完整輸入
-    // 使用多種正則嘗試匹配
-    let originalInput = null;
+    const chosen = payload.items.filter((_, i) => payload.selected.includes(i));
+    if (!chosen.length) return ctx.answerCallbackQuery("喵～請至少勾選一個任務");
+    if (!await deleteTaskDraft(env, draft.id)) return ctx.answerCallbackQuery("喵～這些任務已經儲存過了");
 
-    // 嘗試匹配 <code> 標籤內的內容
-    const codeMatch = msgText.match(/原始輸入：\s*<code>([^<]+)<\/code>/);
-    if (codeMatch) {
-      originalInput = codeMatch[1].trim();
+    const lines = [];
+    try {
+      for (const item of chosen) {
+        const remindAt = await saveDraftTask(env, userId, item, tz);
+        lines.push(remindAt === null ? `⏹️ ${escapeHtml(item.task)}（規則已結束，沒有儲存）` : `✅ ${escapeHtml(item.task)}`);
+      }
+    } catch (e) {
+      return ctx.editMessageText(`❌ 喵嗚～資料庫錯誤：${e.message}（已儲存 ${lines.length} 個任務）`);
     }
+    return ctx.editMessageText(`💾 <b>喵～已儲存任務：</b>\n${lines.join("\n")}`, { parse_mode: "HTML" });
+  }
 
-    // 如果沒有找到，嘗試另一種格式
-    if (!originalInput) {
-      const altMatch = msgText.match(/原始輸入：(.+?)(?:\n|🛠|$)/);
-      if (altMatch) {
-        originalInput = altMatch[1].replace(/<[^>]+>/g, "").trim();
-      }
+  // 確認卡片上的切換：ng| 持續提醒、ug| 緊急，後面帶草稿 id
+  if (data.startsWith("ng|") || data.startsWith("ug|")) {
+    const [kind, draftId] = data.split("|");
+    const draft = await getTaskDraft(env, draftId, userId);
+    if (!draft || draft.kind !== 'create') return ctx.editMessageText(DRAFT_EXPIRED);
+
+    const payload = { ...draft.payload };
+    if (kind === "ug") payload.urgent = payload.urgent ? 0 : 1;
+    else payload.nag = payload.nag ? 0 : 1;
+    await updateTaskDraft(env, draft.id, payload);
+    await ctx.editMessageReplyMarkup({ reply_markup: confirmationKeyboard(draft.id, payload) });
+    if (kind === "ug") {
+      return ctx.answerCallbackQuery(payload.urgent ? "🚨 喵～勿擾時段也會提醒" : "🌙 喵～勿擾時段會先幫你收著");
     }
+    return ctx.answerCallbackQuery(payload.nag ? "🔁 喵～沒按完成前會一直提醒" : "🔕 喵～只提醒一次");
+  }
+
+  // 確認卡片上的調整：da|草稿id|微調代號（ad 為切換全天），改完原地更新卡片
+  if (data.startsWith("da|")) {
+    const [_, draftId, op] = data.split("|");
+    const draft = await getTaskDraft(env, draftId, userId);
+    if (!draft || draft.kind !== 'create') return ctx.editMessageText(DRAFT_EXPIRED);
+
+    const { payload } = draft;
+    const nowTs = Math.floor(Date.now() / 1000);
+    const shifted = op === "ad" ? null : shiftTime(payload.remindAt, op, payload.timeZone);
+    if (op !== "ad" && shifted === null) return ctx.answerCallbackQuery();
+    const next = op === "ad" ? toggleAllDay(payload, nowTs) : setDraftTime(payload, shifted, payload.allDay, nowTs);
+    if (!next) return ctx.answerCallbackQuery("😿 喵～這個時間之後規則就不會再發生了");
+
+    await updateTaskDraft(env, draft.id, next);
+    return await refreshConfirmation(ctx, draft.id, next);
+  }
 
-    // 如果仍然沒有，從任務內容提取
-    const taskMatch = msgText.match(/內容：(.+?)\n/);
-    const taskContent = originalInput || (taskMatch ? taskMatch[1].trim() : "未命名任務");
+  // 重複規則的常用選項：dr| 打開選單，dp|草稿id|代號 套用
+  if (data.startsWith("dr|") || data.startsWith("dp|")) {
+    const [action, draftId, code] = data.split("|");
+    const draft = await getTaskDraft(env, draftId, userId);
+    if (!draft || draft.kind !== 'create') return ctx.editMessageText(DRAFT_EXPIRED);
+    if (action === "dr") return ctx.editMessageReplyMarkup({ reply_markup: presetKeyboard(draft.id) });
+
+    const next = applyRulePreset(draft.payload, code, Math.floor(Date.now() / 1000));
+    if (!next) return ctx.answerCallbackQuery("😿 喵～這個規則不會再發生了");
+    await updateTaskDraft(env, draft.id, next);
+    return await refreshConfirmation(ctx, draft.id, next);
+  }
+
+  // 月曆與時間選擇：dc| 月曆、dh| 選幾點、dt| 選幾分（或全天）、dm| 選好了；db| 回到卡片
+  // 選擇的過程只換按鈕，卡片文字不動
+  if (/^d[chtmb]\|/.test(data)) {
+    const [action, draftId, key, hour, minute] = data.split("|");
+    const draft = await getTaskDraft(env, draftId, userId);
+    if (!draft || draft.kind !== 'create') return ctx.editMessageText(DRAFT_EXPIRED);
 
-    console.log("[DEBUG] rejudge - originalInput:", originalInput);
-    console.log("[DEBUG] rejudge - taskContent:", taskContent);
+    const { payload } = draft;
+    const draftTz = payload.timeZone || tz;
+    const nowTs = Math.floor(Date.now() / 1000);
+
+    if (action === "dc") {
+      const selected = payload.remindAt > 0 ? dateKey(utcTsToLocalDate(payload.remindAt, draftTz)) : null;
+      return ctx.editMessageReplyMarkup({ reply_markup: calendarKeyboard(draft.id, key || selected?.slice(0, 6), getNowInTimeZone(draftTz), selected) });
+    }
+    if (action === "dh") return ctx.editMessageReplyMarkup({ reply_markup: hourKeyboard(draft.id, key) });
+    if (action === "dt" && hour !== "ad") return ctx.editMessageReplyMarkup({ reply_markup: minuteKeyboard(draft.id, key, hour) });
+    if (action === "db") return ctx.editMessageReplyMarkup({ reply_markup: confirmationKeyboard(draft.id, payload) });
+
+    // dt|…|ad 整天（同 AI 解析的全天任務，時間為當天 00:00）；dm| 指定幾點幾分
+    const allDay = action === "dt";
+    const ts = allDay ? pickedTime(key, 0, 0, draftTz) : pickedTime(key, parseInt(hour), parseInt(minute), draftTz);
+    if (ts === null) return ctx.answerCallbackQuery("喵～看不懂這個時間");
+    const next = setDraftTime(payload, ts, allDay, nowTs);
+    if (!next) return ctx.answerCallbackQuery("😿 喵～這個時間之後規則就不會再發生了");
+
+    await updateTaskDraft(env, draft.id, next);
+    return await refreshConfirmation(ctx, draft.id, next);
+  }
+
+  // AI 重新判斷：用草稿裡保存的原始輸入重新解析（舊版按鈕沒有草稿 id）
+  if (data === "rejudge" || data.startsWith("rejudge|")) {
+    const draftId = data.split("|")[1];
+    const draft = draftId ? await getTaskDraft(env, draftId, userId) : null;
+    if (!draft || draft.kind !== 'create') return ctx.editMessageText(DRAFT_EXPIRED);
+    await deleteTaskDraft(env, draft.id);
 
     // Answer the callback query to prevent timeout
     await ctx.answerCallbackQuery("喵～正在重新分析...");
@@ -489,8 +1648,8 @@ async function handleCallbackQuery(ctx, env) {
     // Edit the message to show processing status
     await ctx.editMessageText("🤖 喵～正在重新分析您的請求...");
 
-    // Process the task content again with AI
-    return await processTaskWithAI(ctx, env, taskContent, true);
+    // Process the original input again with AI
+    return await processTaskWithAI(ctx, env, draft.payload.originalText || draft.payload.task, true);
   }
 
   // 管理模式 - 帶範圍（從 /list 觸發）
@@ -507,44 +1666,8 @@ async function handleCallbackQuery(ctx, env) {
     if (start && end) {
       filtered = results.filter(t => {
         if (t.cron_rule) {
-          // 週期性任務的篩選邏輯
-          if (t.cron_rule.startsWith('weekly:')) {
-            const days = t.cron_rule.split(':')[1].split(',').map(Number);
-            const startDate = new Date(start * 1000);
-            const endDate = new Date(end * 1000);
-            let currentDate = new Date(startDate);
-            while (currentDate <= endDate) {
-              const dayOfWeekISO = currentDate.getDay() === 0 ? 7 : currentDate.getDay();
-              if (days.includes(dayOfWeekISO)) return true;
-              currentDate.setDate(currentDate.getDate() + 1);
-            }
-            return false;
-          }
-          if (t.cron_rule === 'daily') return true;
-          if (t.cron_rule.startsWith('monthly:')) {
-            const dayOfMonth = parseInt(t.cron_rule.split(':')[1]);
-            const startDate = new Date(start * 1000);
-            const endDate = new Date(end * 1000);
-            let currentDate = new Date(startDate);
-            while (currentDate <= endDate) {
-              if (currentDate.getDate() === dayOfMonth) return true;
-              currentDate.setDate(currentDate.getDate() + 1);
-            }
-            return false;
-          }
-          if (t.cron_rule.startsWith('yearly:')) {
-            const monthDay = t.cron_rule.split(':')[1];
-            const [month, day] = monthDay.split('-').map(Number);
-            const startDate = new Date(start * 1000);
-            const endDate = new Date(end * 1000);
-            let currentDate = new Date(startDate);
-            while (currentDate <= endDate) {
-              if (currentDate.getMonth() + 1 === month && currentDate.getDate() === day) return true;
-              currentDate.setDate(currentDate.getDate() + 1);
-            }
-            return false;
-          }
-          return false;
+          // 週期性任務：範圍內有任何一次發生就列出
+          return occursInRange(t.cron_rule, t.remind_at, start, end, tz, [], { anchorTs: t.anchor_at, remaining: t.remaining_count });
         }
         return t.remind_at === -1 || (t.remind_at >= start && t.remind_at <= end);
       });
@@ -552,94 +1675,68 @@ async function handleCallbackQuery(ctx, env) {
 
     if (!filtered.length) return ctx.editMessageText("😿 喵～該範圍沒有待辦事項呢～");
 
-    // 排序：先發生的在前面，無期限(-1)放最後
-    filtered.sort((a, b) => {
-      if (a.remind_at === -1) return 1;
-      if (b.remind_at === -1) return -1;
-      return a.remind_at - b.remind_at;
-    });
-
-    const kb = new InlineKeyboard();
-    filtered.forEach(t => {
-      // 顯示日期 + 任務名稱
-      let displayText = t.task;
-      if (t.remind_at > 0) {
-        const dateStr = new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
-        displayText = `${dateStr} ${t.task}`;
-      } else if (t.remind_at === -1) {
-        displayText = `無期限 ${t.task}`;
-      }
-      kb.text(`⬜️ ${displayText}`, `tog_f|${t.id}|${start || 0}|${end || 0}`).row();
-    });
-    kb.text("❌ 關閉", "cancel").text("🗑️ 刪除選取", `conf_del_f|${start || 0}|${end || 0}`).row();
-
-    await ctx.editMessageText("🗑️ <b>管理喵～</b>\n請勾選要刪除的任務：", { parse_mode: "HTML", reply_markup: kb });
+    return await openManageSession(ctx, env, userId, tz, filtered, { mode: 'delete', title: "🗑️ <b>管理喵～</b>" });
   }
 
-  // 範圍管理模式的勾選邏輯
-  if (data.startsWith("tog_f|")) {
-    const parts = data.split("|");
-    const tid = parts[1];
-    const start = parseInt(parts[2]) || null;
-    const end = parseInt(parts[3]) || null;
-    const selectedIds = parts[4] ? parts[4].split(",").filter(x => x) : [];
-
-    let sSet = new Set(selectedIds);
-    sSet.has(tid) ? sSet.delete(tid) : sSet.add(tid);
-
-    const results = await getTodos(env, userId, 0);
-
-    // 根據範圍篩選任務
-    let filtered = results;
-    if (start && end) {
-      filtered = results.filter(t => {
-        if (t.cron_rule) {
-          if (t.cron_rule.startsWith('weekly:')) {
-            const days = t.cron_rule.split(':')[1].split(',').map(Number);
-            const startDate = new Date(start * 1000);
-            const endDate = new Date(end * 1000);
-            let currentDate = new Date(startDate);
-            while (currentDate <= endDate) {
-              const dayOfWeekISO = currentDate.getDay() === 0 ? 7 : currentDate.getDay();
-              if (days.includes(dayOfWeekISO)) return true;
-              currentDate.setDate(currentDate.getDate() + 1);
-            }
-            return false;
-          }
-          if (t.cron_rule === 'daily') return true;
-          return false;
-        }
-        return t.remind_at === -1 || (t.remind_at >= start && t.remind_at <= end);
-      });
+  // 管理畫面的操作：勾選、換頁、全選 / 全不選 / 反選、確認
+  if (data.startsWith("ms|")) {
+    const [_, sessionId, action, arg] = data.split("|");
+    const session = await getManageSession(env, sessionId, userId);
+    if (!session) {
+      return ctx.editMessageText("⌛ 喵～這個管理畫面已經過期了，請重新開啟～", { reply_markup: new InlineKeyboard().text("🗑️ 管理喵", "manage_mode") });
     }
 
-    const kb = new InlineKeyboard();
-    const newList = Array.from(sSet).join(",");
-    filtered.forEach(t => {
-      let displayText = t.task;
-      if (t.remind_at > 0) {
-        const dateStr = new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
-        displayText = `${dateStr} ${t.task}`;
-      } else if (t.remind_at === -1) {
-        displayText = `無期限 ${t.task}`;
+    const allIds = session.items.map(item => item.id);
+    let selected = session.selected;
+    let page = session.page;
+
+    if (action === "t") {
+      const item = session.items[parseInt(arg)];
+      if (!item) return ctx.answerCallbackQuery("喵～找不到這個任務");
+      selected = selected.includes(item.id) ? selected.filter(x => x !== item.id) : [...selected, item.id];
+    } else if (action === "p") {
+      page = Math.max(0, parseInt(arg) || 0);
+    } else if (action === "all") {
+      selected = allIds;
+    } else if (action === "none") {
+      selected = [];
+    } else if (action === "inv") {
+      selected = allIds.filter(x => !selected.includes(x));
+    } else if (!selected.length) {
+      return ctx.answerCallbackQuery("喵～請先勾選任務");
+    } else if (action === "occ") {
+      if (selected.length !== 1) return ctx.answerCallbackQuery("喵～請勾選一個要調整的任務");
+      return await renderOccurrenceMenu(ctx, env, userId, tz, selected[0]);
+    } else if (action === "rule") {
+      // 刪除所有和選取的任務同一個規則的任務
+      const results = await getTodos(env, userId, 0);
+      const rules = new Set(results.filter(t => selected.includes(t.id)).map(t => t.cron_rule).filter(r => r && r !== 'none' && r !== 'null'));
+      const ids = rules.size ? results.filter(t => rules.has(t.cron_rule)).map(t => t.id) : selected;
+      await deleteTodosByIds(env, ids, userId);
+      await deleteManageSession(env, sessionId);
+      return ctx.editMessageText(`🗑️ 喵～已刪除 ${ids.length} 個任務${rules.size ? "（整個規則）" : ""}！`, { parse_mode: "HTML" });
+    } else if (action === "ok" && session.mode === "done") {
+      const lines = [];
+      for (const id of selected) {
+        const todo = await getTodoById(env, id, userId);
+        if (!todo || todo.status !== 0) continue;
+        const nextTs = await completeTodo(env, todo, await pendingOccurrence(env, todo), tz);
+        lines.push(completionMessage(todo, nextTs, tz));
       }
-      kb.text(`${sSet.has(t.id.toString())?"✅":"⬜️"} ${displayText}`, `tog_f|${t.id}|${start || 0}|${end || 0}|${newList}`).row();
-    });
-    kb.text("❌ 關閉", "cancel").text(`🗑️ 確認刪除 (${sSet.size})`, `conf_del_f|${start || 0}|${end || 0}|${newList}`).row();
-
-    await ctx.editMessageText("🗑️ <b>管理喵～</b>\n請勾選要刪除的任務：", { parse_mode: "HTML", reply_markup: kb });
-  }
-
-  // 範圍管理模式的確認刪除
-  if (data.startsWith("conf_del_f|")) {
-    const parts = data.split("|");
-    const idsStr = parts[3];
-    if (!idsStr) return ctx.answerCallbackQuery("喵～未選擇任何任務");
-    const ids = idsStr.split(",").filter(x => x);
-    if (!ids.length) return ctx.answerCallbackQuery("喵～未選擇任何任務");
+      await deleteManageSession(env, sessionId);
+      return ctx.editMessageText(lines.length ? lines.join("\n") : "喵～選取的任務都已經處理過了", { parse_mode: "HTML" });
+    } else if (action === "ok") {
+      await deleteTodosByIds(env, selected, userId);
+      await deleteManageSession(env, sessionId);
+      return ctx.editMessageText(`🗑️ 喵～已刪除 ${selected.length} 個任務！`);
+    }
 
-    await deleteTodosByIds(env, ids, userId);
-    await ctx.editMessageText(`🗑️ 喵～已刪除 ${ids.length} 個任務！`);
+    // 沒有變化時不重畫（Telegram 不接受內容相同的編輯）
+    if (page === session.page && selected.length === session.selected.length && selected.every(x => session.selected.includes(x))) {
+      return ctx.answerCallbackQuery();
+    }
+    await updateManageSession(env, sessionId, selected, page);
+    return await renderManageSession(ctx, { ...session, selected, page });
   }
 
   // 管理模式 - 主選單（全局）
@@ -651,6 +1748,7 @@ async function handleCallbackQuery(ctx, env) {
     kb.text("📋 全部任務", "manage_all|").row();
     kb.text("📅 按日期篩選", "manage_date|").row();
     kb.text("🔄 按規則篩選", "manage_rule|").row();
+    kb.text("✅ 完成任務", "manage_done|").row();
     kb.text("❌ 關閉", "cancel");
 
     await ctx.editMessageText("🗑️ <b>管理喵～</b>\n請選擇篩選方式：", { parse_mode: "HTML", reply_markup: kb });
@@ -661,67 +1759,15 @@ async function handleCallbackQuery(ctx, env) {
     const results = await getTodos(env, userId, 0);
     if (!results.length) return ctx.editMessageText("😿 喵～目前沒有待辦事項呢～");
 
-    // 排序：先發生的在前面，無期限(-1)放最後
-    results.sort((a, b) => {
-      if (a.remind_at === -1) return 1;
-      if (b.remind_at === -1) return -1;
-      return a.remind_at - b.remind_at;
-    });
-
-    const kb = new InlineKeyboard();
-    results.forEach(t => {
-      let displayText = t.task;
-      if (t.remind_at > 0) {
-        const dateStr = new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
-        displayText = `${dateStr} ${t.task}`;
-      } else if (t.remind_at === -1) {
-        displayText = `無期限 ${t.task}`;
-      }
-      kb.text(`⬜️ ${displayText}`, `tog_a|${t.id}|`).row();
-    });
-    kb.text("⬅️ 返回", "manage_mode").text("🗑️ 刪除選取", "conf_del_a|").row();
-    kb.text("❌ 關閉", "cancel");
-
-    await ctx.editMessageText("📋 <b>全部任務喵～</b>\n請勾選要刪除的任務：", { parse_mode: "HTML", reply_markup: kb });
+    return await openManageSession(ctx, env, userId, tz, results, { mode: 'delete', title: "📋 <b>全部任務喵～</b>", back: "manage_mode" });
   }
 
-  // 全部任務視圖下的勾選邏輯 (Toggle with All context)
-  if (data.startsWith("tog_a|")) {
-      const parts = data.split("|");
-      const tid = parts[1];
-      const sIds = parts[2];
-
-      let sSet = new Set(sIds ? sIds.split(",").filter(x => x) : []);
-      sSet.has(tid) ? sSet.delete(tid) : sSet.add(tid);
-
-      const results = await getTodos(env, userId, 0);
-      const kb = new InlineKeyboard();
-      const newList = Array.from(sSet).join(",");
-      results.forEach(t => {
-        let displayText = t.task;
-        if (t.remind_at > 0) {
-          const dateStr = new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
-          displayText = `${dateStr} ${t.task}`;
-        } else if (t.remind_at === -1) {
-          displayText = `無期限 ${t.task}`;
-        }
-        kb.text(`${sSet.has(t.id.toString())?"✅":"⬜️"} ${displayText}`, `tog_a|${t.id}|${newList}`).row();
-      });
-      kb.text("⬅️ 返回", "manage_mode").text(`🗑️ 確認刪除 (${sSet.size})`, `conf_del_a|${newList}`).row();
-      kb.text("❌ 關閉", "cancel");
-
-      await ctx.editMessageText("📋 <b>全部任務喵～</b>\n請勾選要刪除的任務：", { parse_mode: "HTML", reply_markup: kb });
-  }
-
-  // 全部任務視圖下的確認刪除
-  if (data.startsWith("conf_del_a|")) {
-      const idsStr = data.split("|")[1];
-      if (!idsStr) return ctx.answerCallbackQuery("喵～未選擇任何任務");
-      const ids = idsStr.split(",").filter(x => x);
-      if (!ids.length) return ctx.answerCallbackQuery("喵～未選擇任何任務");
+  // 管理模式 - 完成模式：勾選要完成的任務（循環任務完成下一次）
+  if (data === "manage_done|") {
+    const results = await getTodos(env, userId, 0);
+    if (!results.length) return ctx.editMessageText("😿 喵～目前沒有待辦事項呢～");
 
-      await deleteTodosByIds(env, ids, userId);
-      await ctx.editMessageText(`🗑️ 喵～已刪除 ${ids.length} 個任務！`);
+    return await openManageSession(ctx, env, userId, tz, results, { mode: 'done', title: "✅ <b>完成任務喵～</b>", back: "manage_mode" });
   }
 
   // 管理模式 - 按日期篩選
@@ -737,7 +1783,7 @@ async function handleCallbackQuery(ctx, env) {
         dateKey = "無期限";
       } else {
         const d = new Date(t.remind_at * 1000);
-        dateKey = d.toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
+        dateKey = d.toLocaleDateString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'});
       }
       if (!dateGroups[dateKey]) dateGroups[dateKey] = [];
       dateGroups[dateKey].push(t);
@@ -761,7 +1807,7 @@ async function handleCallbackQuery(ctx, env) {
     const filtered = results.filter(t => {
       if (dateKey === "無期限") return t.remind_at === -1;
       const d = new Date(t.remind_at * 1000);
-      const taskDate = d.toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
+      const taskDate = d.toLocaleDateString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'});
       return taskDate === dateKey;
     });
 
@@ -769,82 +1815,7 @@ async function handleCallbackQuery(ctx, env) {
       return ctx.editMessageText("😿 喵～該日期無任務。", { reply_markup: new InlineKeyboard().text("⬅️ 返回", "manage_date|") });
     }
 
-    // 排序
-    filtered.sort((a, b) => {
-      if (a.remind_at === -1) return 1;
-      if (b.remind_at === -1) return -1;
-      return a.remind_at - b.remind_at;
-    });
-
-    const kb = new InlineKeyboard();
-    filtered.forEach(t => {
-      let displayText = t.task;
-      if (t.remind_at > 0) {
-        const dateStr = new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
-        displayText = `${dateStr} ${t.task}`;
-      } else if (t.remind_at === -1) {
-        displayText = `無期限 ${t.task}`;
-      }
-      kb.text(`⬜️ ${displayText}`, `tog_d|${t.id}||${dateKey}`).row();
-    });
-
-    kb.text("⬅️ 返回", "manage_date|").text("🗑️ 刪除選取", `conf_del_d||${dateKey}`).row();
-    kb.text("❌ 關閉", "cancel");
-
-    await ctx.editMessageText(`📅 <b>${dateKey} 的任務喵～</b>\n請勾選要刪除的任務：`, { parse_mode: "HTML", reply_markup: kb });
-  }
-
-  // 日期視圖下的勾選邏輯 (Toggle with Date context)
-  if (data.startsWith("tog_d|")) {
-      const parts = data.split("|");
-      const tid = parts[1];
-      const sIds = parts[2];
-      const dateKey = parts[3];
-
-      let sSet = new Set(sIds ? sIds.split(",").filter(x => x) : []);
-      sSet.has(tid) ? sSet.delete(tid) : sSet.add(tid);
-
-      const results = await getTodos(env, userId, 0);
-
-      // 篩選該日期的任務
-      const filtered = results.filter(t => {
-        if (dateKey === "無期限") return t.remind_at === -1;
-        const d = new Date(t.remind_at * 1000);
-        const taskDate = d.toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
-        return taskDate === dateKey;
-      });
-
-      const kb = new InlineKeyboard();
-      const newList = Array.from(sSet).join(",");
-      filtered.forEach(t => {
-        let displayText = t.task;
-        if (t.remind_at > 0) {
-          const dateStr = new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
-          displayText = `${dateStr} ${t.task}`;
-        } else if (t.remind_at === -1) {
-          displayText = `無期限 ${t.task}`;
-        }
-        kb.text(`${sSet.has(t.id.toString())?"✅":"⬜️"} ${displayText}`, `tog_d|${t.id}|${newList}|${dateKey}`).row();
-      });
-
-      kb.text("⬅️ 返回", "manage_date|").text(`🗑️ 確認刪除 (${sSet.size})`, `conf_del_d|${newList}|${dateKey}`).row();
-      kb.text("❌ 關閉", "cancel");
-
-      await ctx.editMessageText(`📅 <b>${dateKey} 的任務喵～</b>\n請勾選要刪除的任務：`, { parse_mode: "HTML", reply_markup: kb });
-  }
-
-  // 日期視圖下的確認刪除
-  if (data.startsWith("conf_del_d|")) {
-      const parts = data.split("|");
-      const idsStr = parts[1];
-      const dateKey = parts[2];
-
-      if (!idsStr) return ctx.answerCallbackQuery("喵～未選擇任何任務");
-      const ids = idsStr.split(",").filter(x => x);
-      if (!ids.length) return ctx.answerCallbackQuery("喵～未選擇任何任務");
-
-      await deleteTodosByIds(env, ids, userId);
-      await ctx.editMessageText(`🗑️ 喵～已刪除 ${ids.length} 個任務！`);
+    return await openManageSession(ctx, env, userId, tz, filtered, { mode: 'delete', title: `📅 <b>${dateKey} 的任務喵～</b>`, back: "manage_date|" });
   }
 
   // 管理模式 - 按規則篩選
@@ -855,22 +1826,7 @@ async function handleCallbackQuery(ctx, env) {
     // 按規則分組
     const ruleGroups = { "單次": [], "每天": [], "每週": [], "每月": [], "每年": [], "其他": [] };
 
-    results.forEach(t => {
-      const rule = t.cron_rule;
-      if (!rule || rule === 'none' || rule === 'null') {
-        ruleGroups["單次"].push(t);
-      } else if (rule === 'daily') {
-        ruleGroups["每天"].push(t);
-      } else if (rule.startsWith('weekly:')) {
-        ruleGroups["每週"].push(t);
-      } else if (rule.startsWith('monthly:')) {
-        ruleGroups["每月"].push(t);
-      } else if (rule.startsWith('yearly:')) {
-        ruleGroups["每年"].push(t);
-      } else {
-        ruleGroups["其他"].push(t);
-      }
-    });
+    results.forEach(t => ruleGroups[getRuleGroup(t.cron_rule)].push(t));
 
     const kb = new InlineKeyboard();
     Object.keys(ruleGroups).forEach(ruleKey => {
@@ -890,182 +1846,81 @@ async function handleCallbackQuery(ctx, env) {
 
     // 篩選該規則的任務
     const filtered = results.filter(t => {
-      const rule = t.cron_rule;
-      if (ruleKey === "單次") return !rule || rule === 'none' || rule === 'null';
-      if (ruleKey === "每天") return rule === 'daily';
-      if (ruleKey === "每週") return rule && rule.startsWith('weekly:');
-      if (ruleKey === "每月") return rule && rule.startsWith('monthly:');
-      if (ruleKey === "每年") return rule && rule.startsWith('yearly:');
-      if (ruleKey === "其他") return rule && !['daily'].includes(rule) && !rule.startsWith('weekly:') && !rule.startsWith('monthly:') && !rule.startsWith('yearly:');
-      return false;
+      return getRuleGroup(t.cron_rule) === ruleKey;
     });
 
     if (!filtered.length) {
       return ctx.editMessageText("😿 喵～該規則無任務。", { reply_markup: new InlineKeyboard().text("⬅️ 返回", "manage_rule|") });
     }
 
-    // 排序
-    filtered.sort((a, b) => {
-      if (a.remind_at === -1) return 1;
-      if (b.remind_at === -1) return -1;
-      return a.remind_at - b.remind_at;
-    });
-
-    const kb = new InlineKeyboard();
-    filtered.forEach(t => {
-      let displayText = t.task;
-      if (t.remind_at > 0) {
-        const dateStr = new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
-        displayText = `${dateStr} ${t.task}`;
-      } else if (t.remind_at === -1) {
-        displayText = `無期限 ${t.task}`;
-      }
-      kb.text(`⬜️ ${displayText}`, `tog_r|${t.id}||${ruleKey}`).row();
-    });
-
-    // 如果是週期性任務，顯示特殊刪除選項
-    if (ruleKey !== "單次" && ruleKey !== "其他") {
-      kb.text("🗑️ 刪除此時間點", `del_time||${ruleKey}`).row();
-      kb.text("🗑️ 刪除整個規則", `del_rule||${ruleKey}`).row();
-    } else {
-      kb.text("🗑️ 刪除選取", `conf_del_r||${ruleKey}`).row();
-    }
-    kb.text("⬅️ 返回", "manage_rule|").text("❌ 關閉", "cancel");
-
-    await ctx.editMessageText(`🔄 <b>${ruleKey}任務喵～</b>\n請選擇操作：`, { parse_mode: "HTML", reply_markup: kb });
+    // 週期性任務可以單次調整或刪除整個規則
+    const mode = ruleKey !== "單次" && ruleKey !== "其他" ? 'rule' : 'delete';
+    return await openManageSession(ctx, env, userId, tz, filtered, { mode, title: `🔄 <b>${ruleKey}任務喵～</b>`, back: "manage_rule|" });
   }
 
-  // 規則視圖下的勾選邏輯 (Toggle with Rule context)
-  if (data.startsWith("tog_r|")) {
-      const parts = data.split("|");
-      const tid = parts[1];
-      const sIds = parts[2];
-      const ruleKey = parts[3];
-
-      let sSet = new Set(sIds ? sIds.split(",").filter(x => x) : []);
-      sSet.has(tid) ? sSet.delete(tid) : sSet.add(tid);
-
-      const results = await getTodos(env, userId, 0);
-
-      // 篩選該規則的任務
-      const filtered = results.filter(t => {
-        const rule = t.cron_rule;
-        if (ruleKey === "單次") return !rule || rule === 'none' || rule === 'null';
-        if (ruleKey === "每天") return rule === 'daily';
-        if (ruleKey === "每週") return rule && rule.startsWith('weekly:');
-        if (ruleKey === "每月") return rule && rule.startsWith('monthly:');
-        if (ruleKey === "每年") return rule && rule.startsWith('yearly:');
-        if (ruleKey === "其他") return rule && !['daily'].includes(rule) && !rule.startsWith('weekly:') && !rule.startsWith('monthly:') && !rule.startsWith('yearly:');
-        return false;
-      });
-
-      const kb = new InlineKeyboard();
-      const newList = Array.from(sSet).join(",");
-      filtered.forEach(t => {
-        let displayText = t.task;
-        if (t.remind_at > 0) {
-          const dateStr = new Date(t.remind_at * 1000).toLocaleDateString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'});
-          displayText = `${dateStr} ${t.task}`;
-        } else if (t.remind_at === -1) {
-          displayText = `無期限 ${t.task}`;
-        }
-        kb.text(`${sSet.has(t.id.toString())?"✅":"⬜️"} ${displayText}`, `tog_r|${t.id}|${newList}|${ruleKey}`).row();
-      });
-
-      // 如果是週期性任務，顯示特殊刪除選項
-      if (ruleKey !== "單次" && ruleKey !== "其他") {
-        kb.text("🗑️ 刪除此時間點", `del_time|${newList}|${ruleKey}`).row();
-        kb.text("🗑️ 刪除整個規則", `del_rule|${newList}|${ruleKey}`).row();
-      } else {
-        kb.text("🗑️ 刪除選取", `conf_del_r|${newList}|${ruleKey}`).row();
-      }
-      kb.text("⬅️ 返回", "manage_rule|").text("❌ 關閉", "cancel");
-
-      await ctx.editMessageText(`🔄 <b>${ruleKey}任務喵～</b>\n請勾選要刪除的任務：`, { parse_mode: "HTML", reply_markup: kb });
+  // 舊版管理按鈕把勾選的 id 都放在 callback_data 裡，請使用者重新開啟
+  if (/^(tog(_[facdr])?|conf_del(_[fadr])?|conf_done|del_rule)\|/.test(data)) {
+    return ctx.editMessageText("⌛ 喵～這個管理畫面是舊版的，請重新開啟～", { reply_markup: new InlineKeyboard().text("🗑️ 管理喵", "manage_mode") });
   }
 
-  // 刪除此時間點（針對週期性任務）
-  if (data.startsWith("del_time|")) {
-    const parts = data.split("|");
-    const idsStr = parts[1];
+  // 單次調整（舊版「刪除此時間點」按鈕 del_time| 也導到這裡，不再刪掉整個任務）
+  if (data.startsWith("occ|") || data.startsWith("del_time|")) {
+    const idsStr = data.split("|")[1];
     const selectedIds = idsStr ? idsStr.split(",").filter(x => x) : [];
 
-    if (!selectedIds.length) {
-      return ctx.answerCallbackQuery("喵～請先勾選任務");
+    if (selectedIds.length !== 1) {
+      return ctx.answerCallbackQuery("喵～請勾選一個要調整的任務");
     }
-
-    // 只刪除選中的任務（單次刪除，不影響週期規則）
-    await deleteTodosByIds(env, selectedIds, userId);
-    await ctx.editMessageText(`🗑️ 喵～已刪除 ${selectedIds.length} 個任務（僅此時間點）！`, { parse_mode: "HTML" });
+    return await renderOccurrenceMenu(ctx, env, userId, tz, parseInt(selectedIds[0]));
   }
 
-  // 刪除整個規則（針對週期性任務）
-  if (data.startsWith("del_rule|")) {
-    const parts = data.split("|");
-    const idsStr = parts[1];
-    const selectedIds = idsStr ? idsStr.split(",").filter(x => x) : [];
-
-    if (!selectedIds.length) {
-      return ctx.answerCallbackQuery("喵～請先勾選任務");
-    }
-
-    const results = await getTodos(env, userId, 0);
-
-    // 獲取選中任務的規則，並刪除所有相同規則的任務
-    const selectedTasks = results.filter(t => selectedIds.includes(t.id.toString()));
-    const rulesToDelete = [...new Set(selectedTasks.map(t => t.cron_rule).filter(r => r && r !== 'none' && r !== 'null'))];
+  // 跳過某一次 / 恢復某一次
+  if (data.startsWith("oc_sk|") || data.startsWith("oc_rs|")) {
+    const [action, todoId, occurrenceAt] = data.split("|");
+    const todo = (await getTodos(env, userId, 0)).find(t => t.id === parseInt(todoId));
+    if (!todo) return ctx.editMessageText("😿 喵～找不到這個任務了");
 
-    if (!rulesToDelete.length) {
-      // 如果沒有週期規則，就只刪除選中的
-      await deleteTodosByIds(env, selectedIds, userId);
-      await ctx.editMessageText(`🗑️ 喵～已刪除 ${selectedIds.length} 個任務！`, { parse_mode: "HTML" });
+    if (action === "oc_sk") {
+      await setTodoException(env, todo.id, parseInt(occurrenceAt), 'skip');
+      await ctx.answerCallbackQuery("⏭️ 喵～這一次會跳過");
     } else {
-      // 刪除所有符合這些規則的任務
-      const tasksWithSameRule = results.filter(t => rulesToDelete.includes(t.cron_rule));
-      const idsToDelete = tasksWithSameRule.map(t => t.id);
-      await deleteTodosByIds(env, idsToDelete, userId);
-      await ctx.editMessageText(`🗑️ 喵～已刪除 ${idsToDelete.length} 個任務（整個規則）！`, { parse_mode: "HTML" });
+      await deleteTodoException(env, todo.id, parseInt(occurrenceAt));
+      await ctx.answerCallbackQuery("↩️ 喵～已恢復原本的時間");
     }
+    return await renderOccurrenceMenu(ctx, env, userId, tz, todo.id);
   }
 
-  // 規則視圖下的確認刪除
-  if (data.startsWith("conf_del_r|")) {
-      const parts = data.split("|");
-      const idsStr = parts[1];
-      const ruleKey = parts[2];
-
-      if (!idsStr) return ctx.answerCallbackQuery("喵～未選擇任何任務");
-      const ids = idsStr.split(",").filter(x => x);
-      if (!ids.length) return ctx.answerCallbackQuery("喵～未選擇任何任務");
-
-      await deleteTodosByIds(env, ids, userId);
-      await ctx.editMessageText(`🗑️ 喵～已刪除 ${ids.length} 個任務！`);
-  }
-
-  // 勾選邏輯 (Toggle)
-  if (data.startsWith("tog|")) {
-      const [_, tid, sIds] = data.split("|");
-      let sSet = new Set(sIds ? sIds.split(",") : []);
-      sSet.has(tid) ? sSet.delete(tid) : sSet.add(tid);
-
-      const results = await getTodos(env, userId, 0);
-      const kb = new InlineKeyboard();
-      const newList = Array.from(sSet).join(",");
-      results.forEach(t => kb.text(`${sSet.has(t.id.toString())?"✅":"⬜️"} ${t.task}`, `tog|${t.id}|${newList}`).row());
-      kb.text("❌ 關閉", "cancel").text(`🗑️ 確認刪除 (${sSet.size})`, `conf_del|${newList}`);
-
-      await ctx.editMessageText("喵～請勾選要刪除的任務：", { reply_markup: kb });
+  // 改期某一次：等待使用者輸入新時間
+  if (data.startsWith("oc_mv|")) {
+    const [_, todoId, occurrenceAt] = data.split("|");
+    const todo = (await getTodos(env, userId, 0)).find(t => t.id === parseInt(todoId));
+    if (!todo) return ctx.editMessageText("😿 喵～找不到這個任務了");
+
+    await setChatState(env, ctx.chat.id, "move_occurrence", { todoId: todo.id, occurrenceAt: parseInt(occurrenceAt) });
+    return ctx.editMessageText(
+      `📅 <b>改期喵～</b>\n把 ${formatTimestamp(parseInt(occurrenceAt), tz)} 的「${escapeHtml(todo.task)}」改到什麼時候呢？\n` +
+      `請直接輸入新的時間，例如：<code>明天下午3點</code>、<code>10/28 14:00</code>\n（輸入其他指令即取消）`,
+      { parse_mode: "HTML" }
+    );
   }
 
-  // 確認刪除
-  if (data.startsWith("conf_del|")) {
-      const idsStr = data.split("|")[1];
-      if (!idsStr) return ctx.answerCallbackQuery("喵～未選擇任何任務");
-      const ids = idsStr.split(",").filter(x => x);
-      if (!ids.length) return ctx.answerCallbackQuery("喵～未選擇任何任務");
-
-      await deleteTodosByIds(env, ids, userId);
-      await ctx.editMessageText(`🗑️ 喵～已刪除 ${ids.length} 個任務！`);
+  // 從某一次起取消
+  if (data.startsWith("oc_cut|")) {
+    const [_, todoId, occurrenceAt] = data.split("|");
+    const fromTs = parseInt(occurrenceAt);
+    const todo = (await getTodos(env, userId, 0)).find(t => t.id === parseInt(todoId));
+    if (!todo) return ctx.editMessageText("😿 喵～找不到這個任務了");
+
+    const fromStr = new Date(fromTs * 1000).toLocaleDateString('zh-TW', {timeZone:tz});
+    // 跟完成、跳過一樣在歷史留下紀錄：取消的第一次
+    await addCompletion(env, todo, fromTs, 'cancelled');
+    if (fromTs <= todo.remind_at) {
+      // 從下一次就開始取消 -> 整個例行任務結束
+      await updateTodoStatus(env, todo.id, 1);
+    } else {
+      await updateTodoRule(env, todo.id, truncateRule(todo.cron_rule, fromTs, tz));
+    }
+    return ctx.editMessageText(`✂️ 喵～「${escapeHtml(todo.task)}」從 ${fromStr} 起不再提醒了！`, { parse_mode: "HTML" });
   }
 }
 
@@ -0,0 +1,99 @@
+// scheduler.js - 使用者提醒鬧鐘模組（Durable Object）
+// 每位使用者一個 ReminderScheduler，鬧鐘設在這位使用者下一個需要處理的時間：
+// 提醒、提前提醒、持續提醒、改期的那一次、等待重送的訊息、每日彙整、每週回顧、勿擾結束
+// 鬧鐘響時只處理這位使用者，處理完再排定下一次；使用者有互動（新增、修改、完成任務、改設定）後由 armUserScheduler 重新排定
+// cron 只作為安全網，補上鬧鐘漏掉的（例如部署後還沒互動過的使用者）
+import { Bot } from "grammy";
+import { DEFAULT_TIMEZONE, getNowInTimeZone } from "./time.js";
+import { initDatabase, getNextDueAt, getUserScheduleSettings } from "./db.js";
+import { processScheduledReminders } from "./task.js";
+import { parseDigestSetting, minutesUntilDigest, parseReviewSetting, minutesUntilReview } from "./digest.js";
+import { parseQuietSetting, parseDndDays, minutesUntilQuietEnds } from "./quiet.js";
+
+// 處理完還有已到期的項目（例如送出失敗在等重試）時，至少隔這麼久再響，避免鬧鐘不停重響
+const RETRY_SECONDS = 60;
+
+/**
+ * 計算使用者下一次需要處理的時間
+ * @param {number} nowTs - 現在的 UTC 秒數
+ * @returns {Promise<number|null>} UTC 秒數；沒有任何需要處理的事時為 null
+ */
+async function nextWakeAt(env, userId, nowTs) {
+  const candidates = [await getNextDueAt(env, userId)];
+
+  const settings = await getUserScheduleSettings(env, userId);
+  const nowLocal = getNowInTimeZone(settings?.timezone || DEFAULT_TIMEZONE);
+  // 當地的分鐘數 -> UTC 秒數（從這一分鐘的開頭算起）
+  const inMinutes = (minutes) => minutes === null ? null : nowTs - nowLocal.getUTCSeconds() + minutes * 60;
+
+  if (settings?.has_open) {
+    candidates.push(inMinutes(minutesUntilDigest(parseDigestSetting(settings.digest_times), nowLocal)));
+  }
+  candidates.push(inMinutes(minutesUntilReview(parseReviewSetting(settings?.weekly_review), nowLocal)));
+  if (settings?.has_held) {
+    candidates.push(inMinutes(minutesUntilQuietEnds(parseQuietSetting(settings.quiet_hours), parseDndDays(settings.dnd_days), nowLocal)));
+  }
+
+  const times = candidates.filter(t => t !== null && t !== undefined);
+  return times.length ? Math.min(...times) : null;
+}
+
+class ReminderScheduler {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  // POST { userId }：記住是哪位使用者，重新排定鬧鐘
+  async fetch(request) {
+    const { userId } = await request.json();
+    await this.state.storage.put('userId', userId);
+    await this.arm(userId, false);
+    return new Response("OK");
+  }
+
+  // 鬧鐘響：只處理這位使用者，再排定下一次
+  async alarm() {
+    const userId = await this.state.storage.get('userId');
+    if (!userId) return;
+    await initDatabase(this.env);
+    const bot = new Bot(this.env.BOT_TOKEN);
+    await processScheduledReminders(bot, this.env, userId);
+    await this.arm(userId, true);
+  }
+
+  /**
+   * 依下一次需要處理的時間設定鬧鐘，沒有時取消鬧鐘
+   * @param {boolean} afterRun - 剛處理完；還有已到期的項目時延後 RETRY_SECONDS 再響
+   */
+  async arm(userId, afterRun) {
+    await initDatabase(this.env);
+    const nowTs = Math.floor(Date.now() / 1000);
+    const wakeAt = await nextWakeAt(this.env, userId, nowTs);
+    if (wakeAt === null) {
+      await this.state.storage.deleteAlarm();
+      return;
+    }
+    await this.state.storage.setAlarm(Math.max(wakeAt, afterRun ? nowTs + RETRY_SECONDS : nowTs) * 1000);
+  }
+}
+
+/**
+ * 重新排定使用者的鬧鐘（沒有設定 Durable Object binding 時只靠 cron）
+ * 失敗只記錄下來，cron 會補上
+ */
+async function armUserScheduler(env, userId) {
+  if (!env.REMINDER_SCHEDULER) return;
+  try {
+    const stub = env.REMINDER_SCHEDULER.get(env.REMINDER_SCHEDULER.idFromName(userId));
+    await stub.fetch("https://scheduler/arm", { method: "POST", body: JSON.stringify({ userId }) });
+  } catch (e) {
+    console.error(`[scheduler] 用户 ${userId} 排定鬧鐘失败:`, e);
+  }
+}
+
+export {
+  ReminderScheduler,
+  nextWakeAt,
+  armUserScheduler
+};
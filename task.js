@@ -1,44 +1,102 @@
 // task.js - 任務處理模組
 import { InlineKeyboard } from "grammy";
-import { formatTimestampToTaipeiTime, TAIPEI_OFFSET, getTodayRangeTaipei, getNowTaipei, getMorningReportRangeTaipei, getEveningReportRangeTaipei } from "./time.js";
-import { addTodo, getTodos, getTodosByTimeRange, updateTodoStatus, addHistory, updateCronTodoNextTime } from "./db.js";
-import { calculateNext } from "./time.js";
+import { DEFAULT_TIMEZONE, formatTimestamp, getTodayRange, getNowInTimeZone, utcTsToLocalDate, localDateToUtcTs, getDigestRange, getPastDaysRange, getDateRange } from "./time.js";
+import { addTodo, getTodos, updateTodoStatus, updateTodoRemindAt, updateCronTodoNextTime, finishCronTodo, addCompletion, getCompletions, getUserTimezone, getTodoExceptions, getTodoException, setTodoException, getDueMovedOccurrences, markTodoExceptionFired, addNotification, updateNotificationStatus, getDueNags, updateNotificationNag, getDueAlertTodos, updateTodoNextAlert, logAlert, getNotification, getPendingNotification, getTodoById, getQuietUsers, holdMessage, getHeldUserIds, getHeldMessages, flushHeldMessages, setNotificationNextNag, enqueueMessage, claimDigest, releaseDigest, pruneDigestLog, getWeeklyReviewUsers, claimReview, releaseReview, getCompletionCounts, getRecurringAdherence, getOverdueTodos, getDueTodos, getTodosForDigest, getOpenTodoUsers, getSchedulerCursor, setSchedulerCursor, createTaskDraft } from "./db.js";
+import { describeRule, describeEndCondition, nextOccurrence, firstInRange, catchUpOccurrences } from "./recurrence.js";
+import { parseAlerts, describeAlerts, describeLead, nextAlertAt, dueAlerts } from "./alerts.js";
+import { deliverOutbox } from "./outbox.js";
+import { adjustRow } from "./picker.js";
+import { LOW_CONFIDENCE } from "./clarify.js";
+import { parseQuietSetting, parseDndDays, isQuietTime } from "./quiet.js";
+import { parseDigestSetting, dueDigestTimes, isEveningDigest, formatDigestTime, parseReviewSetting, isReviewDue } from "./digest.js";
 
-// 翻譯規則顯示文字
+// 翻譯規則顯示文字（RRULE -> 中文）
 function translateRule(rule) {
-    if (!rule || rule === 'none' || rule === 'null') return "單次";
-    if (rule === 'daily') return "每天";
-    if (rule.startsWith('weekly:')) {
-        const days = rule.split(':')[1];
-        if (days === '1,2,3,4,5') return "週一至週五";
-        if (days === '6,7') return "週末";
-        if (days === '1,3,5') return "週一、週三、週五";
-        if (days === '2,4,6') return "週二、週四、週六";
-        // 如果是單一天，例如 'weekly:1' 代表週一
-        if (/^\d+$/.test(days)) {
-            const dayMap = {
-                '1': '週一', '2': '週二', '3': '週三',
-                '4': '週四', '5': '週五', '6': '週六', '7': '週日'
-            };
-            return `每${dayMap[days] || '週'}`;
-        }
-        return "每週";
-    }
-    if (rule.startsWith('monthly:')) return "每月";
-    if (rule.startsWith('yearly:')) return "每年";
-    // 支援更多關鍵字
-    if (rule.includes('every')) return "每";
-    if (rule.includes('each')) return "每";
-    return rule;
+  if (!rule || rule === 'none' || rule === 'null') return "單次";
+  return describeRule(rule);
+}
+
+// 將例外依任務分組：todo_id -> [exception]
+function groupExceptions(rows) {
+  const map = new Map();
+  for (const e of rows) {
+    if (!map.has(e.todo_id)) map.set(e.todo_id, []);
+    map.get(e.todo_id).push(e);
+  }
+  return map;
 }
 
 // --- 4. 渲染清單 (List) ---
+/**
+ * 清單範圍內的待辦（/list 與 /done 的編號以此為準）
+ * 週期任務取範圍內實際發生的時間（已套用跳過 / 改期），先發生的在前面，無期限(-1)放最後
+ * @returns {Promise<{items: object[], timeOf: (todo: object) => number, exceptions: Map}>}
+ */
+async function getListItems(env, userId, start, end, tz) {
+  const results = await getTodos(env, userId, 0);
+  const exceptions = groupExceptions(await getTodoExceptions(env, userId));
+  const occurrenceAt = new Map();
+
+  const items = results.filter(t => {
+    if (t.cron_rule) {
+      // 週期任務：檢查查詢時間範圍內是否有符合規則的執行時間
+      const at = firstInRange(t.cron_rule, t.remind_at, start, end, tz, exceptions.get(t.id), { anchorTs: t.anchor_at, remaining: t.remaining_count });
+      if (at === null) return false;
+      occurrenceAt.set(t.id, at);
+      return true;
+    }
+    return t.remind_at === -1 || (t.remind_at >= start && t.remind_at <= end);
+  });
+
+  const timeOf = t => occurrenceAt.get(t.id) ?? t.remind_at;
+  items.sort((a, b) => {
+    if (a.remind_at === -1) return 1;
+    if (b.remind_at === -1) return -1;
+    return timeOf(a) - timeOf(b);
+  });
+  return { items, timeOf, exceptions };
+}
+
+// 模糊比對的門檻：兩字一組的重疊程度（Dice 係數）
+const MATCH_THRESHOLD = 0.5;
+
+function bigrams(text) {
+  const chars = [...text.replace(/\s+/g, '').toLowerCase()];
+  return chars.length < 2 ? chars : chars.slice(1).map((c, i) => chars[i] + c);
+}
+
+/**
+ * 依關鍵字找任務（自然語言的修改 / 刪除 / 完成用）
+ * 內容包含關鍵字的最優先，其次是兩字一組重疊夠多的（「健身房」也找得到「去健身」）
+ * @param {Array} todos
+ * @param {string} keyword
+ * @returns {Array} 由最像到最不像
+ */
+function matchTodos(todos, keyword) {
+  const key = (keyword || '').trim().toLowerCase();
+  if (!key) return [];
+  const keyGrams = bigrams(key);
+  const scored = todos.map(t => {
+    const task = t.task.toLowerCase();
+    if (task.includes(key)) return { t, score: 2 };
+    const grams = bigrams(task);
+    const common = keyGrams.filter(g => grams.includes(g)).length;
+    return { t, score: 2 * common / (keyGrams.length + grams.length) };
+  });
+  return scored.filter(s => s.score >= MATCH_THRESHOLD).sort((a, b) => b.score - a.score).map(s => s.t);
+}
+
 async function renderList(ctx, env, label, startTs = null, endTs = null, aiResult = null) {
   const userId = ctx.from.id.toString();
-  const results = await getTodos(env, userId, 0);
+  const tz = await getUserTimezone(env, userId);
+
+  const todayRange = getTodayRange(tz);
+  const start = startTs ?? todayRange.start;
+  const end = endTs ?? todayRange.end;
 
   // 如果是例行性任務查詢，直接返回所有週期性任務
   if (label === "例行性任務清單") {
+    const results = await getTodos(env, userId, 0);
     const recurringTasks = results.filter(t => t.cron_rule && t.cron_rule !== 'none' && t.cron_rule !== null);
 
     if (!recurringTasks.length) return ctx.reply(`📋 <b>${label}</b>\n😿 喵～目前沒有例行性任務呢～`, { parse_mode: "HTML" });
@@ -49,127 +107,54 @@ async function renderList(ctx, env, label, startTs = null, endTs = null, aiResul
 
       if (t.remind_at > 0) {
         if (t.all_day) {
-          timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'}) + " (全天)" + ` (${translateRule(t.cron_rule)})`;
+          timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'}) + " (全天)" + ` (${translateRule(t.cron_rule)})`;
         } else {
-          timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false}) + ` (${translateRule(t.cron_rule)})`;
+          timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false}) + ` (${translateRule(t.cron_rule)})`;
         }
       } else {
         timeDisplay = `🔄 ${translateRule(t.cron_rule)}`;
       }
 
-      msg += `${i+1}. [${timeDisplay}] ${t.task}\n`;
+      msg += `${i+1}. [${timeDisplay}] ${escapeHtml(t.task)}\n`;
     });
 
     return await ctx.reply(msg, {
       parse_mode: "HTML",
-      reply_markup: new InlineKeyboard().text("🗑️ 管理喵", `mg|${start}|${end}`)
+      reply_markup: listKeyboard(recurringTasks, start, end)
     });
   }
 
-  const todayRange = getTodayRangeTaipei();
-  const start = startTs ?? todayRange.start;
-  const end = endTs ?? todayRange.end;
-
-   const filtered = results.filter(t => {
-    if (t.cron_rule) {
-      // 週期任務：檢查查詢時間範圍內是否有符合規則的執行時間
-      if (t.cron_rule.startsWith('weekly:')) {
-        const days = t.cron_rule.split(':')[1].split(',').map(Number);
-        
-        // start/end 是台北时间的 UTC 时间戳（秒）
-        // 加回 8h 得到台北时间对应的 Date 对象（内部值 = UTC = 台北+8h）
-        // getUTCDay() 返回台北时间的星期几
-        const taipeiOffsetMs = 8 * 60 * 60 * 1000;
-        const startDate = new Date(start * 1000 + taipeiOffsetMs);
-        const endDate = new Date(end * 1000 + taipeiOffsetMs);
-        
-        console.log(`[renderList] ===== 開始檢查週期任務 =====`);
-        console.log(`[renderList] 任務: ${t.task}`);
-        console.log(`[renderList] cron_rule: ${t.cron_rule}`);
-        console.log(`[renderList] 解析出的星期幾: ${days}`);
-        console.log(`[renderList] 查詢範圍(UTC): ${start} - ${end}`);
-        console.log(`[renderList] 查詢範圍(台北): ${startDate.toLocaleString('zh-TW', {timeZone:'Asia/Taipei'})} - ${endDate.toLocaleString('zh-TW', {timeZone:'Asia/Taipei'})}`);
-        
-        let currentDate = new Date(startDate);
-        
-        while (currentDate <= endDate) {
-          const utcDay = currentDate.getUTCDay();
-          const dayOfWeekISO = utcDay === 0 ? 7 : utcDay;
-          
-          const isMatch = days.includes(dayOfWeekISO);
-          console.log(`[renderList] 檢查 ${currentDate.toLocaleString('zh-TW', {timeZone:'Asia/Taipei'})}: 台北星期=${dayOfWeekISO}, 符合=${isMatch}`);
-          if (isMatch) {
-            console.log(`[renderList] ✓ 找到符合日期`);
-            console.log(`[renderList] ===== 結束檢查 =====`);
-            return true;
-          }
-          currentDate.setUTCDate(currentDate.getUTCDate() + 1);
-        }
-        console.log(`[renderList] ✗ 未找到符合日期`);
-        console.log(`[renderList] ===== 結束檢查 =====`);
-        return false;
-      }
-      if (t.cron_rule === 'daily') {
-        return true;
-      }
-      if (t.cron_rule.startsWith('monthly:')) {
-        const dayOfMonth = parseInt(t.cron_rule.split(':')[1]);
-        const startDate = new Date(start * 1000);
-        const endDate = new Date(end * 1000);
-        let currentDate = new Date(startDate);
-        while (currentDate <= endDate) {
-          if (currentDate.getUTCDate() === dayOfMonth) return true;
-          currentDate.setUTCDate(currentDate.getUTCDate() + 1);
-        }
-        return false;
-      }
-      if (t.cron_rule.startsWith('yearly:')) {
-        const [month, day] = t.cron_rule.split(':')[1].split('-').map(Number);
-        const startDate = new Date(start * 1000);
-        const endDate = new Date(end * 1000);
-        let currentDate = new Date(startDate);
-        while (currentDate <= endDate) {
-          if (currentDate.getUTCMonth() + 1 === month && currentDate.getUTCDate() === day) return true;
-          currentDate.setUTCDate(currentDate.getUTCDate() + 1);
-        }
-        return false;
-      }
-      return false;
-    }
-    return t.remind_at === -1 || (t.remind_at >= start && t.remind_at <= end);
-  });
+  // 週期任務在範圍內實際發生的時間（已套用跳過 / 改期）
+  const { items: filtered, timeOf, exceptions } = await getListItems(env, userId, start, end, tz);
   if (!filtered.length) return ctx.reply(`😿 喵～${label} 沒有待辦事項呢～`);
 
-  // 排序：先發生的在前面，無期限(-1)放最後
-  filtered.sort((a, b) => {
-    if (a.remind_at === -1) return 1;
-    if (b.remind_at === -1) return -1;
-    return a.remind_at - b.remind_at;
-  });
-
   let msg = `📋 <b>${label} 任務清單喵～</b>\n`;
   filtered.forEach((t, i) => {
     let timeDisplay = "";
 
     if (t.cron_rule) {
-      if (t.remind_at > 0) {
+      const at = timeOf(t);
+      if (at > 0) {
         if (t.all_day) {
-          timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'}) + " (全天)" + ` (${translateRule(t.cron_rule)})`;
+          timeDisplay = new Date(at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'}) + " (全天)" + ` (${translateRule(t.cron_rule)})`;
         } else {
-          timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false}) + ` (${translateRule(t.cron_rule)})`;
+          timeDisplay = new Date(at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false}) + ` (${translateRule(t.cron_rule)})`;
+        }
+        if ((exceptions.get(t.id) || []).some(e => e.action === 'move' && e.new_at === at)) {
+          timeDisplay += " 📅已改期";
         }
       } else {
         timeDisplay = `🔄 ${translateRule(t.cron_rule)}`;
       }
     } else if (t.all_day) {
-      timeDisplay = "☀️ " + new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'}) + " (全天)";
+      timeDisplay = "☀️ " + new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'}) + " (全天)";
     } else if (t.remind_at !== -1) {
-      timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false});
+      timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false});
     } else {
       timeDisplay = "無期限";
     }
 
-    msg += `${i+1}. [${timeDisplay}] ${t.task}\n`;
+    msg += `${i+1}. [${timeDisplay}] ${escapeHtml(t.task)}\n`;
   });
 
   // 如果有時間範圍信息（本地解析或 AI）
@@ -178,10 +163,10 @@ async function renderList(ctx, env, label, startTs = null, endTs = null, aiResul
     msg += `<code>標籤：${aiResult.label || label}\n`;
     msg += `來源：${aiResult.source || 'N/A'}`;
     if (aiResult.start !== undefined) {
-      msg += `\n開始：${new Date(aiResult.start * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei'})} (${aiResult.start})`;
+      msg += `\n開始：${new Date(aiResult.start * 1000).toLocaleString('zh-TW', {timeZone:tz})} (${aiResult.start})`;
     }
     if (aiResult.end !== undefined) {
-      msg += `\n結束：${new Date(aiResult.end * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei'})} (${aiResult.end})`;
+      msg += `\n結束：${new Date(aiResult.end * 1000).toLocaleString('zh-TW', {timeZone:tz})} (${aiResult.end})`;
     }
     if (aiResult.originalQuery) {
       msg += `\n查詢：${aiResult.originalQuery}`;
@@ -197,240 +182,973 @@ async function renderList(ctx, env, label, startTs = null, endTs = null, aiResul
 
   await ctx.reply(msg, {
     parse_mode: "HTML",
-    reply_markup: new InlineKeyboard().text("🗑️ 管理喵", `mg|${start}|${end}`)
+    reply_markup: listKeyboard(filtered, start, end, timeOf)
   });
 }
 
 // --- 5. 渲染歷史 (History) ---
+const OUTCOME_ICONS = { done: "✅", skipped: "⏭️", missed: "⚠️", cancelled: "✂️" };
+
 async function renderHistory(ctx, env, label, startTs = null, endTs = null) {
   const userId = ctx.from.id.toString();
-  let results;
-
-  if (startTs && endTs) {
-    results = await getTodosByTimeRange(env, userId, startTs, endTs, 1);
-  } else {
-    results = await getTodos(env, userId, 1);
-  }
+  const tz = await getUserTimezone(env, userId);
+  // 由近到遠排序，限制顯示 15 筆
+  const results = await getCompletions(env, userId, startTs, endTs, 15);
 
   if (!results.length) {
-    // 如果是清空操作後的查詢
-    if (label === "最近" && startTs === null && endTs === null) {
-      return ctx.reply(`📚 ${label} 無完成紀錄喵～`, { parse_mode: "HTML" });
-    }
     return ctx.reply(`📚 ${label} 無完成紀錄喵～`, { parse_mode: "HTML" });
   }
 
   let msg = `📚 <b>${label} 完成紀錄喵～</b>\n`;
-  // 按提醒時間從近到遠排序（最近的在前）
-  results.sort((a, b) => b.remind_at - a.remind_at);
-  results = results.slice(0, 15); // 限制顯示 15 筆
   results.forEach((t, i) => {
     let timeStr;
     if (t.all_day) {
       // 對於全天任務，只顯示日期
-      timeStr = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'}) + " (全天)";
+      timeStr = new Date(t.occurrence_at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'}) + " (全天)";
     } else {
-      timeStr = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false});
+      timeStr = new Date(t.occurrence_at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false});
     }
-    msg += `${i+1}. [${timeStr}] ✅ ${t.task}\n`;
+    msg += `${i+1}. [${timeStr}] ${OUTCOME_ICONS[t.outcome] || "✅"} ${escapeHtml(t.task)}\n`;
   });
   await ctx.reply(msg, { parse_mode: "HTML" });
 }
 
 // --- 6. 確認與儲存 (UI) ---
-async function sendConfirmation(ctx, state) {
-  let timeStr;
-  if (state.remindAt === -1) {
-    timeStr = "無時間限制喵";
-  } else if (state.allDay) {
+// 確認卡片上的時間文字
+function describeTaskTime(remindAt, allDay, tz) {
+  if (remindAt === -1) return "無時間限制喵";
+  if (allDay) {
     // 對於全天任務，只顯示日期，不顯示具體時間
-    const date = new Date(state.remindAt * 1000);
-    timeStr = date.toLocaleString('zh-TW', {timeZone:'Asia/Taipei', year:'numeric', month:'numeric', day:'numeric'});
-    timeStr += " (全天)";
-  } else {
-    timeStr = formatTimestampToTaipeiTime(state.remindAt);
+    const date = new Date(remindAt * 1000);
+    return date.toLocaleString('zh-TW', {timeZone:tz, year:'numeric', month:'numeric', day:'numeric'}) + " (全天)";
   }
+  return formatTimestamp(remindAt, tz);
+}
 
-  const ruleText = state.cronRule ? translateRule(state.cronRule) : "單次";
+// 任務文字放進 HTML 訊息前先跳脫
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
 
-  // 使用簡單的回調數據格式，避免超過 Telegram 的 64 位元組限制
-  // 實際任務內容會從訊息文本中提取（見 router.js 的 rejudge 處理）
-  const rejudgeCallback = "rejudge";
+// 確認卡片的文字（卡片原地更新時也用這裡重建）
+function confirmationText(draft, debugRaw = null) {
+  const tz = draft.timeZone || DEFAULT_TIMEZONE;
+  const timeStr = describeTaskTime(draft.remindAt, draft.allDay, tz);
 
-  const kb = new InlineKeyboard()
-    .text("✅ 確認儲存喵", `sv|${state.remindAt}|${state.cronRule || 'n'}|${state.allDay}`)
-    .text("❌ 取消", "cancel")
-    .row()
-    .text("🤖 AI 重新判斷喵", rejudgeCallback);
+  const ruleText = draft.cronRule ? translateRule(draft.cronRule) : "單次";
 
   let msg = `📌 <b>任務確認喵～</b>\n` +
-            `📝 內容：${state.task}\n` +
+            `📝 內容：${escapeHtml(draft.task)}\n` +
             `⏰ 時間：${timeStr}\n` +
             `🔄 規則：${ruleText}\n` +
-            `🔍 來源：${state.source}`;
+            `🔍 來源：${draft.source}`;
+
+  const alertsText = describeAlerts(draft.alerts);
+  if (alertsText) {
+    msg += `\n🔔 提前提醒：${alertsText}`;
+  }
+
+  if (draft.nag) {
+    msg += `\n🔁 持續提醒：沒按完成前會一直提醒喵`;
+  }
+
+  if (draft.urgent) {
+    msg += `\n🚨 緊急：勿擾時段也會提醒喵`;
+  }
+
+  const endText = draft.cronRule ? describeEndCondition(draft.cronRule, null, tz) : null;
+  if (endText) {
+    msg += `\n⏹️ 結束：${endText}`;
+  }
+
+  if (draft.cronRule) {
+    msg += `\n🧩 RRULE：<code>${draft.cronRule}</code>`;
+  }
+
+  if (draft.originalText) {
+    msg += `\n💬 原始輸入：<code>${escapeHtml(draft.originalText)}</code>`;
+  }
 
-  // 保存原始输入文本（用于 rejudge）
-  if (state.originalText) {
-    msg += `\n💬 原始輸入：<code>${state.originalText}</code>`;
+  if (typeof draft.confidence === 'number' && draft.confidence < LOW_CONFIDENCE) {
+    msg += `\n🤔 AI 不太確定（信心 ${Math.round(draft.confidence * 100)}%），請看仔細再儲存喵～`;
   }
 
   // 如果有 debugRaw，顯示在訊息下方 (使用單行代碼格式，避免過長)
-  if (state.debugRaw) {
-      msg += `\n\n🛠 <b>AI 原始數據：</b>\n<code>${state.debugRaw}</code>`;
+  if (debugRaw) {
+      msg += `\n\n🛠 <b>AI 原始數據：</b>\n<code>${escapeHtml(debugRaw)}</code>`;
   }
 
+  return msg;
+}
+
+// 解析不確定時的追問訊息（見 clarify.js），一次問一題
+function clarificationText(draft) {
+  return `🤔 <b>喵～想先確認一下</b>\n` +
+         `📝 內容：${escapeHtml(draft.task)}\n` +
+         `❓ ${escapeHtml(draft.questions[0].question)}\n\n` +
+         `（也可以直接輸入時間，例如 <code>下週五下午3點</code>）`;
+}
+
+/**
+ * 新增任務的確認卡片：內容存成草稿（見 db.js 的 task_drafts），按鈕只帶草稿 id
+ * @param {object} state - {task, remindAt, cronRule, allDay, nag, alerts, urgent, source, originalText, timeZone, debugRaw}
+ */
+async function sendConfirmation(ctx, env, state) {
+  const draft = {
+    task: state.task,
+    remindAt: state.remindAt,
+    cronRule: state.cronRule || null,
+    allDay: state.allDay ? 1 : 0,
+    nag: state.nag ? 1 : 0,
+    alerts: state.alerts || [],
+    urgent: state.urgent ? 1 : 0,
+    originalText: state.originalText || null,
+    source: state.source,
+    confidence: typeof state.confidence === 'number' ? state.confidence : null,
+    timeZone: state.timeZone || DEFAULT_TIMEZONE
+  };
+  const draftId = await createTaskDraft(env, ctx.from.id.toString(), 'create', draft);
+
+  await ctx.reply(confirmationText(draft, state.debugRaw), { parse_mode: "HTML", reply_markup: confirmationKeyboard(draftId, draft) });
+}
+
+// 草稿調整後原地更新確認卡片
+async function refreshConfirmation(ctx, draftId, draft) {
+  await ctx.editMessageText(confirmationText(draft), { parse_mode: "HTML", reply_markup: confirmationKeyboard(draftId, draft) });
+}
+
+// --- 多任務確認 ---
+// 草稿 payload: {items: [與單一任務草稿相同的欄位], selected: [勾選的項目索引], originalText, timeZone}
+function batchConfirmationText(draft) {
+  const tz = draft.timeZone || DEFAULT_TIMEZONE;
+  const lines = draft.items.map((item, i) => {
+    const mark = draft.selected.includes(i) ? "✅" : "⬜️";
+    const rule = item.cronRule ? `，${translateRule(item.cronRule)}` : "";
+    const warning = item.failed ? "（看不懂時間，先當成無期限）" : "";
+    return `${mark} ${i + 1}. ${escapeHtml(item.task)}\n      ⏰ ${describeTaskTime(item.remindAt, item.allDay, tz)}${rule}${warning}`;
+  });
+  return `📋 <b>一次新增 ${draft.items.length} 個任務喵～</b>\n${lines.join("\n")}\n\n` +
+         `點任務可以取消勾選，再按儲存（已勾選 ${draft.selected.length} 個）`;
+}
+
+// 每個任務一列勾選按鈕，最後是儲存與取消
+function batchKeyboard(draftId, draft) {
+  const kb = new InlineKeyboard();
+  draft.items.forEach((item, i) => {
+    kb.text(`${draft.selected.includes(i) ? "✅" : "⬜️"} ${i + 1}. ${item.task}`, `bt|${draftId}|${i}`).row();
+  });
+  return kb.text(`💾 儲存選取 (${draft.selected.length})`, `bs|${draftId}`).text("❌ 取消", "cancel");
+}
+
+// 多任務的確認卡片，同樣存成草稿，按鈕只帶草稿 id
+async function sendBatchConfirmation(ctx, env, draft) {
+  const draftId = await createTaskDraft(env, ctx.from.id.toString(), 'batch', draft);
+  await ctx.reply(batchConfirmationText(draft), { parse_mode: "HTML", reply_markup: batchKeyboard(draftId, draft) });
+}
+
+async function refreshBatchConfirmation(ctx, draftId, draft) {
+  await ctx.editMessageText(batchConfirmationText(draft), { parse_mode: "HTML", reply_markup: batchKeyboard(draftId, draft) });
+}
+
+// --- 編輯任務 ---
+// 清單下方最多幾個 ✅ / ✏️ 編號按鈕
+const LIST_EDIT_BUTTONS = 20;
+
+// 清單下方的按鈕：每個任務一個 ✅ 完成與 ✏️ 編輯的編號按鈕（對應清單的編號），最後是管理
+// 完成按鈕帶上清單上顯示的那一次發生時間
+function listKeyboard(tasks, start, end, timeOf = t => t.remind_at) {
+  const kb = new InlineKeyboard();
+  const shown = tasks.slice(0, LIST_EDIT_BUTTONS);
+  shown.forEach((t, i) => {
+    if (i > 0 && i % 5 === 0) kb.row();
+    kb.text(`✅ ${i + 1}`, `dn|${t.id}|${timeOf(t)}`);
+  });
+  if (shown.length) kb.row();
+  shown.forEach((t, i) => {
+    if (i > 0 && i % 5 === 0) kb.row();
+    kb.text(`✏️ ${i + 1}`, `ed|${t.id}`);
+  });
+  if (shown.length) kb.row();
+  return kb.text("🗑️ 管理喵", `mg|${start}|${end}`);
+}
+
+// 任務編輯器：目前的內容，以及要修改哪一項的按鈕
+function buildTodoEditor(todo, tz) {
+  const text =
+    `✏️ <b>編輯任務喵～</b>\n` +
+    `📝 內容：${escapeHtml(todo.task)}\n` +
+    `⏰ 時間：${describeTaskTime(todo.remind_at, todo.all_day, tz)}\n` +
+    `🔄 規則：${translateRule(todo.cron_rule)}\n\n` +
+    `要修改哪一項呢？`;
+  const kb = new InlineKeyboard()
+    .text("📝 內容", `ef|t|${todo.id}`)
+    .text("⏰ 時間", `ef|w|${todo.id}`)
+    .row()
+    .text("🔄 規則", `ef|r|${todo.id}`);
+  // 沒有時間的任務不分全天與否
+  if (todo.remind_at > 0) kb.text(todo.all_day ? "☀️ 全天：開" : "🕒 全天：關", `ea|${todo.id}`);
+  kb.row().text("❌ 取消", "cancel");
+  return { text, keyboard: kb };
+}
+
+/**
+ * 修改前的確認卡片，修改後的內容與新增任務一樣存成草稿，按鈕只帶草稿 id
+ * @param {object} todo - 修改前的任務
+ * @param {{task: string, remindAt: number, cronRule: string|null, allDay: number}} draft - 修改後
+ */
+async function sendEditConfirmation(ctx, env, todo, draft, tz) {
+  const changed = (a, b) => a !== b ? " ✏️" : "";
+  let msg = `✏️ <b>確認修改喵～</b>\n` +
+            `📝 內容：${escapeHtml(draft.task)}${changed(draft.task, todo.task)}\n` +
+            `⏰ 時間：${describeTaskTime(draft.remindAt, draft.allDay, tz)}` +
+            `${changed(draft.remindAt, todo.remind_at) || changed(!!draft.allDay, !!todo.all_day)}\n` +
+            `🔄 規則：${translateRule(draft.cronRule)}${changed(draft.cronRule || null, todo.cron_rule || null)}`;
+  if (draft.cronRule) {
+    msg += `\n🧩 RRULE：<code>${draft.cronRule}</code>`;
+  }
+  const draftId = await createTaskDraft(env, todo.user_id, 'edit', {
+    task: draft.task,
+    remindAt: draft.remindAt,
+    cronRule: draft.cronRule || null,
+    allDay: draft.allDay ? 1 : 0,
+    timeZone: tz
+  }, todo.id);
+  const kb = new InlineKeyboard()
+    .text("✅ 確認修改喵", `es|${draftId}`)
+    .text("❌ 取消", "cancel");
   await ctx.reply(msg, { parse_mode: "HTML", reply_markup: kb });
 }
 
-// 處理定時任務提醒
-async function processScheduledReminders(bot, env) {
+// --- 提醒通知的完成 / 延後 ---
+
+// 延後選項：callback 代號 -> [按鈕文字, 分鐘數]（明天另外處理）
+const SNOOZE_OPTIONS = {
+  "10m": ["😴 10分鐘後", 10],
+  "1h": ["1小時後", 60]
+};
+
+// 提醒訊息的按鈕，callback 帶上任務 id 與這一次的發生時間
+function reminderKeyboard(todoId, occurrenceAt, nag = false) {
+  const key = `${todoId}|${occurrenceAt}`;
+  const kb = new InlineKeyboard().text("✅ 完成", `rd|ok|${key}`);
+  if (nag) kb.text("🔕 不用再提醒", `rd|no|${key}`);
+  kb.row();
+  Object.entries(SNOOZE_OPTIONS).forEach(([code, [label]]) => kb.text(label, `rd|${code}|${key}`));
+  kb.text("明天", `rd|1d|${key}`).text("⏰ 自訂", `rd|cu|${key}`);
+  return kb;
+}
+
+// 持續提醒的間隔（分鐘）：5、15、30 之後每次加倍，最多到 NAG_MAX_INTERVAL_MINUTES
+const NAG_INTERVALS = [5, 15, 30];
+const DEFAULT_NAG_MAX_INTERVAL = 120;
+
+/**
+ * 第 n 次重送前要等多久
+ * @param {number} nagCount - 已重送的次數（0 表示第一次提醒之後）
+ * @returns {number} 秒
+ */
+function nagDelay(env, nagCount) {
+  const max = parseInt(env.NAG_MAX_INTERVAL_MINUTES) || DEFAULT_NAG_MAX_INTERVAL;
+  const last = NAG_INTERVALS[NAG_INTERVALS.length - 1];
+  const minutes = nagCount < NAG_INTERVALS.length
+    ? NAG_INTERVALS[nagCount]
+    : last * 2 ** (nagCount - NAG_INTERVALS.length + 1);
+  return Math.min(minutes, max) * 60;
+}
+
+// 提醒排入發送佇列並記錄，之後使用者按下完成 / 延後時才算處理完
+// 先排入再記錄：中途失敗時下一次排程會重跑，dedupeKey 保證同一次提醒只排入一次
+// quietUsers：目前在勿擾中的使用者，非緊急的提醒先暫存，不送出也不開始催促
+async function sendReminder(env, todo, occurrenceAt, text, quietUsers = null, dedupeKey = `rm:${todo.id}:${occurrenceAt}`) {
+  if (isHeld(quietUsers, todo)) {
+    await holdMessage(env, todo.user_id, 'reminder', text, todo.id, occurrenceAt);
+    await addNotification(env, todo, occurrenceAt, null, null);
+    return;
+  }
+  await enqueueMessage(env, {
+    userId: todo.user_id,
+    dedupeKey,
+    text,
+    replyMarkup: reminderKeyboard(todo.id, occurrenceAt, todo.nag),
+    todoId: todo.id,
+    occurrenceAt
+  });
+  const nextNagAt = todo.nag ? Math.floor(Date.now() / 1000) + nagDelay(env, 0) : null;
+  await addNotification(env, todo, occurrenceAt, null, nextNagAt);
+}
+
+// 延後選項對應的新時間；「明天」為明天同一個牆上時間
+function snoozeTarget(code, occurrenceAt, timeZone) {
   const nowTs = Math.floor(Date.now() / 1000);
-  const nowTaipei = getNowTaipei();
-  const currentDayOfWeek = nowTaipei.getDay(); // 0 for Sunday, 1 for Monday, ..., 6 for Saturday
-  const currentDayOfWeekISO = currentDayOfWeek === 0 ? 7 : currentDayOfWeek; // Convert to ISO (1 for Mon, ..., 7 for Sun)
+  if (SNOOZE_OPTIONS[code]) return nowTs + SNOOZE_OPTIONS[code][1] * 60;
 
-  try {
-    // 1. 檢查提醒 (精確時間)
-    const { results: allReminders } = await env.DB.prepare("SELECT * FROM todos WHERE status = 0 AND remind_at > 0 AND remind_at <= ?").bind(nowTs).all();
-
-    // 過濾出符合當前星期幾的任務（對於週期性任務）
-    const remindersToProcess = [];
-    for (const todo of allReminders) {
-      if (todo.cron_rule && todo.cron_rule.startsWith('weekly:')) {
-        const days = todo.cron_rule.split(':')[1].split(',').map(Number);
-        if (days.includes(currentDayOfWeekISO)) {
-          remindersToProcess.push(todo);
-        }
-      } else {
-        // 非 weekly 循環任務或單次任務，直接加入處理列表
-        remindersToProcess.push(todo);
+  const now = utcTsToLocalDate(nowTs, timeZone);
+  const target = utcTsToLocalDate(occurrenceAt, timeZone);
+  target.setUTCFullYear(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return localDateToUtcTs(target, timeZone);
+}
+
+// 完成某一次提醒：記錄到歷史，單次任務標記完成
+async function completeOccurrence(env, todo, occurrenceAt) {
+  await addCompletion(env, todo, occurrenceAt, 'done');
+  await updateNotificationStatus(env, todo.id, occurrenceAt, 'done');
+  if (!todo.cron_rule) {
+    await updateTodoStatus(env, todo.id, 1);
+  }
+}
+
+/**
+ * 手動完成任務（清單的 ✅、/done、管理選單的完成模式），記錄到歷史
+ * 單次任務標記完成；循環任務完成的是還沒提醒的下一次時，直接推進到之後的一次
+ * 完成的是更後面的某一次（例如 /list 明天）時記為提前完成（單次例外 done），到時候不會再提醒
+ * @param {number} occurrenceAt - 要完成的那一次（無期限任務為 -1，以現在記錄）
+ * @returns {Promise<number|null>} 循環任務完成後實際的下一次時間（不含跳過、提前完成的），已結束或單次任務為 null
+ */
+async function completeTodo(env, todo, occurrenceAt, tz) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  if (!todo.cron_rule) {
+    await completeOccurrence(env, todo, occurrenceAt > 0 ? occurrenceAt : nowTs);
+    return null;
+  }
+
+  await completeOccurrence(env, todo, occurrenceAt);
+  const exceptions = (await getTodoExceptions(env, todo.user_id)).filter(e => e.todo_id === todo.id);
+  let remindAt = todo.remind_at;
+  let remaining = todo.remaining_count;
+
+  if (occurrenceAt === todo.remind_at) {
+    const isLast = todo.remaining_count !== null && todo.remaining_count <= 1;
+    const nextTs = isLast ? null : nextOccurrence(todo.cron_rule, todo.remind_at, { timeZone: tz, anchorTs: todo.anchor_at ?? todo.remind_at });
+    if (nextTs === null) {
+      await finishCronTodo(env, todo.id, todo.remind_at);
+      return null;
+    }
+    await updateCronTodoNextTime(env, todo.id, todo.remind_at, nextTs, nextAlertAt(nextTs, parseAlerts(todo.alerts), nowTs));
+    remindAt = nextTs;
+    if (remaining !== null) remaining--;
+  } else {
+    // 改期的那一次標記為已處理；還沒輪到的那一次記為提前完成；已提醒過的那一次規則不用動
+    const moved = exceptions.find(e => e.action === 'move' && !e.fired && e.new_at === occurrenceAt);
+    if (moved) {
+      await markTodoExceptionFired(env, moved.id);
+      moved.fired = 1;
+    } else if (occurrenceAt > todo.remind_at) {
+      await setTodoException(env, todo.id, occurrenceAt, 'done');
+      exceptions.push({ occurrence_at: occurrenceAt, action: 'done', new_at: null, fired: 0 });
+    }
+  }
+
+  return firstInRange(todo.cron_rule, remindAt, remindAt, Number.MAX_SAFE_INTEGER, tz, exceptions, { anchorTs: todo.anchor_at, remaining }) ?? remindAt;
+}
+
+// 沒有指定哪一次（關鍵字、管理選單）時要完成的那一次：循環任務已提醒、還沒回應的那一次優先
+// （提醒送出後 remind_at 已經推進到下一次），沒有的話才是下一次
+async function pendingOccurrence(env, todo) {
+  if (!todo.cron_rule) return todo.remind_at;
+  const notification = await getPendingNotification(env, todo.id);
+  return notification ? notification.occurrence_at : todo.remind_at;
+}
+
+// 手動完成後的回覆文字
+function completionMessage(todo, nextTs, tz) {
+  let msg = `✅ 喵～已完成：<b>${escapeHtml(todo.task)}</b>`;
+  if (todo.cron_rule) {
+    msg += nextTs === null ? `\n🏁 例行任務已結束喵～` : `\n🔄 下一次：${formatTimestamp(nextTs, tz)}`;
+  }
+  return msg;
+}
+
+// 延後某一次提醒：單次任務直接改 remind_at；循環任務只改這一次（單次例外）
+async function snoozeOccurrence(env, todo, occurrenceAt, newTs) {
+  if (todo.cron_rule) {
+    await setTodoException(env, todo.id, occurrenceAt, 'move', newTs);
+  } else {
+    await updateTodoRemindAt(env, todo.id, newTs);
+  }
+  await updateNotificationStatus(env, todo.id, occurrenceAt, 'snoozed');
+}
+
+// 確認卡片的按鈕都只帶草稿 id（持續提醒 / 緊急切換、調整時間時會用同樣的版面重建）
+function confirmationKeyboard(draftId, draft) {
+  const kb = new InlineKeyboard()
+    .text("✅ 確認儲存喵", `sv|${draftId}`)
+    .text("❌ 取消", "cancel")
+    .row();
+  return adjustRow(kb, draftId)
+    .text("📆 選日期", `dc|${draftId}`)
+    .text(draft.allDay ? "☀️ 全天：開" : "🕒 全天：關", `da|${draftId}|ad`)
+    .text("🔄 重複", `dr|${draftId}`)
+    .row()
+    .text("🤖 AI 重新判斷喵", `rejudge|${draftId}`)
+    .row()
+    .text(draft.nag ? "🔁 持續提醒：開" : "🔕 持續提醒：關", `ng|${draftId}`)
+    .text(draft.urgent ? "🚨 緊急：開" : "🌙 緊急：關", `ug|${draftId}`);
+}
+
+// --- 勿擾時段 ---
+// Telegram 單則訊息上限 4096 字，暫存通知合併時留一些餘裕
+const BATCH_MESSAGE_LIMIT = 3800;
+// 合併通知上最多附幾個完成按鈕
+const BATCH_BUTTON_LIMIT = 8;
+
+// 目前在勿擾中的使用者（userId 不為 null 時只看這位使用者）
+async function loadQuietUsers(env, userId = null) {
+  const rows = await getQuietUsers(env, userId);
+  return new Set(rows
+    .filter(r => isQuietTime(parseQuietSetting(r.quiet_hours), parseDndDays(r.dnd_days), getNowInTimeZone(r.timezone || DEFAULT_TIMEZONE)))
+    .map(r => r.user_id));
+}
+
+// 緊急任務不受勿擾限制
+function isHeld(quietUsers, todo) {
+  return !!quietUsers?.has(todo.user_id) && !todo.urgent;
+}
+
+// 把多段文字合併成不超過上限的幾則訊息
+function chunkMessages(header, parts) {
+  const chunks = [];
+  let current = header;
+  for (const part of parts) {
+    if (current.length + part.length + 2 > BATCH_MESSAGE_LIMIT && current !== header) {
+      chunks.push(current);
+      current = '';
+    }
+    current += (current ? '\n\n' : '') + part;
+  }
+  chunks.push(current);
+  return chunks;
+}
+
+// 勿擾結束：把暫存的通知合併排入佇列，提醒附上完成按鈕，持續提醒從現在開始重新計時
+async function releaseHeldMessages(env, quietUsers, onlyUserId = null) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  for (const userId of await getHeldUserIds(env)) {
+    if (quietUsers.has(userId) || (onlyUserId && userId !== onlyUserId)) continue;
+
+    const held = await getHeldMessages(env, userId);
+    const maxId = held[held.length - 1].id;
+    const parts = [];
+    const reminders = [];
+    const seen = new Set();
+    let hasReview = false;
+
+    for (const h of held) {
+      // 事件已經過去的提前提醒就不補送了
+      if (h.kind === 'alert' && h.occurrence_at <= nowTs) continue;
+      if (h.kind === 'reminder') {
+        // 同一次提醒只列一次，勿擾中已經處理掉的也略過
+        const key = `${h.todo_id}|${h.occurrence_at}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const notification = await getNotification(env, h.todo_id, h.occurrence_at);
+        const todo = await getTodoById(env, h.todo_id, userId);
+        if (!notification || notification.status !== 'pending' || !todo) continue;
+        reminders.push({ todo, notification });
       }
+      if (h.kind === 'review') hasReview = true;
+      parts.push(h.text);
     }
 
-    for (const todo of remindersToProcess) {
-      await bot.api.sendMessage(todo.user_id, `🔔 <b>提醒時間到！</b>\n👉 ${todo.task}`, { parse_mode: "HTML" });
+    const messages = [];
+    if (parts.length) {
+      const keyboard = new InlineKeyboard();
+      reminders.slice(0, BATCH_BUTTON_LIMIT).forEach(({ todo, notification }, i) => {
+        if (i > 0) keyboard.row();
+        keyboard.text(`✅ ${todo.task}`, `rd|ok|${todo.id}|${notification.occurrence_at}`);
+      });
+      if (hasReview) keyboard.row().text("📅 下週待辦", "rv|nw");
 
-      if (!todo.cron_rule) {
-        // 單次任務 -> 記錄歷史 + 標記完成
-        await env.DB.prepare("INSERT INTO todos (user_id, task, remind_at, status) VALUES (?, ?, ?, 1)").bind(todo.user_id, todo.task, todo.remind_at).run();
-        await env.DB.prepare("UPDATE todos SET status = 1 WHERE id = ?").bind(todo.id).run();
-      } else {
-        // 循環任務 -> 記錄歷史 + 更新下次時間
-        await env.DB.prepare("INSERT INTO todos (user_id, task, remind_at, status) VALUES (?, ?, ?, 1)").bind(todo.user_id, todo.task, todo.remind_at).run();
-        const nextTs = calculateNext(todo.remind_at, todo.cron_rule);
-        await env.DB.prepare("UPDATE todos SET remind_at = ? WHERE id = ?").bind(nextTs, todo.id).run();
+      const chunks = chunkMessages(`🌙 <b>勿擾時段結束喵～</b>這段期間有 ${parts.length} 則通知：`, parts);
+      chunks.forEach((text, i) => messages.push({
+        userId,
+        dedupeKey: `qb:${userId}:${maxId}:${i}`,
+        text,
+        replyMarkup: i === chunks.length - 1 ? keyboard : null
+      }));
+    }
+    await flushHeldMessages(env, userId, maxId, messages);
+
+    for (const { todo, notification } of reminders) {
+      if (todo.nag) {
+        await updateNotificationNag(env, notification.id, notification.nag_count, nowTs + nagDelay(env, notification.nag_count));
       }
     }
+  }
+}
 
-    // 2. 每日彙整 (早晚 9 點)
-    const h = nowTaipei.getUTCHours();
-    const m = nowTaipei.getUTCMinutes();
-    console.log(`[每日报告] 当前台北时间: ${h}:${m}, nowTaipei: ${nowTaipei.toISOString()}`);
-    if ((h === 9 || h === 21) && m < 1) {
-      console.log(`[每日报告] 触发报告发送，isMorning: ${h === 9}`);
-      const isMorning = (h === 9);
-      const timeRange = isMorning ? getMorningReportRangeTaipei() : getEveningReportRangeTaipei();
-      console.log(`[每日报告] 时间范围: ${timeRange.start} - ${timeRange.end}`);
-
-      // 获取所有有待办事项的用户
-      const { results: userRows } = await env.DB.prepare(
-        "SELECT DISTINCT user_id FROM todos WHERE status = 0"
-      ).all();
-      console.log(`[每日报告] 找到 ${userRows.length} 个有待办的用户`);
-
-      for (const row of userRows) {
-        const userId = row.user_id;
-        console.log(`[每日报告] 处理用户 ${userId}`);
-
-        // 获取用户所有未完成的待办
-        const allTodos = await getTodos(env, userId, 0);
-        console.log(`[每日报告] 用户 ${userId} 有 ${allTodos.length} 个未完成的待办`);
-
-        // 过滤出在报告时间范围内的任务（包括周期任务）
-        const filtered = allTodos.filter(t => {
-          if (t.cron_rule) {
-            // 周期任务：检查下次执行时间是否在报告时间范围内
-            return t.remind_at >= timeRange.start && t.remind_at <= timeRange.end;
-          }
-          // 单次任务：检查是否在时间范围内
-          return t.remind_at >= timeRange.start && t.remind_at <= timeRange.end;
-        });
-        console.log(`[每日报告] 用户 ${userId} 过滤后有 ${filtered.length} 个待办在报告范围内`);
-
-        if (filtered.length > 0) {
-          let msg = `📋 <b>${isMorning ? '今日待辦 (9:00-24:00)' : '今晚及明日待辦 (21:00-24:00)'}</b>\n\n`;
-
-          // 排序：先发生的在前面
-          filtered.sort((a, b) => {
-            if (a.remind_at === -1) return 1;
-            if (b.remind_at === -1) return -1;
-            return a.remind_at - b.remind_at;
-          });
+// 逐筆處理，單筆失敗只記錄下來，不影響其他人的提醒
+async function forEachSafely(label, items, fn) {
+  for (const item of items) {
+    try {
+      await fn(item);
+    } catch (e) {
+      console.error(`[${label}] 处理失败:`, e);
+    }
+  }
+}
 
-          filtered.forEach((t, i) => {
-            let timeStr = '';
-            if (t.cron_rule) {
-              timeStr = `🔄 ${translateRule(t.cron_rule)}`;
-            } else if (t.all_day) {
-              timeStr = '☀️ ' + new Date(t.remind_at * 1000).toLocaleString('zh-TW', {
-                timeZone: 'Asia/Taipei',
-                month: 'numeric',
-                day: 'numeric'
-              }) + ' (全天)';
-            } else if (t.remind_at !== -1) {
-              timeStr = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {
-                timeZone: 'Asia/Taipei',
-                month: 'numeric',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: false
-              });
-            } else {
-              timeStr = '無期限';
-            }
-            msg += `${i + 1}. [${timeStr}] ${t.task}\n`;
-          });
+// 分批掃描：每頁 SCAN_PAGE_SIZE 筆，每次排程每個掃描最多 SCAN_MAX_PAGES 頁
+const SCAN_PAGE_SIZE = 100;
+const SCAN_MAX_PAGES = 5;
+
+/**
+ * 依排序鍵分頁掃描，沒掃完時把游標存起來，下一次排程從這裡繼續
+ * 從游標中間開始、掃到尾端還有額度時，會再從頭補掃一次，避免游標前面新到期的項目等太久
+ * @param {string} name - 游標名稱（也用於記錄錯誤）
+ * @param {(after: Array|null, limit: number) => Promise<Array>} fetchPage - 取出 after 之後的一頁
+ * @param {(row: object) => Array} keyOf - 一筆資料的排序鍵
+ * @param {(row: object) => Promise<void>} handle - 逐筆處理
+ * @param {boolean} [persist=true] - 是否保存游標（只掃單一使用者時不需要）
+ */
+async function scanWithCursor(env, name, fetchPage, keyOf, handle, persist = true) {
+  const saved = persist ? await getSchedulerCursor(env, name) : null;
+  let cursor = saved;
+  let wrapped = cursor === null;
 
-          try {
-            console.log(`[每日报告] 准备发送消息给用户 ${userId}`);
-            await bot.api.sendMessage(userId, msg, { parse_mode: "HTML" });
-            console.log(`[每日报告] 成功发送报告给用户 ${userId}`);
-          } catch (e) {
-            console.error(`[每日报告] 发送报告给 ${userId} 失败:`, e);
-          }
+  for (let page = 0; page < SCAN_MAX_PAGES; page++) {
+    const rows = await fetchPage(cursor, SCAN_PAGE_SIZE);
+    await forEachSafely(name, rows, handle);
+    if (rows.length === SCAN_PAGE_SIZE) {
+      cursor = keyOf(rows[rows.length - 1]);
+      continue;
+    }
+    // 掃到尾端
+    cursor = null;
+    if (wrapped) break;
+    wrapped = true;
+  }
+
+  if (persist && JSON.stringify(cursor) !== JSON.stringify(saved)) {
+    await setSchedulerCursor(env, name, cursor);
+  }
+}
+
+// 排程的每個階段各自獨立，前一個階段出錯也會繼續跑後面的
+async function runStage(label, fn) {
+  try {
+    await fn();
+  } catch (e) {
+    console.error(`[${label}] Cron Error:`, e);
+  }
+}
+
+// --- 錯過的循環發生 ---
+// 排程停擺後，循環任務一次跳到未來，只提醒最近的一次；更早錯過的依使用者設定處理
+const CATCH_UP_POLICIES = {
+  once: "只提醒最近一次",
+  missed: "只提醒最近一次，錯過的記入歷史",
+  summary: "只提醒最近一次，並告訴我錯過幾次"
+};
+const DEFAULT_CATCH_UP = 'once';
+
+function parseCatchUpSetting(str) {
+  return CATCH_UP_POLICIES[str] ? str : DEFAULT_CATCH_UP;
+}
+
+/**
+ * 處理最近一次之前錯過的發生：有跳過例外的記為跳過，改期的由改期提醒處理，提前完成的已有記錄，其餘依設定記為錯過
+ * @returns {Promise<number>} 錯過的次數
+ */
+async function recordMissedOccurrences(env, todo, missed, policy) {
+  let count = 0;
+  for (const occ of missed) {
+    const exception = await getTodoException(env, todo.id, occ);
+    if (exception?.action === 'skip') {
+      await addCompletion(env, todo, occ, 'skipped');
+    } else if (!exception) {
+      count++;
+      if (policy === 'missed') await addCompletion(env, todo, occ, 'missed');
+    }
+  }
+  return count;
+}
+
+/**
+ * 處理定時任務提醒：各階段只把通知排入發送佇列，最後再統一送出
+ * @param {string|null} [userId=null] - 只處理這位使用者（使用者鬧鐘）；null 時掃描所有使用者（cron 安全網）
+ */
+async function processScheduledReminders(bot, env, userId = null) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  const scan = (name, fetchPage, keyOf, handle) => scanWithCursor(env, name, fetchPage, keyOf, handle, userId === null);
+
+  // 勿擾中的使用者：非緊急的通知先暫存，時段結束後一次送出
+  let quietUsers = new Set();
+  await runStage("勿擾", async () => {
+    quietUsers = await loadQuietUsers(env, userId);
+    await releaseHeldMessages(env, quietUsers, userId);
+  });
+
+  // 0. 提前提醒（事件前 N 分鐘），每一次發生的每個提前量只送一次
+  await runStage("提前提醒", async () => {
+    await scan("alerts", (after, limit) => getDueAlertTodos(env, nowTs, after, limit, userId),
+      todo => [todo.next_alert_at, todo.id], async (todo) => {
+      const alerts = parseAlerts(todo.alerts);
+      const due = dueAlerts(todo.remind_at, alerts, nowTs);
+      // 這一次被跳過或改期時，原本時間的提前提醒就不送了
+      const exception = todo.cron_rule ? await getTodoException(env, todo.id, todo.remind_at) : null;
+
+      if (due.length && !exception) {
+        // 同時有好幾個到期（例如排程延遲）只送最接近事件的那一個，其餘一併記錄
+        const lead = due[due.length - 1];
+        let isNew = false;
+        for (const minutes of due) {
+          const logged = await logAlert(env, todo.id, todo.remind_at, minutes);
+          if (minutes === lead) isNew = logged;
+        }
+        const text = `⏰ <b>提前提醒：還有 ${describeLead(lead)}</b>\n👉 ${escapeHtml(todo.task)}\n🕒 ${formatTimestamp(todo.remind_at, todo.timezone || DEFAULT_TIMEZONE)}`;
+        if (isNew && isHeld(quietUsers, todo)) {
+          await holdMessage(env, todo.user_id, 'alert', text, todo.id, todo.remind_at);
+        } else if (isNew) {
+          await enqueueMessage(env, { userId: todo.user_id, dedupeKey: `al:${todo.id}:${todo.remind_at}:${lead}`, text });
         }
       }
-    } else {
-      console.log(`[每日报告] 未到报告时间，当前: ${h}:${m}`);
+      await updateTodoNextAlert(env, todo.id, nextAlertAt(todo.remind_at, alerts, nowTs));
+    });
+  });
+
+  // 1. 檢查提醒 (精確時間)，一併帶出使用者時區
+  // 已送出過提醒的那一次不再重送（單次任務在使用者按下完成前會一直是未完成）
+  await runStage("提醒", async () => {
+    await scan("reminders", (after, limit) => getDueTodos(env, nowTs, after, limit, userId),
+      todo => [todo.remind_at, todo.id], async (todo) => {
+      // 循環任務 -> 依 RRULE 追上所有已到期的發生，跳到現在之後的下一次；次數用完或超過 UNTIL 時為 null
+      const { due, count, next: nextTs } = todo.cron_rule
+        ? catchUpOccurrences(todo.cron_rule, todo.remind_at, nowTs, { timeZone: todo.timezone || DEFAULT_TIMEZONE, remaining: todo.remaining_count, anchorTs: todo.anchor_at })
+        : { due: [todo.remind_at], count: 1, next: null };
+      const occurrenceAt = due[due.length - 1];
+
+      // 循環任務先推進到下一次，最後一次則退休；沒有推進成功表示這一次已由另一邊（使用者的排程或 cron）處理過
+      if (todo.cron_rule) {
+        const advanced = nextTs === null
+          ? await finishCronTodo(env, todo.id, todo.remind_at)
+          : await updateCronTodoNextTime(env, todo.id, todo.remind_at, nextTs, nextAlertAt(nextTs, parseAlerts(todo.alerts), nowTs), count);
+        if (!advanced) return;
+      }
+
+      const policy = parseCatchUpSetting(todo.catch_up);
+      // 只保留最近的幾次時，更早的直接算進錯過次數
+      const missedCount = await recordMissedOccurrences(env, todo, due.slice(0, -1), policy) + (count - due.length);
+      const missedNote = policy === 'summary' && missedCount > 0 ? `⚠️ 你錯過了 ${missedCount} 次 ${escapeHtml(todo.task)}` : null;
+
+      // 最近這一次有例外：跳過 -> 記錄為跳過；改期 -> 由下方的改期提醒處理；提前完成 -> 已有完成記錄；都只推進規則
+      const exception = todo.cron_rule ? await getTodoException(env, todo.id, occurrenceAt) : null;
+      if (exception?.action === 'skip') {
+        await addCompletion(env, todo, occurrenceAt, 'skipped');
+      } else if (!exception) {
+        let text = `🔔 <b>提醒時間到！</b>\n👉 ${escapeHtml(todo.task)}`;
+        if (missedNote) text += `\n${missedNote}`;
+        if (todo.cron_rule && nextTs === null) {
+          text += `\n🏁 這是最後一次囉，例行任務已結束喵～`;
+        }
+        await sendReminder(env, todo, occurrenceAt, text, quietUsers);
+      }
+      // 最近這一次不提醒時，錯過次數單獨通知
+      if (exception && missedNote) {
+        if (isHeld(quietUsers, todo)) {
+          await holdMessage(env, todo.user_id, 'digest', missedNote);
+        } else {
+          await enqueueMessage(env, { userId: todo.user_id, dedupeKey: `cu:${todo.id}:${occurrenceAt}`, text: missedNote });
+        }
+      }
+      // 單次任務等使用者按下完成
+    });
+
+    // 改期 / 延後的單次發生（循環任務被移到其他時間的那一次）
+    const movedOccurrences = await getDueMovedOccurrences(env, nowTs, userId);
+    await forEachSafely("改期提醒", movedOccurrences, async (occ) => {
+      await sendReminder(env, occ, occ.occurrence_at, `🔔 <b>提醒時間到！</b>（已改期）\n👉 ${escapeHtml(occ.task)}`, quietUsers,
+        `mv:${occ.id}:${occ.occurrence_at}:${occ.new_at}`);
+      await markTodoExceptionFired(env, occ.exception_id);
+    });
+  });
+
+  // 持續提醒：還沒回應的重要提醒，間隔逐漸拉長地重送
+  await runStage("持續提醒", async () => {
+    await scan("nags", (after, limit) => getDueNags(env, nowTs, after, limit, userId),
+      nag => [nag.next_nag_at, nag.notification_id], async (nag) => {
+      // 勿擾中先暫停催促，時段結束後隨暫存通知一起重新開始
+      if (isHeld(quietUsers, nag)) {
+        await holdMessage(env, nag.user_id, 'reminder', `🔔 <b>還沒完成喔！</b>\n👉 ${escapeHtml(nag.task)}`, nag.id, nag.occurrence_at);
+        await setNotificationNextNag(env, nag.notification_id, null);
+        return;
+      }
+      const nagCount = nag.nag_count + 1;
+      await enqueueMessage(env, {
+        userId: nag.user_id,
+        dedupeKey: `ng:${nag.notification_id}:${nagCount}`,
+        text: `🔔 <b>還沒完成喔！</b>（第 ${nagCount + 1} 次提醒）\n👉 ${escapeHtml(nag.task)}`,
+        replyMarkup: reminderKeyboard(nag.id, nag.occurrence_at, true),
+        todoId: nag.id,
+        occurrenceAt: nag.occurrence_at
+      });
+      await updateNotificationNag(env, nag.notification_id, nagCount, nowTs + nagDelay(env, nagCount));
+    });
+  });
+
+  // 2. 每日彙整（各使用者自訂的當地時間，預設早晚 9 點）
+  await runStage("每日彙整", () => sendDailyDigests(env, nowTs, quietUsers, userId));
+
+  // 3. 每週回顧（有訂閱的使用者）
+  await runStage("每週回顧", () => sendWeeklyReviews(env, quietUsers, userId));
+
+  // 4. 送出佇列中的訊息
+  await runStage("outbox", () => deliverOutbox(bot, env, userId));
+}
+
+// 每日彙整：已到使用者設定的時間、今天還沒送過的就送出（排程漏跑時在補送期限內補上）
+async function sendDailyDigests(env, nowTs, quietUsers, onlyUserId = null) {
+  // 彙整記錄只需要保留幾天，用來判斷今天送過沒
+  await pruneDigestLog(env, nowTs - 3 * 86400);
+
+  // 分批掃過所有有待办事项的用户及其时区
+  await scanWithCursor(env, "digests", (after, limit) => getOpenTodoUsers(env, after, limit, onlyUserId),
+    row => [row.user_id], async (row) => {
+    const userId = row.user_id;
+    const tz = row.timezone || DEFAULT_TIMEZONE;
+    const nowLocal = getNowInTimeZone(tz);
+    const localDate = nowLocal.toISOString().slice(0, 10);
+
+    for (const digestMinute of dueDigestTimes(parseDigestSetting(row.digest_times), nowLocal)) {
+      // 先登記再排入，同一天的同一個彙整時間只會有一次成功登記
+      if (!await claimDigest(env, userId, localDate, digestMinute)) continue;
+
+      const evening = isEveningDigest(digestMinute);
+      const timeRange = getDigestRange(digestMinute, evening, tz);
+      console.log(`[每日报告] 用户 ${userId} (${tz}) ${formatDigestTime(digestMinute)} 报告，时间范围: ${timeRange.start} - ${timeRange.end}`);
+
+      // 只取范围内的单次任务与所有周期任务
+      const candidates = await getTodosForDigest(env, userId, timeRange.start, timeRange.end);
+
+      // 周期任务再依规则过滤出在报告时间范围内的
+      const exceptions = groupExceptions(await getTodoExceptions(env, userId));
+      const filtered = candidates.filter(t => {
+        if (t.cron_rule) {
+          // 周期任务：检查下次执行时间是否在报告时间范围内（跳過 / 改期後的時間為準）
+          return firstInRange(t.cron_rule, t.remind_at, timeRange.start, timeRange.end, tz, exceptions.get(t.id), { anchorTs: t.anchor_at, remaining: t.remaining_count }) !== null;
+        }
+        // 单次任务：检查是否在时间范围内
+        return t.remind_at >= timeRange.start && t.remind_at <= timeRange.end;
+      });
+      console.log(`[每日报告] 用户 ${userId} 过滤后有 ${filtered.length} 个待办在报告范围内`);
+      if (filtered.length === 0) continue;
+
+      const from = formatDigestTime(digestMinute);
+      let msg = `📋 <b>${evening ? `今晚及明日待辦 (${from}-明天24:00)` : `今日待辦 (${from}-24:00)`}</b>\n\n`;
+
+      // 排序：先发生的在前面
+      filtered.sort((a, b) => {
+        if (a.remind_at === -1) return 1;
+        if (b.remind_at === -1) return -1;
+        return a.remind_at - b.remind_at;
+      });
+
+      filtered.forEach((t, i) => {
+        let timeStr = '';
+        if (t.cron_rule) {
+          timeStr = `🔄 ${translateRule(t.cron_rule)}`;
+        } else if (t.all_day) {
+          timeStr = '☀️ ' + new Date(t.remind_at * 1000).toLocaleString('zh-TW', {
+            timeZone: tz,
+            month: 'numeric',
+            day: 'numeric'
+          }) + ' (全天)';
+        } else if (t.remind_at !== -1) {
+          timeStr = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {
+            timeZone: tz,
+            month: 'numeric',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            hour12: false
+          });
+        } else {
+          timeStr = '無期限';
+        }
+        msg += `${i + 1}. [${timeStr}] ${escapeHtml(t.task)}\n`;
+      });
+
+      if (quietUsers.has(userId)) {
+        await holdMessage(env, userId, 'digest', msg);
+        continue;
+      }
+
+      try {
+        await enqueueMessage(env, { userId, dedupeKey: `dg:${userId}:${localDate}:${digestMinute}`, text: msg });
+      } catch (e) {
+        // 排入失敗就取消登記，下一次排程再試
+        await releaseDigest(env, userId, localDate, digestMinute);
+        throw e;
+      }
     }
-  } catch (e) {
-    console.error("Cron Error:", e);
+  }, onlyUserId === null);
+}
+
+// --- 每週回顧 ---
+// 回顧清單最多列幾項，避免訊息過長
+const REVIEW_LIST_LIMIT = 8;
+
+// 「10/25 14:00」，全天任務只顯示日期
+function shortTime(ts, allDay, tz) {
+  const opts = allDay
+    ? { timeZone: tz, month: 'numeric', day: 'numeric' }
+    : { timeZone: tz, month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false };
+  return new Date(ts * 1000).toLocaleString('zh-TW', opts) + (allDay ? ' (全天)' : '');
+}
+
+function limitLines(lines) {
+  if (lines.length <= REVIEW_LIST_LIMIT) return lines.join('\n');
+  return [...lines.slice(0, REVIEW_LIST_LIMIT), `…還有 ${lines.length - REVIEW_LIST_LIMIT} 項`].join('\n');
+}
+
+// 下週（明天起 7 天）的時間範圍
+function nextWeekRange(tz) {
+  const start = getNowInTimeZone(tz);
+  start.setDate(start.getDate() + 1);
+  const end = new Date(start);
+  end.setDate(end.getDate() + 6);
+  return getDateRange(start, end, tz);
+}
+
+/**
+ * 產生每週回顧：過去 7 天的完成 / 錯過 / 逾期、循環任務達成率，以及下週的安排
+ * @returns {Promise<{text: string, keyboard: InlineKeyboard}>}
+ */
+async function buildWeeklyReview(env, userId, tz) {
+  const nowTs = Math.floor(Date.now() / 1000);
+  const past = getPastDaysRange(6, tz);
+  const counts = await getCompletionCounts(env, userId, past.start, nowTs);
+  const adherence = await getRecurringAdherence(env, userId, past.start, nowTs);
+  const overdue = await getOverdueTodos(env, userId, nowTs);
+
+  const done = counts.done || 0;
+  const missed = (counts.missed || 0) + adherence.reduce((sum, r) => sum + r.missed, 0);
+
+  const since = new Date(past.start * 1000).toLocaleString('zh-TW', { timeZone: tz, month: 'numeric', day: 'numeric' });
+  let msg = `📊 <b>每週回顧喵～</b>（${since} - 今天）\n\n`;
+  msg += `✅ 完成：${done} 項\n`;
+  msg += `⚠️ 錯過：${missed} 次\n`;
+  if (counts.skipped) msg += `⏭️ 跳過：${counts.skipped} 次\n`;
+  msg += `⏰ 逾期未完成：${overdue.length} 項\n`;
+
+  if (adherence.length) {
+    const fired = adherence.reduce((sum, r) => sum + r.fired, 0);
+    const doneRecurring = adherence.reduce((sum, r) => sum + r.done, 0);
+    msg += `\n🔄 <b>例行任務達成率：${Math.round(doneRecurring / fired * 100)}%</b>\n`;
+    msg += limitLines(adherence.map(r => `• ${escapeHtml(r.task)}：${r.done}/${r.fired}（${Math.round(r.done / r.fired * 100)}%）`)) + '\n';
+  }
+
+  if (overdue.length) {
+    msg += `\n⏰ <b>逾期任務</b>\n`;
+    msg += limitLines(overdue.map(t => `• [${shortTime(t.remind_at, t.all_day, tz)}] ${escapeHtml(t.task)}`)) + '\n';
+  }
+
+  // 下週的安排（循環任務以跳過 / 改期後的第一次為準）
+  const range = nextWeekRange(tz);
+  const exceptions = groupExceptions(await getTodoExceptions(env, userId));
+  const upcoming = (await getTodos(env, userId, 0))
+    .map(t => ({
+      ...t,
+      next: t.cron_rule
+        ? firstInRange(t.cron_rule, t.remind_at, range.start, range.end, tz, exceptions.get(t.id), { anchorTs: t.anchor_at, remaining: t.remaining_count })
+        : (t.remind_at >= range.start && t.remind_at <= range.end ? t.remind_at : null)
+    }))
+    .filter(t => t.next !== null)
+    .sort((a, b) => a.next - b.next);
+
+  msg += `\n📅 <b>下週安排：${upcoming.length} 項</b>\n`;
+  if (upcoming.length) {
+    msg += limitLines(upcoming.map(t => `• [${shortTime(t.next, t.all_day, tz)}] ${t.cron_rule ? '🔄 ' : ''}${escapeHtml(t.task)}`)) + '\n';
+  } else {
+    msg += `下週還沒有安排，好好休息喵～\n`;
   }
+
+  const keyboard = new InlineKeyboard().text("📅 下週待辦", "rv|nw");
+  if (overdue.length) keyboard.text(`⏰ 改期逾期任務 (${overdue.length})`, "rv|od");
+  return { text: msg, keyboard };
+}
+
+/**
+ * 逾期任務的改期選單：每一項可以改到明天同一時間，或自訂時間
+ * @returns {Promise<{text: string, keyboard: InlineKeyboard}>}
+ */
+async function buildOverdueMenu(env, userId, tz) {
+  const overdue = (await getOverdueTodos(env, userId, Math.floor(Date.now() / 1000))).slice(0, REVIEW_LIST_LIMIT);
+  const keyboard = new InlineKeyboard();
+  if (!overdue.length) {
+    return { text: "🎉 喵～沒有逾期的任務了！", keyboard };
+  }
+
+  let msg = `⏰ <b>逾期任務改期</b>\n要改到什麼時候呢？\n\n`;
+  overdue.forEach((t, i) => {
+    msg += `${i + 1}. [${shortTime(t.remind_at, t.all_day, tz)}] ${escapeHtml(t.task)}\n`;
+    if (i > 0) keyboard.row();
+    keyboard.text(`${i + 1}. 明天同一時間`, `rv|1d|${t.id}`).text(`${i + 1}. 自訂時間`, `rv|cu|${t.id}`);
+  });
+  return { text: msg, keyboard };
+}
+
+// 每週回顧：訂閱的使用者在設定的星期與時間收到一次（排程漏跑時在補送期限內補上）
+async function sendWeeklyReviews(env, quietUsers, onlyUserId = null) {
+  const users = (await getWeeklyReviewUsers(env)).filter(u => !onlyUserId || u.user_id === onlyUserId);
+  await forEachSafely("每週回顧", users, async (user) => {
+    const tz = user.timezone || DEFAULT_TIMEZONE;
+    const nowLocal = getNowInTimeZone(tz);
+    if (!isReviewDue(parseReviewSetting(user.weekly_review), nowLocal)) return;
+
+    const localDate = nowLocal.toISOString().slice(0, 10);
+    if (!await claimReview(env, user.user_id, localDate)) return;
+
+    try {
+      const { text, keyboard } = await buildWeeklyReview(env, user.user_id, tz);
+      if (quietUsers.has(user.user_id)) {
+        await holdMessage(env, user.user_id, 'review', text);
+      } else {
+        await enqueueMessage(env, { userId: user.user_id, dedupeKey: `rv:${user.user_id}:${localDate}`, text, replyMarkup: keyboard });
+      }
+    } catch (e) {
+      // 產生或排入失敗就取消登記，下一次排程再試
+      await releaseReview(env, user.user_id, localDate);
+      throw e;
+    }
+  });
 }
 
 // --- 7. 渲染例行性任務列表 ---
 async function renderRecurringTasks(ctx, env, tasks) {
+  const tz = await getUserTimezone(env, ctx.from.id.toString());
   if (!tasks || tasks.length === 0) {
     return await ctx.reply(`📋 <b>例行性任務清單：</b>\n😿 喵～目前沒有例行性任務呢～`, { parse_mode: "HTML" });
   }
 
+  const exceptions = groupExceptions(await getTodoExceptions(env, ctx.from.id.toString()));
+
   let msg = `📋 <b>例行性任務清單喵～</b>\n`;
   tasks.forEach((t, i) => {
     let timeDisplay = "";
 
     if (t.remind_at > 0) {
       if (t.all_day) {
-        timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric'}) + " (全天)";
+        timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric'}) + " (全天)";
       } else {
-        timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:'Asia/Taipei', month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false});
+        timeDisplay = new Date(t.remind_at * 1000).toLocaleString('zh-TW', {timeZone:tz, month:'numeric', day:'numeric', hour:'2-digit', minute:'2-digit', hour12:false});
       }
       timeDisplay += ` (${translateRule(t.cron_rule)})`;
     } else {
       timeDisplay = `🔄 ${translateRule(t.cron_rule)}`;
     }
 
-    msg += `${i+1}. [${timeDisplay}] ${t.task}\n`;
+    // 下一次有例外時提示
+    const next = (exceptions.get(t.id) || []).find(e => e.occurrence_at === t.remind_at);
+    if (next?.action === 'skip') {
+      timeDisplay += " ⏭️已跳過";
+    } else if (next?.action === 'done') {
+      timeDisplay += " ✅已提前完成";
+    } else if (next?.action === 'move') {
+      timeDisplay += ` 📅改到 ${formatTimestamp(next.new_at, tz)}`;
+    }
+
+    const endText = describeEndCondition(t.cron_rule, t.remaining_count, tz);
+    msg += `${i+1}. [${timeDisplay}] ${escapeHtml(t.task)}${endText ? ` ⏹️ ${endText}` : ''}\n`;
   });
 
   return await ctx.reply(msg, {
@@ -442,8 +1160,30 @@ async function renderRecurringTasks(ctx, env, tasks) {
 export {
   renderList,
   renderHistory,
+  escapeHtml,
+  clarificationText,
   sendConfirmation,
+  refreshConfirmation,
+  sendBatchConfirmation,
+  refreshBatchConfirmation,
+  confirmationKeyboard,
   processScheduledReminders,
+  snoozeTarget,
+  completeOccurrence,
+  snoozeOccurrence,
   translateRule,
-  renderRecurringTasks
+  renderRecurringTasks,
+  buildWeeklyReview,
+  buildOverdueMenu,
+  nextWeekRange,
+  listKeyboard,
+  getListItems,
+  matchTodos,
+  completeTodo,
+  pendingOccurrence,
+  completionMessage,
+  buildTodoEditor,
+  sendEditConfirmation,
+  CATCH_UP_POLICIES,
+  parseCatchUpSetting
 };
@@ -1,59 +1,129 @@
 // time.js - 時間處理模組
-// 台北時間偏移量 (分鐘)
-const TAIPEI_OFFSET = 8 * 60;
+// 預設時區（使用者尚未設定 /timezone 時使用）
+const DEFAULT_TIMEZONE = 'Asia/Taipei';
 
 // ============================================
 // 核心時區轉換函數（所有時間戳計算統一走這裡）
+//
+// 「本地時間 Date」= 把使用者時區的牆上時間放進 Date 的欄位裡
+// （Workers 執行環境固定是 UTC，所以 getHours()/setHours() 讀寫的就是使用者當地時間）
 // ============================================
 
+const offsetFormatters = new Map();
+
+/**
+ * 檢查是否為合法的 IANA 時區名稱
+ * @param {string} timeZone - 例如 'Asia/Tokyo'
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 取得某個瞬間在指定時區的 UTC 偏移量（會隨夏令時間變動）
+ * @param {string} timeZone - IANA 時區
+ * @param {Date} [instant] - 時間點，預設為現在
+ * @returns {number} 偏移量（分鐘），例如台北為 480、柏林夏令時間為 120
+ */
+function getTimeZoneOffset(timeZone = DEFAULT_TIMEZONE, instant = new Date()) {
+  let fmt = offsetFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+    offsetFormatters.set(timeZone, fmt);
+  }
+  const parts = {};
+  for (const { type, value } of fmt.formatToParts(instant)) parts[type] = value;
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const instantMs = Math.floor(instant.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instantMs) / 60000);
+}
+
 /**
- * 獲取當前台北時間的 Date 對象（已校正時區）
+ * 獲取指定時區的當前本地時間 Date 對象
+ * @param {string} [timeZone] - IANA 時區
  */
-function getNowTaipei() {
-  return new Date(Date.now() + TAIPEI_OFFSET * 60000);
+function getNowInTimeZone(timeZone = DEFAULT_TIMEZONE) {
+  return utcTsToLocalDate(Date.now() / 1000, timeZone);
+}
+
+/**
+ * 將 UTC 時間戳轉換為本地時間 Date（顯示或做日期運算用）
+ * @param {number} ts - UTC 時間戳（秒）
+ * @param {string} [timeZone] - IANA 時區
+ * @returns {Date} 本地時間
+ */
+function utcTsToLocalDate(ts, timeZone = DEFAULT_TIMEZONE) {
+  const instant = new Date(ts * 1000);
+  return new Date(instant.getTime() + getTimeZoneOffset(timeZone, instant) * 60000);
 }
 
 /**
  * 將本地時間 Date 轉換為 UTC 時間戳（存入資料庫用）
- * @param {Date} localDate - 本地時間（台北時間）
+ * 夏令時間切換前後的偏移量各試一次，留下換算回來還是同一個牆上時間的：
+ * 重複的時段（撥回）兩個都對，取第一次；跳過的時段（撥快）兩個都不對，以切換前的偏移量換算，等於順延跳過的長度
+ * @param {Date} localDate - 本地時間
+ * @param {string} [timeZone] - IANA 時區
  * @returns {number} UTC 時間戳（秒）
  */
-function localDateToUtcTs(localDate) {
-  return Math.floor((localDate.getTime() - TAIPEI_OFFSET * 60000) / 1000);
+function localDateToUtcTs(localDate, timeZone = DEFAULT_TIMEZONE) {
+  const wallMs = localDate.getTime();
+  const before = getTimeZoneOffset(timeZone, new Date(wallMs - 86400000));
+  const after = getTimeZoneOffset(timeZone, new Date(wallMs + 86400000));
+  const matches = [before, after]
+    .map(offset => ({ offset, utcMs: wallMs - offset * 60000 }))
+    .filter(c => getTimeZoneOffset(timeZone, new Date(c.utcMs)) === c.offset)
+    .map(c => c.utcMs);
+  const utcMs = matches.length ? Math.min(...matches) : wallMs - before * 60000;
+  return Math.floor(utcMs / 1000);
 }
 
 /**
- * 獲取某一天的時間範圍（台北時間）
- * @param {Date} date - 日期對象（會被設為 00:00:00）
+ * 獲取某一天的時間範圍
+ * @param {Date} date - 本地日期對象（會被設為 00:00:00）
+ * @param {string} [timeZone] - IANA 時區
  * @returns {{ start: number, end: number }} UTC 時間戳（秒）
  */
-function getDayRangeTaipei(date) {
+function getDayRange(date, timeZone = DEFAULT_TIMEZONE) {
   const start = new Date(date);
   start.setHours(0, 0, 0, 0);
   const end = new Date(date);
   end.setHours(23, 59, 59, 999);
 
   return {
-    start: localDateToUtcTs(start),
-    end: localDateToUtcTs(end)
+    start: localDateToUtcTs(start, timeZone),
+    end: localDateToUtcTs(end, timeZone)
   };
 }
 
 /**
- * 獲取今天的時間範圍（台北時間）
+ * 獲取今天的時間範圍
+ * @param {string} [timeZone] - IANA 時區
  * @returns {{ start: number, end: number }} UTC 時間戳（秒）
  */
-function getTodayRangeTaipei() {
-  return getDayRangeTaipei(getNowTaipei());
+function getTodayRange(timeZone = DEFAULT_TIMEZONE) {
+  return getDayRange(getNowInTimeZone(timeZone), timeZone);
 }
 
 /**
- * 獲取「今天及未來 N 天」的時間範圍（台北時間）
+ * 獲取「今天及未來 N 天」的時間範圍
  * @param {number} days - 未來天數（不含今天）
+ * @param {string} [timeZone] - IANA 時區
  * @returns {{ start: number, end: number }} UTC 時間戳（秒）
  */
-function getTodayAndFutureRangeTaipei(days) {
-  const now = getNowTaipei();
+function getTodayAndFutureRange(days, timeZone = DEFAULT_TIMEZONE) {
+  const now = getNowInTimeZone(timeZone);
   const start = new Date(now);
   start.setHours(0, 0, 0, 0);
 
@@ -62,18 +132,19 @@ function getTodayAndFutureRangeTaipei(days) {
   end.setHours(23, 59, 59, 999);
 
   return {
-    start: localDateToUtcTs(start),
-    end: localDateToUtcTs(end)
+    start: localDateToUtcTs(start, timeZone),
+    end: localDateToUtcTs(end, timeZone)
   };
 }
 
 /**
- * 獲取「過去 N 天到今天」的時間範圍（台北時間）
+ * 獲取「過去 N 天到今天」的時間範圍
  * @param {number} days - 過去天數
+ * @param {string} [timeZone] - IANA 時區
  * @returns {{ start: number, end: number }} UTC 時間戳（秒）
  */
-function getPastDaysRangeTaipei(days) {
-  const now = getNowTaipei();
+function getPastDaysRange(days, timeZone = DEFAULT_TIMEZONE) {
+  const now = getNowInTimeZone(timeZone);
   const start = new Date(now);
   start.setDate(start.getDate() - days);
   start.setHours(0, 0, 0, 0);
@@ -82,37 +153,39 @@ function getPastDaysRangeTaipei(days) {
   end.setHours(23, 59, 59, 999);
 
   return {
-    start: localDateToUtcTs(start),
-    end: localDateToUtcTs(end)
+    start: localDateToUtcTs(start, timeZone),
+    end: localDateToUtcTs(end, timeZone)
   };
 }
 
 /**
- * 獲取兩個日期之間的時間範圍（台北時間）
- * @param {Date} startDate - 開始日期
- * @param {Date} endDate - 結束日期
+ * 獲取兩個日期之間的時間範圍
+ * @param {Date} startDate - 開始日期（本地）
+ * @param {Date} endDate - 結束日期（本地）
+ * @param {string} [timeZone] - IANA 時區
  * @returns {{ start: number, end: number }} UTC 時間戳（秒）
  */
-function getDateRangeTaipei(startDate, endDate) {
+function getDateRange(startDate, endDate, timeZone = DEFAULT_TIMEZONE) {
   const start = new Date(startDate);
   start.setHours(0, 0, 0, 0);
   const end = new Date(endDate);
   end.setHours(23, 59, 59, 999);
 
   return {
-    start: localDateToUtcTs(start),
-    end: localDateToUtcTs(end)
+    start: localDateToUtcTs(start, timeZone),
+    end: localDateToUtcTs(end, timeZone)
   };
 }
 
-// ============================================
-// 舊函數（向後兼容，內部改用新函數）
-// ============================================
-
-// --- 輔助：取得人類可讀的台北時間 ---
-function getTaipeiTimeString(dateObj) {
-  return dateObj.toLocaleString('zh-TW', {
-    timeZone: 'Asia/Taipei',
+/**
+ * 取得人類可讀的本地時間字串（給 AI 當參考）
+ * @param {Date} localDate - 本地時間（getNowInTimeZone 的回傳值）
+ * @returns {string} 例如 "2025-01-01 21:00:00"
+ */
+function getLocalTimeString(localDate) {
+  // 本地時間已經放在 UTC 欄位裡，用 UTC 格式化才不會重複位移
+  return localDate.toLocaleString('zh-TW', {
+    timeZone: 'UTC',
     year: 'numeric',
     month: '2-digit',
     day: '2-digit',
@@ -123,105 +196,74 @@ function getTaipeiTimeString(dateObj) {
   }).replace(/\//g, '-');
 }
 
-// 基於上次設定的時間計算下次時間 (避免時間漂移)
-function calculateNext(lastTs, rule) {
-  let d = new Date(lastTs * 1000);
-
-  if (rule === 'daily') {
-    d.setDate(d.getDate() + 1);
-  } else if (rule.startsWith('weekly:')) {
-    const days = rule.split(':')[1].split(',').map(Number);
-    const currentDayOfWeekISO = d.getDay() === 0 ? 7 : d.getDay();
-
-    let nextDayOffset = 1;
-    let found = false;
-
-    while (nextDayOffset <= 7 && !found) {
-      let potentialDay = (currentDayOfWeekISO + nextDayOffset) % 7;
-      if (potentialDay === 0) potentialDay = 7;
-      if (days.includes(potentialDay)) {
-        found = true;
-        d.setDate(d.getDate() + nextDayOffset);
-      } else {
-        nextDayOffset++;
-      }
-    }
-  } else if (rule.startsWith('monthly:')) {
-    d.setMonth(d.getMonth() + 1);
-  } else if (rule.startsWith('yearly:')) {
-    d.setFullYear(d.getFullYear() + 1);
-    if (d.getMonth() === 1 && d.getDate() === 29 && !(d.getFullYear() % 4 === 0 && (d.getFullYear() % 100 !== 0 || d.getFullYear() % 400 === 0))) {
-      d.setDate(28);
-    }
-  }
-
-  return Math.floor(d.getTime() / 1000);
+/**
+ * 將偏移量格式化為 "UTC+8" / "UTC-7" / "UTC+5:30"
+ * @param {number} offsetMinutes - getTimeZoneOffset 的回傳值
+ */
+function formatUtcOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  const h = Math.floor(abs / 60);
+  const m = abs % 60;
+  return `UTC${sign}${h}${m ? ':' + String(m).padStart(2, '0') : ''}`;
 }
 
+// ============================================
+// 其他時間工具
+// ============================================
+
 // 獲取當天開始時間戳（已校正時區）
-function getDayStartTimestamp() {
-  return getTodayRangeTaipei().start;
+function getDayStartTimestamp(timeZone = DEFAULT_TIMEZONE) {
+  return getTodayRange(timeZone).start;
 }
 
 // 獲取當天結束時間戳（已校正時區）
-function getDayEndTimestamp() {
-  return getTodayRangeTaipei().end;
+function getDayEndTimestamp(timeZone = DEFAULT_TIMEZONE) {
+  return getTodayRange(timeZone).end;
 }
 
-// 將時間戳轉換為台北時間字串
-function formatTimestampToTaipeiTime(timestamp) {
+// 將時間戳轉換為使用者時區的時間字串
+function formatTimestamp(timestamp, timeZone = DEFAULT_TIMEZONE) {
   if (timestamp === -1) return "無時間限制";
   const date = new Date(timestamp * 1000);
-  return date.toLocaleString('zh-TW', {timeZone:'Asia/Taipei', hour12:false});
-}
-
-/**
- * 獲取早上報告時間範圍（台北時間）
- * 今天 9:00 - 今天 23:59:59
- */
-function getMorningReportRangeTaipei() {
-  const now = getNowTaipei();
-  const start = new Date(now);
-  start.setHours(9, 0, 0, 0);
-  const end = new Date(now);
-  end.setHours(23, 59, 59, 999);
-  return {
-    start: localDateToUtcTs(start),
-    end: localDateToUtcTs(end)
-  };
+  return date.toLocaleString('zh-TW', {timeZone, hour12:false});
 }
 
 /**
- * 獲取晚上報告時間範圍（台北時間）
- * 今天 21:00 - 明天 23:59:59
+ * 獲取每日彙整的時間範圍（使用者時區）
+ * 今天彙整時間 - 今天 23:59:59；includeTomorrow 時延伸到明天 23:59:59
+ * @param {number} minutes - 彙整時間（當地一天中的第幾分鐘）
+ * @param {boolean} includeTomorrow
  */
-function getEveningReportRangeTaipei() {
-  const now = getNowTaipei();
+function getDigestRange(minutes, includeTomorrow = false, timeZone = DEFAULT_TIMEZONE) {
+  const now = getNowInTimeZone(timeZone);
   const start = new Date(now);
-  start.setHours(21, 0, 0, 0);
+  start.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
   const end = new Date(now);
-  end.setDate(end.getDate() + 1);
+  if (includeTomorrow) end.setDate(end.getDate() + 1);
   end.setHours(23, 59, 59, 999);
   return {
-    start: localDateToUtcTs(start),
-    end: localDateToUtcTs(end)
+    start: localDateToUtcTs(start, timeZone),
+    end: localDateToUtcTs(end, timeZone)
   };
 }
 
 export {
-  TAIPEI_OFFSET,
-  getNowTaipei,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getTimeZoneOffset,
+  getNowInTimeZone,
+  utcTsToLocalDate,
   localDateToUtcTs,
-  getDayRangeTaipei,
-  getTodayRangeTaipei,
-  getTodayAndFutureRangeTaipei,
-  getPastDaysRangeTaipei,
-  getDateRangeTaipei,
-  getTaipeiTimeString,
-  calculateNext,
+  getDayRange,
+  getTodayRange,
+  getTodayAndFutureRange,
+  getPastDaysRange,
+  getDateRange,
+  getLocalTimeString,
+  formatUtcOffset,
   getDayStartTimestamp,
   getDayEndTimestamp,
-  formatTimestampToTaipeiTime,
-  getMorningReportRangeTaipei,
-  getEveningReportRangeTaipei
-};
\ No newline at end of file
+  formatTimestamp,
+  getDigestRange
+};
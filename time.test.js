@@ -0,0 +1,35 @@
+// time.test.js - 夏令時間切換前後的本地時間換算（node --test）
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { localDateToUtcTs, utcTsToLocalDate } from "./time.js";
+
+// 牆上時間（當地）-> UTC ISO 字串（到分鐘）
+const toUtc = (wall, timeZone) => new Date(localDateToUtcTs(new Date(`${wall}Z`), timeZone) * 1000).toISOString().slice(0, 16);
+
+test("撥快時跳過的時間順延到切換之後", () => {
+  // 洛杉磯 3/8 02:00 PST 直接跳到 03:00 PDT：02:30 應該是 03:30 PDT
+  assert.equal(toUtc("2026-03-08T02:30:00", "America/Los_Angeles"), "2026-03-08T10:30");
+  // 柏林 3/29 02:00 CET 直接跳到 03:00 CEST：02:30 應該是 03:30 CEST
+  assert.equal(toUtc("2026-03-29T02:30:00", "Europe/Berlin"), "2026-03-29T01:30");
+});
+
+test("撥回時重複的時間取第一次", () => {
+  // 洛杉磯 11/1 01:30 出現兩次，取 PDT 的那一次
+  assert.equal(toUtc("2026-11-01T01:30:00", "America/Los_Angeles"), "2026-11-01T08:30");
+  // 柏林 10/25 02:30 出現兩次，取 CEST 的那一次
+  assert.equal(toUtc("2026-10-25T02:30:00", "Europe/Berlin"), "2026-10-25T00:30");
+});
+
+test("切換前後的一般時間不受影響", () => {
+  assert.equal(toUtc("2026-03-07T23:00:00", "America/Los_Angeles"), "2026-03-08T07:00");
+  assert.equal(toUtc("2026-03-08T04:00:00", "America/Los_Angeles"), "2026-03-08T11:00");
+  assert.equal(toUtc("2026-03-30T00:30:00", "Europe/Berlin"), "2026-03-29T22:30");
+  assert.equal(toUtc("2026-10-19T09:00:00", "Asia/Taipei"), "2026-10-19T01:00");
+});
+
+test("換算回本地時間還是同一個牆上時間", () => {
+  for (const [wall, timeZone] of [["2026-11-01T01:30:00", "America/Los_Angeles"], ["2026-10-25T02:30:00", "Europe/Berlin"], ["2026-07-01T12:00:00", "Europe/Berlin"]]) {
+    const ts = localDateToUtcTs(new Date(`${wall}Z`), timeZone);
+    assert.equal(utcTsToLocalDate(ts, timeZone).toISOString().slice(0, 19), wall);
+  }
+});